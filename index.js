@@ -1,6 +1,23 @@
-import { startPolling } from './src/poller.js';
-
-// Start the polling bot
-startPolling();
-
-
+import { startPolling, runDryRun } from './src/poller.js';
+import { startBot } from './src/bot.js';
+
+if (process.argv.includes('--dry-run')) {
+  // Run every search once, writing what would be posted to preview files
+  runDryRun()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Dry run failed:', error.message);
+      process.exit(1);
+    });
+} else {
+  // Start the slash command bot when run with --bot
+  if (process.argv.includes('--bot')) {
+    startBot().catch(error => {
+      console.error('❌ Failed to start Discord bot:', error.message);
+      process.exit(1);
+    });
+  }
+
+  // Start the polling bot
+  startPolling();
+}
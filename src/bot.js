@@ -0,0 +1,349 @@
+/**
+ * Discord bot mode - slash commands for managing searches through the discord.js gateway
+ */
+
+import { Client, Events, GatewayIntentBits, MessageFlags, PermissionFlagsBits, SlashCommandBuilder } from 'discord.js';
+import {
+  loadBotConfig,
+  getAllSearchConfigs,
+  getSearchConfigByName,
+  addSearchConfig,
+  removeSearchConfig,
+  setSearchPaused
+} from './search-config.js';
+import { getListing } from './listing-store.js';
+import { createCarEmbed } from './discord-poster.js';
+import { runPoll, isPollRunning } from './poller.js';
+import { onShutdown } from './shutdown.js';
+
+/**
+ * Discord message content limit
+ */
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Slash command definitions registered with Discord
+ */
+const commands = [
+  new SlashCommandBuilder()
+    .setName('search')
+    .setDescription('Manage the Autotrader searches')
+    .addSubcommand(subcommand => subcommand
+      .setName('list')
+      .setDescription('List all searches'))
+    .addSubcommand(subcommand => subcommand
+      .setName('add')
+      .setDescription('Add a new search')
+      .addStringOption(option => option.setName('name').setDescription('Unique name for the search').setRequired(true))
+      .addStringOption(option => option.setName('make').setDescription('Car make, e.g. Skoda').setRequired(true))
+      .addStringOption(option => option.setName('postcode').setDescription('Postcode to search from').setRequired(true))
+      .addStringOption(option => option.setName('model').setDescription('Car model, e.g. Fabia'))
+      .addIntegerOption(option => option.setName('max-price').setDescription('Maximum price in £').setMinValue(0))
+      .addIntegerOption(option => option.setName('max-mileage').setDescription('Maximum mileage').setMinValue(0))
+      .addIntegerOption(option => option.setName('max-distance').setDescription('Maximum distance in miles').setMinValue(0))
+      .addIntegerOption(option => option.setName('year-from').setDescription('Oldest registration year').setMinValue(1900))
+      .addStringOption(option => option.setName('body-type').setDescription('Body type, e.g. Estate'))
+      .addStringOption(option => option.setName('channel').setDescription('Destination name from config.json to post to')))
+    .addSubcommand(subcommand => subcommand
+      .setName('remove')
+      .setDescription('Remove a search')
+      .addStringOption(option => option.setName('name').setDescription('Name of the search').setRequired(true).setAutocomplete(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('pause')
+      .setDescription('Pause or resume a search')
+      .addStringOption(option => option.setName('name').setDescription('Name of the search').setRequired(true).setAutocomplete(true))
+      .addBooleanOption(option => option.setName('paused').setDescription('Set to false to resume (default: true)'))),
+  new SlashCommandBuilder()
+    .setName('poll')
+    .setDescription('Check Autotrader')
+    .addSubcommand(subcommand => subcommand
+      .setName('now')
+      .setDescription('Run all searches now')),
+  new SlashCommandBuilder()
+    .setName('car')
+    .setDescription('Look up cars')
+    .addSubcommand(subcommand => subcommand
+      .setName('info')
+      .setDescription('Show what we know about a car')
+      .addStringOption(option => option.setName('id').setDescription('Autotrader car ID').setRequired(true)))
+];
+
+/**
+ * Truncates a message to Discord's content limit
+ * @param {string} text - Message text
+ * @returns {string} Text no longer than the limit
+ */
+function truncateMessage(text) {
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.substring(0, MAX_MESSAGE_LENGTH - 3)}...` : text;
+}
+
+/**
+ * Formats a search configuration as a single line for /search list
+ * @param {Object} search - Search configuration object
+ * @returns {string} Summary line
+ */
+function formatSearchLine(search) {
+  const parts = [search.make, search.model].filter(Boolean).join(' ') || 'Any car';
+  const limits = [];
+  if (search['max-price']) limits.push(`≤ £${search['max-price']}`);
+  if (search['max-milage']) limits.push(`≤ ${search['max-milage']} miles`);
+  if (search['max-distance']) limits.push(`within ${search['max-distance']} miles`);
+  if (search['year-from']) limits.push(`from ${search['year-from']}`);
+
+  const status = search.paused ? '⏸️' : '▶️';
+  const limitText = limits.length > 0 ? ` (${limits.join(', ')})` : '';
+  const schedule = [];
+  if (search.cron) schedule.push(`cron \`${search.cron}\``);
+  else if (search.intervalMinutes) schedule.push(`every ${search.intervalMinutes} min`);
+  if (search.activeHours) schedule.push(`active ${search.activeHours}`);
+  const scheduleText = schedule.length > 0 ? ` - ${schedule.join(', ')}` : '';
+  return `${status} **${search.name}** - ${parts}${limitText}${scheduleText}`;
+}
+
+/**
+ * Checks if the member using a command may change the searches
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @param {string|null} searchRoleId - Role allowed to change searches (discordSearchRoleId), if any
+ * @returns {boolean} True for members with the Manage Server permission or the role
+ */
+export function canManageSearches(interaction, searchRoleId) {
+  if (interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+    return true;
+  }
+  if (!searchRoleId || !interaction.member) {
+    return false;
+  }
+
+  // Members Discord.js hasn't cached come with their role IDs as a plain array
+  const { roles } = interaction.member;
+  return Array.isArray(roles) ? roles.includes(searchRoleId) : roles.cache.has(searchRoleId);
+}
+
+/**
+ * Handles /search subcommands
+ * Anyone can list the searches; changing them needs Manage Server or the discordSearchRoleId role
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ */
+async function handleSearchCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'list') {
+    const searches = getAllSearchConfigs();
+    const message = searches.length > 0
+      ? `**Searches (${searches.length}):**\n${searches.map(formatSearchLine).join('\n')}`
+      : 'No searches configured yet. Use `/search add` to create one.';
+    await interaction.reply(truncateMessage(message));
+    return;
+  }
+
+  const { discordSearchRoleId } = loadBotConfig();
+  if (!canManageSearches(interaction, discordSearchRoleId)) {
+    const allowed = discordSearchRoleId ? `members with the <@&${discordSearchRoleId}> role or Manage Server` : 'members with Manage Server';
+    await interaction.reply({ content: `🔒 Only ${allowed} can change searches.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (subcommand === 'add') {
+    const search = {
+      name: interaction.options.getString('name').trim(),
+      make: interaction.options.getString('make').trim(),
+      postcode: interaction.options.getString('postcode').trim(),
+      sort: 'most-recent'
+    };
+
+    const optionalFields = {
+      model: interaction.options.getString('model'),
+      'body-type': interaction.options.getString('body-type'),
+      'year-from': interaction.options.getInteger('year-from'),
+      'max-milage': interaction.options.getInteger('max-mileage'),
+      'max-distance': interaction.options.getInteger('max-distance'),
+      channel: interaction.options.getString('channel')
+    };
+    const maxPrice = interaction.options.getInteger('max-price');
+    if (maxPrice !== null) {
+      // Filter on Autotrader as well as after extraction, like the example config
+      optionalFields['price-to'] = maxPrice;
+      optionalFields['max-price'] = maxPrice;
+    }
+    for (const [key, value] of Object.entries(optionalFields)) {
+      if (value !== null) {
+        search[key] = typeof value === 'number' ? String(value) : value.trim();
+      }
+    }
+
+    addSearchConfig(search);
+    await interaction.reply(`✅ Added search:\n${formatSearchLine(search)}\nIt will run on the next poll.`);
+    return;
+  }
+
+  const searchName = interaction.options.getString('name');
+
+  if (subcommand === 'remove') {
+    removeSearchConfig(searchName);
+    await interaction.reply(`🗑️ Removed search **${searchName}**`);
+    return;
+  }
+
+  if (subcommand === 'pause') {
+    const paused = interaction.options.getBoolean('paused') ?? true;
+    setSearchPaused(searchName, paused);
+    await interaction.reply(paused ? `⏸️ Paused search **${searchName}**` : `▶️ Resumed search **${searchName}**`);
+  }
+}
+
+/**
+ * Handles /poll now
+ * Runs every active search, whether or not it is due, unless a poll is already running
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ */
+export async function handlePollCommand(interaction) {
+  const alreadyRunning = '⏳ A poll is already running - results will be posted when it finishes.';
+  if (isPollRunning()) {
+    await interaction.reply(alreadyRunning);
+    return;
+  }
+
+  await interaction.deferReply();
+  const searchResults = await runPoll('/poll', true);
+  if (!searchResults) {
+    await interaction.editReply(alreadyRunning);
+    return;
+  }
+  const lines = searchResults.map(result => `• ${result.name}: ${result.totalFound} found, ${result.newCars} new, ${result.posted} posted`);
+  const message = lines.length > 0
+    ? `✅ **Poll complete**\n${lines.join('\n')}`
+    : '✅ Poll complete - no active searches ran.';
+  await interaction.editReply(truncateMessage(message));
+}
+
+/**
+ * Handles /car info
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ */
+async function handleCarCommand(interaction) {
+  const carId = interaction.options.getString('id').trim();
+  const listing = getListing(carId);
+
+  if (!listing) {
+    await interaction.reply({ content: `No car with ID ${carId} has been seen yet.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const embed = createCarEmbed(listing.details || { id: listing.id, title: `Car ${listing.id}`, link: listing.link });
+  const priceHistory = listing.priceHistory
+    .map(entry => `£${entry.price.toLocaleString('en-GB')} (${new Date(entry.seenAt).toLocaleDateString('en-GB')})`)
+    .join(' → ');
+  const statusText = listing.status === 'sold'
+    ? `Sold / withdrawn after ${listing.listedDays} day(s)`
+    : `Active, ${listing.filterResult || 'posted'}`;
+
+  embed.fields.push(
+    { name: '🔍 Search', value: listing.searchName || 'Unknown', inline: true },
+    { name: '📌 Status', value: statusText, inline: true },
+    { name: '👀 First Seen', value: new Date(listing.firstSeenAt).toLocaleString('en-GB', { timeZone: 'Europe/London' }), inline: true }
+  );
+  if (priceHistory) {
+    embed.fields.push({ name: '📈 Price History', value: priceHistory.substring(0, 1024), inline: false });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Suggests search names for the name option of /search remove and /search pause
+ * @param {AutocompleteInteraction} interaction - Discord interaction
+ */
+async function handleAutocomplete(interaction) {
+  const typed = interaction.options.getFocused().toLowerCase();
+  const choices = getAllSearchConfigs()
+    .map(search => search.name)
+    .filter(name => name.toLowerCase().includes(typed))
+    .slice(0, 25) // Discord allows at most 25 choices
+    .map(name => ({ name, value: name }));
+  await interaction.respond(choices);
+}
+
+/**
+ * Registers the slash commands, in one guild if discordGuildId is set (instant) or globally
+ * @param {Client} client - Ready discord.js client
+ * @param {string|null} guildId - Optional guild ID
+ */
+async function registerCommands(client, guildId) {
+  const commandData = commands.map(command => command.toJSON());
+
+  if (guildId) {
+    const guild = await client.guilds.fetch(guildId);
+    await guild.commands.set(commandData);
+    console.log(`✅ Registered ${commandData.length} slash command(s) in guild ${guild.name}`);
+  } else {
+    await client.application.commands.set(commandData);
+    console.log(`✅ Registered ${commandData.length} slash command(s) globally (may take up to an hour to appear)`);
+  }
+}
+
+/**
+ * Starts the Discord bot and registers its slash commands
+ * @returns {Promise<Client>} Logged in discord.js client
+ */
+export async function startBot() {
+  const botConfig = loadBotConfig();
+  if (!botConfig.discordBotToken) {
+    throw new Error('discordBotToken is required in config.json to run the bot');
+  }
+
+  const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+  onShutdown('Discord bot', () => client.destroy());
+
+  client.once(Events.ClientReady, async readyClient => {
+    console.log(`🤖 Discord bot logged in as ${readyClient.user.tag}`);
+    try {
+      await registerCommands(readyClient, botConfig.discordGuildId);
+    } catch (error) {
+      console.error('❌ Failed to register slash commands:', error.message);
+    }
+  });
+
+  client.on(Events.InteractionCreate, async interaction => {
+    if (interaction.isAutocomplete()) {
+      await handleAutocomplete(interaction).catch(error => {
+        console.error('Error handling autocomplete:', error.message);
+      });
+      return;
+    }
+
+    if (!interaction.isChatInputCommand()) {
+      return;
+    }
+
+    console.log(`💬 /${interaction.commandName} ${interaction.options.getSubcommand(false) || ''} from ${interaction.user.tag}`);
+
+    try {
+      if (interaction.commandName === 'search') {
+        await handleSearchCommand(interaction);
+      } else if (interaction.commandName === 'poll') {
+        await handlePollCommand(interaction);
+      } else if (interaction.commandName === 'car') {
+        await handleCarCommand(interaction);
+      }
+    } catch (error) {
+      console.error(`❌ Error handling /${interaction.commandName}:`, error.message);
+      const reply = { content: `❌ ${error.message}`, flags: MessageFlags.Ephemeral };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply.content).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  });
+
+  await client.login(botConfig.discordBotToken);
+  return client;
+}
+
+// Run if executed directly
+if (process.argv[1] && process.argv[1].includes('bot.js')) {
+  startBot().catch(error => {
+    console.error('Failed to start bot:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,327 @@
+/**
+ * Scraper breakage detection - spots when Autotrader's pages have changed under us,
+ * archives what the browser saw and alerts the admin webhook
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { discordFetch } from './discord-request.js';
+
+/**
+ * Directory the debug archives are written to
+ */
+const DEBUG_DIR = path.join(process.cwd(), 'debug');
+
+/**
+ * Number of debug archives kept; older ones are deleted
+ */
+const MAX_DEBUG_ARCHIVES = 50;
+
+/**
+ * When a run counts as broken
+ * recentRuns: how many earlier runs the first page's listing count is compared with
+ * minRecentRuns: earlier runs needed before a drop is checked
+ * dropRatio: a first page with fewer than this share of the recent average is a sudden drop
+ * emptyDetailRatio: share of detail pages missing most fields that counts as broken
+ */
+export const BREAKAGE_THRESHOLDS = {
+  recentRuns: 5,
+  minRecentRuns: 3,
+  dropRatio: 0.5,
+  emptyDetailRatio: 0.5
+};
+
+/**
+ * Detail fields every advert should have; a page missing most of them wasn't parsed properly
+ */
+const DETAIL_HEALTH_FIELDS = ['title', 'price', 'mileage', 'year', 'images'];
+
+/**
+ * Listing fields reported when a results page looks broken
+ */
+const LISTING_HEALTH_FIELDS = ['title', 'price', 'mileage', 'year', 'location', 'link', 'imageUrl'];
+
+/**
+ * How long to wait before alerting about the same search again
+ */
+const ALERT_REPEAT_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Discord's upload limit for webhooks without a boosted server
+ */
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+
+/**
+ * When each search last alerted (ms since epoch)
+ */
+const lastAlertAt = new Map();
+
+/**
+ * Checks whether a field has a value
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value is missing, a placeholder or an empty list
+ */
+function isMissing(value) {
+  return value === null || value === undefined || value === '' ||
+    value === 'Unknown' || value === 'Price not available' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Checks whether a car's detail page came back mostly empty
+ * @param {Object} details - Details from the detail page
+ * @returns {boolean} True if more than half of the fields every advert should have are missing
+ */
+export function isMostlyEmpty(details) {
+  const missing = DETAIL_HEALTH_FIELDS.filter(field => isMissing(details[field]));
+  return missing.length > DETAIL_HEALTH_FIELDS.length / 2;
+}
+
+/**
+ * Describes which fields weren't found on some cars
+ * @param {Array<Object>} cars - Parsed listings or details
+ * @param {Array<string>} fields - Fields to check
+ * @returns {Array<string>} One line per field missing from at least one car (e.g. "price: not found on 18/20")
+ */
+export function describeMissingFields(cars, fields) {
+  return fields
+    .map(field => [field, cars.filter(car => isMissing(car[field])).length])
+    .filter(([, missing]) => missing > 0)
+    .map(([field, missing]) => `${field}: not found on ${missing}/${cars.length}`);
+}
+
+/**
+ * Looks for signs that a search's results pages weren't parsed properly
+ * An empty first page is only flagged when the previous run found listings, so a search with no matches alerts once, not every poll
+ * @param {Array<Object>} pages - Results pages loaded ({ page, listings, newListings })
+ * @param {Array<number>} recentCounts - First-page listing counts of the search's recent healthy runs
+ * @param {number|null} previousCount - First-page listing count of the search's latest run, or null if it has never run
+ * @param {Object} thresholds - Breakage thresholds
+ * @returns {Array<string>} Problems found (empty if the results look healthy)
+ */
+export function findListingProblems(pages, recentCounts = [], previousCount = null, thresholds = BREAKAGE_THRESHOLDS) {
+  const firstPageListings = pages.length > 0 ? pages[0].listings : 0;
+  if (firstPageListings === 0) {
+    return previousCount === 0 ? [] : ['No listings found on the first results page'];
+  }
+
+  if (recentCounts.length >= thresholds.minRecentRuns) {
+    const average = recentCounts.reduce((sum, count) => sum + count, 0) / recentCounts.length;
+    if (firstPageListings < average * thresholds.dropRatio) {
+      return [`Only ${firstPageListings} listing(s) on the first results page, down from an average of ${Math.round(average)} over the last ${recentCounts.length} runs`];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Looks for signs that detail pages weren't parsed properly
+ * @param {Array<Object>} detailPages - Details read from each detail page, before merging with the listing
+ *   (pages that failed to load or were unavailable are ignored)
+ * @param {Object} thresholds - Breakage thresholds
+ * @returns {Array<string>} Problems found (empty if the details look healthy)
+ */
+export function findDetailProblems(detailPages, thresholds = BREAKAGE_THRESHOLDS) {
+  const loadedPages = detailPages.filter(details => !details.error && !details.unavailable);
+  if (loadedPages.length === 0) {
+    return [];
+  }
+
+  const emptyCount = loadedPages.filter(isMostlyEmpty).length;
+  if (emptyCount / loadedPages.length >= thresholds.emptyDetailRatio) {
+    return [`Most detail fields missing on ${emptyCount}/${loadedPages.length} detail page(s)`];
+  }
+  return [];
+}
+
+/**
+ * Builds the list of fields that weren't found, for a breakage report
+ * @param {Array<Object>} listings - Listings parsed from the results pages
+ * @param {Array<Object>} detailPages - Details read from each detail page
+ * @returns {Array<string>} Lines describing missing fields
+ */
+export function buildFieldReport(listings, detailPages) {
+  const loadedPages = detailPages.filter(details => !details.error && !details.unavailable);
+  return [
+    ...describeMissingFields(listings, LISTING_HEALTH_FIELDS).map(line => `results ${line}`),
+    ...describeMissingFields(loadedPages, DETAIL_HEALTH_FIELDS).map(line => `details ${line}`)
+  ];
+}
+
+/**
+ * Captures what the browser is showing, to archive if the run turns out to be broken
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Object>} { url, screenshot, html } - screenshot is a PNG buffer
+ */
+export async function captureDebugArtifacts(page) {
+  return {
+    url: page.url(),
+    screenshot: Buffer.from(await page.screenshot({ fullPage: true })),
+    html: await page.content()
+  };
+}
+
+/**
+ * Makes text safe to use in a file name
+ * @param {string} text - Text such as a search name
+ * @returns {string} Lower-case name with only letters, digits and dashes
+ */
+function toFileName(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'search';
+}
+
+/**
+ * Deletes the oldest debug archives beyond MAX_DEBUG_ARCHIVES
+ */
+async function pruneDebugArchives() {
+  const entries = await fs.readdir(DEBUG_DIR, { withFileTypes: true });
+  // Archive names start with a timestamp, so they sort oldest first
+  const archives = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+  for (const name of archives.slice(0, Math.max(0, archives.length - MAX_DEBUG_ARCHIVES))) {
+    await fs.rm(path.join(DEBUG_DIR, name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Writes a timestamped debug archive: screenshot, page HTML and the breakage report
+ * @param {Object} report - Breakage report ({ searchName, problems, fieldReport, detectedAt })
+ * @param {Object|null} artifacts - Captured artifacts (see captureDebugArtifacts), if any
+ * @returns {Promise<string>} Directory the archive was written to
+ */
+export async function archiveDebugArtifacts(report, artifacts) {
+  const stamp = report.detectedAt.replace(/[:.]/g, '-');
+  const dir = path.join(DEBUG_DIR, `${stamp}-${toFileName(report.searchName)}`);
+  await fs.mkdir(dir, { recursive: true });
+
+  if (artifacts) {
+    await fs.writeFile(path.join(dir, 'screenshot.png'), artifacts.screenshot);
+    await fs.writeFile(path.join(dir, 'page.html'), artifacts.html);
+  }
+  await fs.writeFile(path.join(dir, 'report.json'), JSON.stringify({
+    ...report,
+    pageUrl: artifacts ? artifacts.url : null
+  }, null, 2) + '\n');
+
+  await pruneDebugArchives();
+  return dir;
+}
+
+/**
+ * Checks whether a search has alerted recently, and records the alert if not
+ * @param {string} searchName - Search name
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {boolean} True if an alert should be sent
+ */
+function claimAlert(searchName, now = Date.now()) {
+  const last = lastAlertAt.get(searchName);
+  if (last !== undefined && now - last < ALERT_REPEAT_MS) {
+    return false;
+  }
+  lastAlertAt.set(searchName, now);
+  return true;
+}
+
+/**
+ * Builds the Discord message for a breakage alert
+ * @param {Object} report - Breakage report ({ searchName, problems, fieldReport, archiveDir, pageUrl })
+ * @param {boolean} hasScreenshot - Whether the screenshot is attached
+ * @returns {Object} Webhook payload
+ */
+export function buildBreakageAlert(report, hasScreenshot) {
+  const fields = [];
+  if (report.fieldReport.length > 0) {
+    fields.push({
+      name: 'Fields whose selectors found nothing',
+      value: report.fieldReport.join('\n').substring(0, 1024)
+    });
+  }
+  if (report.pageUrl) {
+    fields.push({ name: 'Page', value: report.pageUrl.substring(0, 1024) });
+  }
+  if (report.archiveDir) {
+    fields.push({ name: 'Debug files', value: `\`${report.archiveDir}\``.substring(0, 1024) });
+  }
+
+  return {
+    embeds: [{
+      title: `🚨 Scraper may be broken: ${report.searchName}`.substring(0, 256),
+      description: report.problems.map(problem => `• ${problem}`).join('\n'),
+      color: 0xed4245,
+      fields,
+      image: hasScreenshot ? { url: 'attachment://screenshot.png' } : undefined,
+      timestamp: report.detectedAt
+    }],
+    attachments: hasScreenshot ? [{ id: 0, filename: 'screenshot.png' }] : []
+  };
+}
+
+/**
+ * Posts a breakage alert to the admin webhook, with the screenshot attached
+ * Alerts for the same search are sent at most once every ALERT_REPEAT_MS
+ * @param {string|null} webhookUrl - Admin webhook URL (the alert is only logged if not set)
+ * @param {Object} report - Breakage report ({ searchName, problems, fieldReport, archiveDir, pageUrl })
+ * @param {Buffer|null} screenshot - PNG screenshot to attach
+ * @returns {Promise<boolean>} True if the alert was posted
+ */
+export async function sendBreakageAlert(webhookUrl, report, screenshot = null) {
+  if (!webhookUrl) {
+    console.log('   ⚠️  No adminWebhookUrl in config.json - breakage alert not sent');
+    return false;
+  }
+  if (!claimAlert(report.searchName)) {
+    console.log(`   🔕 Already alerted about "${report.searchName}" recently - not alerting again yet`);
+    return false;
+  }
+
+  const attachScreenshot = Boolean(screenshot) && screenshot.length <= MAX_ATTACHMENT_BYTES;
+  const form = new FormData();
+  form.append('payload_json', JSON.stringify(buildBreakageAlert(report, attachScreenshot)));
+  if (attachScreenshot) {
+    form.append('files[0]', new Blob([screenshot], { type: 'image/png' }), 'screenshot.png');
+  }
+
+  try {
+    const response = await discordFetch(webhookUrl, { method: 'POST', body: form });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+    console.log(`   🚨 Sent breakage alert for "${report.searchName}" to the admin webhook`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Error sending breakage alert:', error.message);
+    // Let the next run try again
+    lastAlertAt.delete(report.searchName);
+    return false;
+  }
+}
+
+/**
+ * Builds a breakage report and archives the debug artifacts with it
+ * @param {Object} options - { searchName, problems, listings, detailPages, artifacts }
+ *   (artifacts from captureDebugArtifacts, or null if none were captured)
+ * @returns {Promise<Object>} Report ({ searchName, problems, fieldReport, detectedAt, pageUrl, archiveDir, screenshot })
+ */
+export async function createBreakageReport({ searchName, problems, listings, detailPages = [], artifacts = null }) {
+  const report = {
+    searchName,
+    problems,
+    fieldReport: buildFieldReport(listings, detailPages),
+    detectedAt: new Date().toISOString()
+  };
+
+  let archiveDir = null;
+  try {
+    archiveDir = await archiveDebugArtifacts(report, artifacts);
+    console.log(`🗂️  Debug files saved to ${archiveDir}`);
+  } catch (error) {
+    console.error('❌ Error saving debug files:', error.message);
+  }
+
+  return {
+    ...report,
+    pageUrl: artifacts ? artifacts.url : null,
+    archiveDir,
+    screenshot: artifacts ? artifacts.screenshot : null
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Shared headless browser, reused by every search in a poll instead of launching one per search
+ */
+
+import puppeteer from 'puppeteer';
+import { applyRequestPolicy } from './page-loading.js';
+import { isShuttingDown } from './shutdown.js';
+
+/**
+ * Launch options for server deployment
+ */
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu'
+  ]
+};
+
+/**
+ * User agent for every page, to avoid detection
+ */
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+let browser = null;
+let launching = null;
+let sessionDepth = 0;
+
+/**
+ * Launches a headless browser, forgetting it if it crashes so the next page relaunches it
+ * @returns {Promise<Browser>} Puppeteer browser object
+ */
+async function launchBrowser() {
+  const launched = await puppeteer.launch(LAUNCH_OPTIONS);
+  launched.on('disconnected', () => {
+    // closeBrowser forgets the browser before closing it, so only crashes get here
+    if (browser === launched) {
+      browser = null;
+      console.log('⚠️  Browser disconnected unexpectedly - it will be relaunched for the next page');
+    }
+  });
+  return launched;
+}
+
+/**
+ * Gets the shared browser, launching it (or relaunching it after a crash) if needed
+ * @returns {Promise<Browser>} Puppeteer browser object
+ * @throws {Error} If the bot is shutting down and the browser has been closed
+ */
+export async function getBrowser() {
+  if (browser && browser.connected) {
+    return browser;
+  }
+  // A search aborted by a shutdown must not bring the browser back
+  if (isShuttingDown()) {
+    throw new Error('Shutting down - browser closed');
+  }
+
+  // Pages opened at the same time share one launch
+  if (!launching) {
+    launching = launchBrowser()
+      .then(launched => {
+        browser = launched;
+        return launched;
+      })
+      .finally(() => {
+        launching = null;
+      });
+  }
+  return launching;
+}
+
+/**
+ * Opens a new page in the shared browser, set up like a desktop browser
+ * @param {Object|null} requestPolicy - Requests to block (see page-loading.js), or null to load everything
+ * @returns {Promise<Page>} Puppeteer page object
+ */
+export async function openPage(requestPolicy = null) {
+  const page = await (await getBrowser()).newPage();
+  await page.setViewport({ width: 1920, height: 1080 });
+  await page.setUserAgent(USER_AGENT);
+  if (requestPolicy) {
+    await applyRequestPolicy(page, requestPolicy);
+  }
+  return page;
+}
+
+/**
+ * Closes the shared browser, if it is open
+ */
+export async function closeBrowser() {
+  const current = browser;
+  browser = null;
+  if (current) {
+    await current.close().catch(error => console.error('⚠️  Error closing browser:', error.message));
+  }
+}
+
+/**
+ * Runs a function with the shared browser kept open throughout, closing it afterwards
+ * Sessions can be nested: a search run on its own gets its own session, while a poll
+ * wraps all its searches in one so they share the browser
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What the function returns
+ */
+export async function withBrowserSession(fn) {
+  sessionDepth++;
+  try {
+    return await fn();
+  } finally {
+    sessionDepth--;
+    if (sessionDepth === 0) {
+      await closeBrowser();
+    }
+  }
+}
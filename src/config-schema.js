@@ -0,0 +1,535 @@
+/**
+ * Schema and validation for config.json
+ */
+
+import { compileFeaturePattern } from './features.js';
+import { FILTER_FIELDS } from './filters.js';
+import { RED_FLAG_SEVERITIES } from './red-flags.js';
+import { RESOURCE_TYPES } from './page-loading.js';
+import { parseCron, parseActiveHours } from './schedule.js';
+
+/**
+ * Placeholders in config.example.json, e.g. YOUR_WEBHOOK_ID
+ */
+const PLACEHOLDER_PATTERN = /\bYOUR_[A-Z_]+/;
+
+/**
+ * Discord webhook URLs, e.g. https://discord.com/api/webhooks/<id>/<token>
+ */
+const WEBHOOK_URL = {
+  type: 'string',
+  pattern: /^https:\/\/(?:(?:canary|ptb)\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/[\w-]+/,
+  patternDescription: 'a Discord webhook URL (https://discord.com/api/webhooks/<id>/<token>)'
+};
+
+/**
+ * Text patterns in filter rules: plain text or /pattern/flags
+ */
+const FILTER_PATTERN = { type: 'string', featurePattern: true };
+
+/**
+ * A filter pattern or a list of them
+ */
+const FILTER_PATTERNS = {
+  type: 'one-of',
+  formsDescription: 'a pattern or a list of patterns',
+  forms: {
+    scalar: FILTER_PATTERN,
+    list: { type: 'array', items: FILTER_PATTERN }
+  }
+};
+
+/**
+ * Rules for number fields: a value, a list of values or a { min, max } range
+ */
+const NUMBER_RULE = {
+  type: 'one-of',
+  forms: {
+    scalar: { type: 'numeric' },
+    list: { type: 'array', items: { type: 'numeric' } },
+    object: { type: 'object', properties: { min: { type: 'numeric' }, max: { type: 'numeric' } } }
+  }
+};
+
+/**
+ * Rules for text fields: a pattern, a list of allowed patterns or { allow, deny } lists
+ */
+const TEXT_RULE = {
+  type: 'one-of',
+  forms: {
+    scalar: FILTER_PATTERN,
+    list: { type: 'array', items: FILTER_PATTERN },
+    object: { type: 'object', properties: { allow: FILTER_PATTERNS, deny: FILTER_PATTERNS } }
+  }
+};
+
+/**
+ * A search's filters block, with a rule for each filter field
+ */
+const FILTERS_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(
+    Object.entries(FILTER_FIELDS).map(([name, field]) => [name, field.type === 'number' ? NUMBER_RULE : TEXT_RULE])
+  )
+};
+
+/**
+ * Fields of a search configuration
+ * Fields the bot doesn't use itself are passed to Autotrader as URL parameters,
+ * so unknown fields are only warned about
+ */
+const SEARCH_SCHEMA = {
+  type: 'object',
+  unknownKeyNote: 'it will be sent to Autotrader as a search parameter',
+  properties: {
+    // Used by the bot
+    name: { type: 'string' },
+    'max-price': { type: 'numeric', min: 0 },
+    'max-milage': { type: 'numeric', min: 0 },
+    'max-distance': { type: 'numeric', min: 0 },
+    maxPages: { type: 'integer', min: 1 },
+    stopAtSeenPage: { type: 'boolean' },
+    channel: { type: 'string' },
+    webhookUrl: WEBHOOK_URL,
+    paused: { type: 'boolean' },
+    intervalMinutes: { type: 'number', min: 1 },
+    cron: { type: 'string', cronExpression: true },
+    activeHours: { type: 'string', timeRange: true },
+    minDealScore: { type: 'numeric' },
+    filters: FILTERS_SCHEMA,
+    requiredFeatures: { type: 'array', items: { type: 'string' } },
+    excludedFeatures: { type: 'array', items: { type: 'string' } },
+    relisted: { type: 'string', pattern: /^(?:post|suppress)$/, patternDescription: '"post" or "suppress"' },
+
+    // Autotrader search parameters
+    postcode: { type: 'string' },
+    radius: { type: 'numeric', min: 0 },
+    make: { type: 'string' },
+    model: { type: 'string' },
+    aggregatedTrim: { type: 'string' },
+    'body-type': { type: 'string' },
+    'fuel-type': { type: 'string' },
+    transmission: { type: 'string' },
+    colour: { type: 'string' },
+    'quantity-of-doors': { type: 'numeric', min: 0 },
+    'seller-type': { type: 'string' },
+    'year-from': { type: 'numeric', min: 1900 },
+    'year-to': { type: 'numeric', min: 1900 },
+    'price-from': { type: 'numeric', min: 0 },
+    'price-to': { type: 'numeric', min: 0 },
+    'minimum-mileage': { type: 'numeric', min: 0 },
+    'maximum-mileage': { type: 'numeric', min: 0 },
+    'minimum-badge-engine-size': { type: 'numeric', min: 0 },
+    'maximum-badge-engine-size': { type: 'numeric', min: 0 },
+    'exclude-writeoff-categories': { type: 'string' },
+    sort: { type: 'string' }
+  }
+};
+
+/**
+ * Top-level settings in config.json
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    discordWebhookUrl: WEBHOOK_URL,
+    adminWebhookUrl: WEBHOOK_URL,
+    discordBotToken: { type: 'string' },
+    discordGuildId: { type: 'string', pattern: /^\d+$/, patternDescription: 'a numeric server ID' },
+    discordSearchRoleId: { type: 'string', pattern: /^\d+$/, patternDescription: 'a numeric role ID' },
+    pollingIntervalMinutes: { type: 'number', min: 1 },
+    dashboard: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', min: 1, max: 65535 },
+        host: { type: 'string' }
+      }
+    },
+    retry: {
+      type: 'object',
+      properties: {
+        attempts: { type: 'integer', min: 1 },
+        baseDelayMs: { type: 'number', min: 0 },
+        maxDelayMs: { type: 'number', min: 0 },
+        maxDetailFailures: { type: 'integer', min: 1 }
+      }
+    },
+    scraping: {
+      type: 'object',
+      properties: {
+        detailConcurrency: { type: 'integer', min: 1, max: 10 },
+        delayMs: { type: 'number', min: 0 }
+      }
+    },
+    requests: {
+      type: 'object',
+      properties: {
+        blockResourceTypes: {
+          type: 'array',
+          items: {
+            type: 'string',
+            pattern: new RegExp(`^(?:${RESOURCE_TYPES.join('|')})$`),
+            patternDescription: `one of ${RESOURCE_TYPES.join(', ')}`
+          }
+        },
+        blockDomains: { type: 'array', items: { type: 'string' } },
+        allowDomains: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    destinations: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          webhookUrl: { ...WEBHOOK_URL, required: true },
+          botToken: { type: 'string' }
+        }
+      }
+    },
+    featureWords: {
+      type: 'object',
+      values: {
+        type: 'array',
+        items: { type: 'string', featurePattern: true }
+      }
+    },
+    redFlags: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          severity: {
+            type: 'string',
+            required: true,
+            pattern: new RegExp(`^(?:${RED_FLAG_SEVERITIES.join('|')})$`),
+            patternDescription: `one of ${RED_FLAG_SEVERITIES.map(severity => `"${severity}"`).join(', ')}`
+          },
+          patterns: {
+            type: 'array',
+            required: true,
+            items: { type: 'string', featurePattern: true }
+          }
+        }
+      }
+    },
+    searchConfigs: { type: 'array', items: SEARCH_SCHEMA },
+    // Older configs have a single search (or an array) under searchConfig
+    searchConfig: { type: 'search-or-array', items: SEARCH_SCHEMA }
+  }
+};
+
+/**
+ * Works out the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits needed to turn a into b
+ */
+function getEditDistance(a, b) {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, substitution));
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+}
+
+/**
+ * Finds the closest known name to a misspelt one
+ * @param {string} name - Name as written
+ * @param {Array<string>} knownNames - Valid names
+ * @returns {string|null} Closest known name, or null if none is close enough
+ */
+export function suggestName(name, knownNames) {
+  const lowerName = name.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const knownName of knownNames) {
+    const distance = getEditDistance(lowerName, knownName.toLowerCase());
+    if (distance < bestDistance) {
+      best = knownName;
+      bestDistance = distance;
+    }
+  }
+  // Allow roughly one typo per three characters
+  return bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+}
+
+/**
+ * Appends an object key to a JSON path
+ * @param {string} path - Path so far
+ * @param {string} key - Object key
+ * @returns {string} Path to the key
+ */
+function childPath(path, key) {
+  if (!/^[A-Za-z_$][\w$-]*$/.test(key)) {
+    return `${path}[${JSON.stringify(key)}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Describes a value for error messages
+ * @param {*} value - Value
+ * @returns {string} The value itself for scalars, otherwise its type
+ */
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  return JSON.stringify(value);
+}
+
+/**
+ * Checks a value's type against a schema type
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {string|null} Expected type description if it doesn't match, otherwise null
+ */
+function checkType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'a string';
+    case 'number':
+      return typeof value === 'number' && isFinite(value) ? null : 'a number';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'a whole number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'true or false';
+    case 'numeric':
+      // Search values are often written as strings ("5000") because they go into the URL
+      return (typeof value === 'number' && isFinite(value)) || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))
+        ? null
+        : 'a number (or numeric string)';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'an array';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates a value against a schema node, collecting issues
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - JSON path of the value
+ * @param {Object} result - { errors, warnings } arrays of { path, message }, added to in place
+ */
+function validateNode(value, schema, path, result) {
+  if (schema.type === 'search-or-array') {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, result));
+    } else {
+      validateNode(value, schema.items, path, result);
+    }
+    return;
+  }
+
+  if (schema.type === 'one-of') {
+    // Settings that can be written several ways are checked against the form they're written in
+    const form = Array.isArray(value) ? 'list' : value && typeof value === 'object' ? 'object' : 'scalar';
+    if (!schema.forms[form]) {
+      result.errors.push({ path, message: `must be ${schema.formsDescription}, got ${describeValue(value)}` });
+      return;
+    }
+    validateNode(value, schema.forms[form], path, result);
+    return;
+  }
+
+  const expected = checkType(value, schema.type);
+  if (expected) {
+    result.errors.push({ path, message: `must be ${expected}, got ${describeValue(value)}` });
+    return;
+  }
+
+  // Values still as copied from config.example.json haven't been set up yet, rather than being invalid
+  const placeholder = typeof value === 'string' && value.match(PLACEHOLDER_PATTERN);
+  if (placeholder) {
+    result.warnings.push({ path, message: `is not set up yet (still has "${placeholder[0]}" from config.example.json)` });
+    return;
+  }
+
+  if (schema.min !== undefined || schema.max !== undefined) {
+    const number = Number(value);
+    if (schema.min !== undefined && number < schema.min) {
+      result.errors.push({ path, message: `must be at least ${schema.min}, got ${value}` });
+    }
+    if (schema.max !== undefined && number > schema.max) {
+      result.errors.push({ path, message: `must be at most ${schema.max}, got ${value}` });
+    }
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    result.errors.push({ path, message: `must be ${schema.patternDescription}` });
+  }
+
+  if (schema.featurePattern) {
+    try {
+      compileFeaturePattern(value);
+    } catch (error) {
+      result.errors.push({ path, message: `is not a valid regular expression: ${error.message}` });
+    }
+  }
+
+  if (schema.cronExpression) {
+    try {
+      parseCron(value);
+    } catch (error) {
+      result.errors.push({ path, message: `is not a valid cron expression: ${error.message}` });
+    }
+  }
+
+  if (schema.timeRange) {
+    try {
+      parseActiveHours(value);
+    } catch (error) {
+      result.errors.push({ path, message: `is not a valid time range: ${error.message}` });
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, result));
+  }
+
+  if (schema.type === 'object' && schema.values) {
+    for (const [key, item] of Object.entries(value)) {
+      validateNode(item, schema.values, childPath(path, key), result);
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const knownKeys = Object.keys(schema.properties);
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] === undefined) {
+        if (propertySchema.required) {
+          result.errors.push({ path: childPath(path, key), message: 'is required' });
+        }
+      } else {
+        validateNode(value[key], propertySchema, childPath(path, key), result);
+      }
+    }
+
+    for (const key of Object.keys(value)) {
+      if (knownKeys.includes(key)) {
+        continue;
+      }
+      const suggestion = suggestName(key, knownKeys);
+      const message = [
+        'unknown key',
+        suggestion ? ` (did you mean "${suggestion}"?)` : '',
+        schema.unknownKeyNote ? ` - ${schema.unknownKeyNote}` : ' - it will be ignored'
+      ].join('');
+      // Unknown keys don't stop the bot, but usually mean a setting is being ignored
+      result.warnings.push({ path: childPath(path, key), message });
+    }
+  }
+}
+
+/**
+ * Checks settings that depend on each other, such as searches referencing destinations
+ * @param {Object} config - Configuration object as written in config.json
+ * @param {Object} result - { errors, warnings } arrays, added to in place
+ */
+function validateReferences(config, result) {
+  let searchesPath = 'searchConfigs';
+  let searches = config.searchConfigs;
+  if (searches === undefined && config.searchConfig !== undefined) {
+    searchesPath = 'searchConfig';
+    searches = config.searchConfig;
+  }
+  if (searches === undefined) {
+    result.errors.push({ path: 'searchConfigs', message: 'is required' });
+    return;
+  }
+
+  // A single legacy searchConfig object is treated as a list of one
+  const searchEntries = Array.isArray(searches)
+    ? searches.map((search, index) => [`${searchesPath}[${index}]`, search])
+    : [[searchesPath, searches]];
+  const validSearches = searchEntries.filter(([, search]) => search && typeof search === 'object');
+
+  const destinations = config.destinations && typeof config.destinations === 'object' ? config.destinations : {};
+
+  // The global webhook is only optional when every search posts somewhere else
+  // (a channel missing from destinations falls back to it)
+  const usesGlobalWebhook = ([, search]) => !search.webhookUrl && !(typeof search.channel === 'string' && destinations[search.channel]);
+  if (!config.discordWebhookUrl && (validSearches.length === 0 || validSearches.some(usesGlobalWebhook))) {
+    result.errors.push({ path: 'discordWebhookUrl', message: 'is required unless every search sets a webhookUrl or a channel defined in destinations' });
+  }
+
+  const destinationNames = Object.keys(destinations);
+  const seenNames = new Set();
+  const featureNames = config.featureWords && typeof config.featureWords === 'object' ? Object.keys(config.featureWords) : [];
+
+  for (const [searchPath, search] of validSearches) {
+    // Configs from before destinations existed name a channel without defining it - they keep posting to discordWebhookUrl
+    if (typeof search.channel === 'string' && !search.webhookUrl && !destinations[search.channel]) {
+      const suggestion = suggestName(search.channel, destinationNames);
+      result.warnings.push({
+        path: `${searchPath}.channel`,
+        message: `"${search.channel}" is not defined in destinations, so discordWebhookUrl is used${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+      });
+    }
+
+    if (search.cron !== undefined && search.intervalMinutes !== undefined) {
+      result.errors.push({ path: `${searchPath}.cron`, message: 'cannot be set along with intervalMinutes' });
+    }
+
+    // Features are detected by name, so a name missing from featureWords would never match
+    for (const key of ['requiredFeatures', 'excludedFeatures']) {
+      if (!Array.isArray(search[key])) {
+        continue;
+      }
+      search[key].forEach((feature, index) => {
+        if (typeof feature === 'string' && !featureNames.includes(feature)) {
+          const suggestion = suggestName(feature, featureNames);
+          result.errors.push({
+            path: `${searchPath}.${key}[${index}]`,
+            message: `"${feature}" is not defined in featureWords${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+          });
+        }
+      });
+    }
+
+    // Older single searchConfig entries are given a name when loaded
+    if (search.name === undefined && searchesPath === 'searchConfigs') {
+      result.errors.push({ path: `${searchPath}.name`, message: 'is required' });
+    } else if (typeof search.name === 'string') {
+      if (seenNames.has(search.name)) {
+        result.errors.push({ path: `${searchPath}.name`, message: `"${search.name}" is used by more than one search` });
+      }
+      seenNames.add(search.name);
+    }
+  }
+}
+
+/**
+ * Validates a configuration object against the config.json schema
+ * @param {Object} config - Configuration object as written in config.json
+ * @returns {Object} { errors, warnings } - arrays of { path, message }; the config is only usable without errors
+ */
+export function validateConfig(config) {
+  const result = { errors: [], warnings: [] };
+
+  validateNode(config, CONFIG_SCHEMA, '', result);
+  if (result.errors.some(error => error.path === '')) {
+    return result;
+  }
+
+  validateReferences(config, result);
+  return result;
+}
+
+/**
+ * Formats validation issues one per line
+ * @param {Array<Object>} issues - Issues ({ path, message })
+ * @returns {string} Formatted issues
+ */
+export function formatConfigIssues(issues) {
+  return issues.map(issue => `  - ${issue.path || '(root)'}: ${issue.message}`).join('\n');
+}
@@ -0,0 +1,341 @@
+/**
+ * Local HTTP status dashboard and health endpoint
+ */
+
+import http from 'http';
+import { getAllSearchConfigs, getSearchDestination } from './search-config.js';
+import { listRecentListings } from './listing-store.js';
+import { formatFilterCounts } from './filters.js';
+import { describeSchedule, isWithinActiveHours } from './schedule.js';
+
+/**
+ * Maximum number of cars shown on /cars
+ */
+const MAX_CARS_LIMIT = 500;
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats an ISO timestamp for display
+ * @param {string|null} isoString - ISO timestamp
+ * @returns {string} Formatted date and time, or "-"
+ */
+function formatTime(isoString) {
+  if (!isoString) {
+    return '-';
+  }
+  return new Date(isoString).toLocaleString('en-GB', {
+    timeZone: 'Europe/London',
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Wraps page content in a minimal mobile-friendly HTML page
+ * @param {string} title - Page title
+ * @param {string} body - Page body HTML
+ * @returns {string} Full HTML document
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - AutoAutoTrader</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 1rem; color: #222; }
+  nav a { margin-right: 1rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border-bottom: 1px solid #ddd; padding: 0.4rem; text-align: left; vertical-align: top; }
+  form { margin: 1rem 0; display: flex; flex-wrap: wrap; gap: 0.5rem; }
+  .sold { color: #888; text-decoration: line-through; }
+  .error { color: #c0392b; }
+</style>
+</head>
+<body>
+<nav><a href="/health">Health</a><a href="/searches">Searches</a><a href="/cars">Cars</a></nav>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Sends a response
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} contentType - Content-Type header
+ * @param {string} body - Response body
+ */
+function send(res, statusCode, contentType, body) {
+  res.writeHead(statusCode, { 'Content-Type': `${contentType}; charset=utf-8` });
+  res.end(body);
+}
+
+/**
+ * Builds the health report
+ * The bot is "stale" if no poll has finished within two polling intervals
+ * @param {Object} status - Poll status from the poller
+ * @returns {Object} Health report
+ */
+function buildHealth(status) {
+  const intervalMs = (status.intervalMinutes || 15) * 60 * 1000;
+  const lastActivity = status.lastPollAt || status.startedAt;
+  const stale = !status.polling && Date.now() - new Date(lastActivity).getTime() > intervalMs * 2;
+  const lastPollFailed = status.lastError && status.lastPollStartedAt && status.lastError.at >= status.lastPollStartedAt;
+
+  let state = 'ok';
+  if (stale) {
+    state = 'stale';
+  } else if (lastPollFailed) {
+    state = 'degraded';
+  }
+
+  return {
+    status: state,
+    polling: status.polling,
+    startedAt: status.startedAt,
+    lastPollStartedAt: status.lastPollStartedAt,
+    lastPollAt: status.lastPollAt,
+    nextRunAt: status.nextRunAt,
+    skippedPolls: status.skippedPolls,
+    lastSkippedAt: status.lastSkippedAt,
+    lastError: status.lastError,
+    uptimeSeconds: Math.round(process.uptime())
+  };
+}
+
+/**
+ * Builds the per-search report
+ * @param {Object} status - Poll status from the poller
+ * @returns {Array<Object>} One entry per search configuration
+ */
+function buildSearches(status) {
+  return getAllSearchConfigs().map(search => {
+    const searchStatus = status.searches[search.name] || {};
+    return {
+      name: search.name,
+      make: search.make || null,
+      model: search.model || null,
+      paused: Boolean(search.paused),
+      schedule: describeSchedule(search, status.intervalMinutes || 15),
+      activeHours: search.activeHours || null,
+      outsideActiveHours: !isWithinActiveHours(search.activeHours),
+      destination: getSearchDestination(search).name,
+      lastRunAt: searchStatus.lastRunAt || null,
+      nextRunAt: searchStatus.nextRunAt || null,
+      lastError: searchStatus.error || null,
+      lastResult: searchStatus.result || null
+    };
+  });
+}
+
+/**
+ * Listing fields left out of /cars JSON
+ * Webhook URLs contain the token needed to post to the channel, and the Discord IDs are only used to edit posts
+ */
+const PRIVATE_LISTING_FIELDS = ['webhookUrl', 'messageId', 'channelId', 'threadId'];
+
+/**
+ * Removes internal fields from a listing before it is served
+ * @param {Object} listing - Listing object from the listing store
+ * @returns {Object} Listing without PRIVATE_LISTING_FIELDS
+ */
+function toPublicListing(listing) {
+  return Object.fromEntries(Object.entries(listing).filter(([key]) => !PRIVATE_LISTING_FIELDS.includes(key)));
+}
+
+/**
+ * Reads the /cars filters from the query string
+ * @param {URLSearchParams} params - Query string parameters
+ * @returns {Object} Filters for listRecentListings
+ */
+function getCarFilters(params) {
+  const maxPrice = parseFloat(params.get('maxPrice'));
+  const limit = parseInt(params.get('limit'), 10);
+  return {
+    searchName: params.get('search') || null,
+    status: params.get('status') || null,
+    filterResult: params.get('result') || null,
+    query: params.get('q') || null,
+    maxPrice: isNaN(maxPrice) ? null : maxPrice,
+    limit: isNaN(limit) ? 50 : Math.min(Math.max(limit, 1), MAX_CARS_LIMIT)
+  };
+}
+
+/**
+ * Renders the search report as HTML
+ * @param {Array<Object>} searches - Per-search report
+ * @returns {string} HTML
+ */
+function renderSearches(searches) {
+  const rows = searches.map(search => {
+    const result = search.lastResult;
+    const counts = result
+      ? `${result.totalFound} found (${result.pages.length} page(s)), ${result.newCars} new, ${result.posted} posted, ${result.overBudget} filtered${result.overBudget && result.filterCounts ? ` (${formatFilterCounts(result.filterCounts)})` : ''}, ${result.priceDrops} price drop(s), ${result.sold} sold${result.requeued ? `, ${result.requeued} requeued` : ''}${result.queued ? `, ${result.queued} waiting for Discord` : ''}`
+      : '-';
+    return `<tr>
+      <td><a href="/cars?search=${encodeURIComponent(search.name)}">${escapeHtml(search.name)}</a>${search.paused ? ' ⏸️' : ''}</td>
+      <td>${escapeHtml([search.make, search.model].filter(Boolean).join(' ') || '-')}</td>
+      <td>${escapeHtml(search.destination)}</td>
+      <td>${formatTime(search.lastRunAt)}</td>
+      <td>${search.paused ? '-' : formatTime(search.nextRunAt)}<br><small>${escapeHtml(search.schedule)}${search.activeHours ? `, active ${escapeHtml(search.activeHours)}${search.outsideActiveHours ? ' 🌙' : ''}` : ''}</small></td>
+      <td>${escapeHtml(counts)}${search.lastError ? `<div class="error">${escapeHtml(search.lastError)}</div>` : ''}${result && result.problems && result.problems.length > 0 ? `<div class="error">🚨 ${result.problems.map(escapeHtml).join('<br>🚨 ')}</div>` : ''}</td>
+    </tr>`;
+  }).join('\n');
+
+  return `<table>
+    <tr><th>Search</th><th>Car</th><th>Channel</th><th>Last run</th><th>Next run</th><th>Last result</th></tr>
+    ${rows || '<tr><td colspan="6">No searches configured</td></tr>'}
+  </table>`;
+}
+
+/**
+ * Renders the car list (with its filter form) as HTML
+ * @param {Array<Object>} listings - Listing objects
+ * @param {Object} filters - Filters applied
+ * @returns {string} HTML
+ */
+function renderCars(listings, filters) {
+  const searchOptions = getAllSearchConfigs()
+    .map(search => `<option${search.name === filters.searchName ? ' selected' : ''}>${escapeHtml(search.name)}</option>`)
+    .join('');
+  const option = (value, current, label) => `<option value="${value}"${value === current ? ' selected' : ''}>${label}</option>`;
+
+  const form = `<form method="get" action="/cars">
+    <input name="q" placeholder="Title or ID" value="${escapeHtml(filters.query || '')}">
+    <select name="search"><option value="">All searches</option>${searchOptions}</select>
+    <select name="status">${option('', filters.status || '', 'Any status')}${option('active', filters.status, 'Active')}${option('sold', filters.status, 'Sold')}</select>
+    <select name="result">${option('', filters.filterResult || '', 'Posted or filtered')}${option('posted', filters.filterResult, 'Posted')}${option('filtered', filters.filterResult, 'Filtered')}${option('queued', filters.filterResult, 'Queued for Discord')}${option('delivery-failed', filters.filterResult, 'Posting failed')}${option('detail-failed', filters.filterResult, 'Details failed')}</select>
+    <input name="maxPrice" type="number" placeholder="Max £" value="${filters.maxPrice ?? ''}">
+    <button type="submit">Filter</button>
+  </form>`;
+
+  const rows = listings.map(listing => {
+    const details = listing.details || {};
+    const lastPrice = listing.priceHistory.length > 0 ? listing.priceHistory[listing.priceHistory.length - 1].price : null;
+    const firstPrice = listing.priceHistory.length > 0 ? listing.priceHistory[0].price : null;
+    let priceText = lastPrice !== null ? `£${lastPrice.toLocaleString('en-GB')}` : escapeHtml(details.price || '-');
+    if (firstPrice !== null && lastPrice !== null && lastPrice < firstPrice) {
+      priceText += ` <s>£${firstPrice.toLocaleString('en-GB')}</s>`;
+    }
+    const title = escapeHtml(details.title || `Car ${listing.id}`);
+    const link = listing.link ? `<a href="${escapeHtml(listing.link)}">${title}</a>` : title;
+    // Filtered cars keep the rules that rejected them
+    const filterReasons = (details.filterFailures || []).map(failure => failure.reason).join('; ');
+
+    return `<tr${listing.status === 'sold' ? ' class="sold"' : ''}>
+      <td>${link}<br><small>${escapeHtml(details.subtitle || '')}</small></td>
+      <td>${priceText}</td>
+      <td>${escapeHtml(details.mileage || '-')}</td>
+      <td>${escapeHtml(details.year || '-')}</td>
+      <td>${escapeHtml(listing.searchName || '-')}</td>
+      <td>${escapeHtml(listing.status === 'sold' ? `sold after ${listing.listedDays} day(s)` : listing.filterResult || 'posted')}${filterReasons ? `<br><small>${escapeHtml(filterReasons)}</small>` : ''}</td>
+      <td>${formatTime(listing.lastSeenAt || listing.firstSeenAt)}</td>
+    </tr>`;
+  }).join('\n');
+
+  return `${form}
+  <table>
+    <tr><th>Car</th><th>Price</th><th>Mileage</th><th>Year</th><th>Search</th><th>Result</th><th>Last seen</th></tr>
+    ${rows || '<tr><td colspan="7">No cars match</td></tr>'}
+  </table>`;
+}
+
+/**
+ * Handles a dashboard request
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Function} getStatus - Returns the poller's current status
+ */
+function handleRequest(req, res, getStatus) {
+  const url = new URL(req.url, 'http://localhost');
+  const wantsJson = url.searchParams.get('format') === 'json' ||
+    (req.headers.accept || '').includes('application/json');
+
+  if (req.method !== 'GET') {
+    send(res, 405, 'text/plain', 'Method not allowed');
+    return;
+  }
+
+  if (url.pathname === '/') {
+    res.writeHead(302, { Location: '/searches' });
+    res.end();
+    return;
+  }
+
+  if (url.pathname === '/health') {
+    const health = buildHealth(getStatus());
+    send(res, health.status === 'stale' ? 503 : 200, 'application/json', JSON.stringify(health, null, 2));
+    return;
+  }
+
+  if (url.pathname === '/searches') {
+    const searches = buildSearches(getStatus());
+    if (wantsJson) {
+      send(res, 200, 'application/json', JSON.stringify(searches, null, 2));
+    } else {
+      send(res, 200, 'text/html', renderPage('Searches', renderSearches(searches)));
+    }
+    return;
+  }
+
+  if (url.pathname === '/cars') {
+    const filters = getCarFilters(url.searchParams);
+    const listings = listRecentListings(filters);
+    if (wantsJson) {
+      send(res, 200, 'application/json', JSON.stringify(listings.map(toPublicListing), null, 2));
+    } else {
+      send(res, 200, 'text/html', renderPage('Recently Seen Cars', renderCars(listings, filters)));
+    }
+    return;
+  }
+
+  send(res, 404, 'text/plain', 'Not found');
+}
+
+/**
+ * Starts the status dashboard HTTP server
+ * @param {Object} dashboardConfig - Dashboard configuration ({ port, host }; port 0 picks a free port)
+ * @param {Function} getStatus - Returns the poller's current status
+ * @returns {http.Server} HTTP server
+ */
+export function startDashboard(dashboardConfig, getStatus) {
+  const port = dashboardConfig.port ?? 3000;
+  const host = dashboardConfig.host || '127.0.0.1';
+
+  const server = http.createServer((req, res) => {
+    try {
+      handleRequest(req, res, getStatus);
+    } catch (error) {
+      console.error(`❌ Dashboard error on ${req.url}:`, error.message);
+      send(res, 500, 'text/plain', 'Internal server error');
+    }
+  });
+
+  server.on('error', error => {
+    console.error(`❌ Dashboard server error:`, error.message);
+  });
+
+  server.listen(port, host, () => {
+    console.log(`📊 Status dashboard listening on http://${host}:${port}`);
+  });
+
+  return server;
+}
@@ -0,0 +1,127 @@
+/**
+ * Market-value deal scoring - compares a car with similar cars we have already seen
+ */
+
+/**
+ * How similar a car must be to count as a comparable
+ */
+const MAX_YEAR_DIFFERENCE = 2;
+const MAX_MILEAGE_DIFFERENCE = 20000;
+
+/**
+ * Minimum number of comparables needed before estimating a fair price
+ */
+const MIN_COMPARABLES = 3;
+
+/**
+ * Works out a car's make and model
+ * Uses the search's make and model, falling back to the word after the make in the title
+ * (e.g. "Skoda Fabia" found by a make-only Skoda search)
+ * @param {Object} car - Car object
+ * @param {Object} searchConfig - Search configuration that found the car
+ * @returns {Object} { make, model } (null when unknown)
+ */
+export function getMakeAndModel(car, searchConfig) {
+  const make = searchConfig.make || null;
+  let model = searchConfig.model || null;
+
+  if (make && !model && car.title) {
+    const titleWords = car.title.trim().split(/\s+/);
+    const makeWords = make.trim().split(/\s+/);
+    const titleMake = titleWords.slice(0, makeWords.length).join(' ');
+    if (titleMake.toLowerCase() === make.toLowerCase() && titleWords.length > makeWords.length) {
+      model = titleWords[makeWords.length];
+    }
+  }
+
+  return { make, model };
+}
+
+/**
+ * Gets the year and mileage windows used to find comparables for a car
+ * @param {Object} specs - Normalised car specs
+ * @returns {Object} { minYear, maxYear, minMileage, maxMileage }
+ */
+export function getComparableRange(specs) {
+  return {
+    minYear: specs.year - MAX_YEAR_DIFFERENCE,
+    maxYear: specs.year + MAX_YEAR_DIFFERENCE,
+    minMileage: Math.max(0, specs.mileage - MAX_MILEAGE_DIFFERENCE),
+    maxMileage: specs.mileage + MAX_MILEAGE_DIFFERENCE
+  };
+}
+
+/**
+ * Estimates a car's fair price from comparable cars
+ * Closer cars (by year and mileage) count for more
+ * @param {Object} specs - Normalised specs of the car being priced
+ * @param {Array<Object>} comparables - Comparable cars ({ year, mileage, price })
+ * @returns {number|null} Estimated fair price or null if there aren't enough comparables
+ */
+export function estimateFairPrice(specs, comparables) {
+  if (comparables.length < MIN_COMPARABLES) {
+    return null;
+  }
+
+  let weightedTotal = 0;
+  let totalWeight = 0;
+  for (const comparable of comparables) {
+    const yearDifference = Math.abs(comparable.year - specs.year);
+    const mileageDifference = Math.abs(comparable.mileage - specs.mileage);
+    const weight = 1 / (1 + yearDifference + mileageDifference / 10000);
+    weightedTotal += comparable.price * weight;
+    totalWeight += weight;
+  }
+
+  return Math.round(weightedTotal / totalWeight);
+}
+
+/**
+ * Scores how good a deal a car is compared with the market
+ * The score is the percentage the car is priced below its estimated fair price
+ * (positive is a good deal, negative is overpriced)
+ * @param {Object} specs - Normalised specs of the car being scored
+ * @param {Array<Object>} comparables - Comparable cars ({ year, mileage, price })
+ * @returns {Object|null} { score, fairPrice, comparableCount } or null if the car can't be scored
+ */
+export function scoreDeal(specs, comparables) {
+  if (specs.price === null || specs.year === null || specs.mileage === null) {
+    return null;
+  }
+
+  const fairPrice = estimateFairPrice(specs, comparables);
+  if (fairPrice === null) {
+    return null;
+  }
+
+  return {
+    score: Math.round(((fairPrice - specs.price) / fairPrice) * 100),
+    fairPrice,
+    comparableCount: comparables.length
+  };
+}
+
+/**
+ * Checks if a car's deal score meets the search's minimum
+ * @param {Object} car - Car object with a deal score
+ * @param {string|number} minDealScore - Minimum deal score from config
+ * @returns {boolean} True if the score is high enough or the car couldn't be scored
+ */
+export function isDealScoreAboveMinimum(car, minDealScore) {
+  // If no minimum configured, allow all cars
+  if (minDealScore === undefined || minDealScore === null || minDealScore === '') {
+    return true;
+  }
+
+  const minScore = typeof minDealScore === 'string' ? parseFloat(minDealScore) : minDealScore;
+  if (isNaN(minScore)) {
+    return true; // If the minimum is invalid, allow the car
+  }
+
+  // Without enough history to score it, allow it (better to post than miss a good deal)
+  if (!car.deal) {
+    return true;
+  }
+
+  return car.deal.score >= minScore;
+}
@@ -0,0 +1,83 @@
+/**
+ * Persistent queue of cars waiting to be posted to Discord
+ * Cars are queued in the listing store before posting, so a throttled or failed post is retried on later polls
+ */
+
+import { postCarToDiscord } from './discord-poster.js';
+import {
+  queueDelivery,
+  getDueDeliveries,
+  markListingPosted,
+  recordDeliveryFailure,
+  abandonDelivery
+} from './listing-store.js';
+import { getRetryDelay } from './retry.js';
+import { isShuttingDown } from './shutdown.js';
+
+/**
+ * Backoff between attempts to deliver the same car (rate limits are waited out within an attempt)
+ */
+const DELIVERY_RETRY_POLICY = {
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 60 * 60 * 1000
+};
+
+/**
+ * Failed attempts after which a car is marked 'delivery-failed' and no longer retried
+ */
+const MAX_DELIVERY_ATTEMPTS = 10;
+
+/**
+ * Adds cars that passed the filters to the delivery queue
+ * The cars must already be saved in the listing store
+ * @param {Array<Object>} cars - Cars to post
+ * @param {Object} destination - Where to post them ({ name, webhookUrl, botToken })
+ */
+export function queueCarsForDelivery(cars, destination) {
+  for (const car of cars) {
+    queueDelivery(car.id || car.carId, destination.webhookUrl, destination.botToken);
+  }
+}
+
+/**
+ * Posts queued cars that are due, oldest first
+ * Delivered cars are marked as posted; failed ones stay queued and are retried with backoff.
+ * On shutdown the current post is finished and the rest stay queued for the next start
+ * @param {string|null} searchName - Only deliver cars found by this search (all searches if null)
+ * @param {Array<string>} heldSearchNames - Searches whose cars are held back for now (outside their active hours)
+ * @returns {Promise<Array<Object>>} One { car, message } entry per car delivered
+ */
+export async function deliverQueuedCars(searchName = null, heldSearchNames = []) {
+  const deliveries = getDueDeliveries(searchName, heldSearchNames);
+  const delivered = [];
+
+  for (let i = 0; i < deliveries.length; i++) {
+    if (isShuttingDown()) {
+      console.log(`   🛑 Shutting down - ${deliveries.length - i} car(s) stay queued`);
+      break;
+    }
+    const delivery = deliveries[i];
+    const { car } = delivery;
+    const carId = delivery.listingId;
+    const retryText = delivery.attempts > 0 ? ` (retry ${delivery.attempts})` : '';
+    console.log(`[${i + 1}/${deliveries.length}] Posting car ${carId}${retryText}...`);
+
+    const message = await postCarToDiscord(delivery.webhookUrl, car, delivery.botToken);
+    if (message) {
+      markListingPosted(carId, delivery.webhookUrl, message);
+      delivered.push({ car, message });
+      continue;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts + 1, DELIVERY_RETRY_POLICY)).toISOString();
+    const attempts = recordDeliveryFailure(carId, 'Discord post failed', nextAttemptAt);
+    if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+      console.error(`   ❌ Giving up on posting car ${carId} after ${attempts} attempts`);
+      abandonDelivery(carId);
+    } else {
+      console.log(`   🔁 Car ${carId} stays queued - next attempt after ${new Date(nextAttemptAt).toLocaleTimeString('en-GB')}`);
+    }
+  }
+
+  return delivered;
+}
@@ -3,6 +3,11 @@
  */
 
 import { loadConfig } from './search-config.js';
+import { getCarSpecs } from './normalise.js';
+import { discordFetch } from './discord-request.js';
+import { detectFeatures } from './features.js';
+import { detectRedFlags, formatRedFlagWarnings } from './red-flags.js';
+import { describeRelist } from './fingerprint.js';
 
 /**
  * Maps car color names to Discord embed colors (decimal)
@@ -49,6 +54,11 @@ const colorMap = {
   'anthracite': 0x383E42
 };
 
+/**
+ * Embed color used for cars that are no longer listed
+ */
+const SOLD_EMBED_COLOR = 0x95A5A6;
+
 /**
  * Converts a color name to a Discord embed color (decimal)
  * @param {string} colorName - The color name (case-insensitive)
@@ -83,75 +93,12 @@ function getColorFromName(colorName) {
   return 0x3498DB;
 }
 
-/**
- * Detects features in a car description based on configured feature words
- * @param {string} description - Car description text
- * @returns {Array<string>} Array of detected feature names
- */
-function detectFeatures(description) {
-  if (!description || typeof description !== 'string') {
-    return [];
-  }
-  
-  try {
-    const config = loadConfig();
-    const featureWords = config.featureWords || {};
-    const detectedFeatures = [];
-    
-    // Check each feature
-    for (const [featureName, patterns] of Object.entries(featureWords)) {
-      if (!Array.isArray(patterns)) {
-        continue;
-      }
-      
-      // Check if any pattern matches
-      for (const pattern of patterns) {
-        try {
-          // Handle regex patterns (strings starting and ending with /)
-          if (pattern.startsWith('/')) {
-            // Extract flags and pattern
-            // Pattern format: /pattern/flags or /pattern/
-            const lastSlashIndex = pattern.lastIndexOf('/');
-            if (lastSlashIndex > 0) {
-              const regexPattern = pattern.substring(1, lastSlashIndex);
-              // If there's text after the last slash, use it as flags, otherwise default to 'i'
-              const flags = lastSlashIndex < pattern.length - 1 
-                ? pattern.substring(lastSlashIndex + 1) 
-                : 'i';
-              const regex = new RegExp(regexPattern, flags);
-              if (regex.test(description)) {
-                detectedFeatures.push(featureName);
-                break; // Found a match for this feature, move to next feature
-              }
-            }
-          } else {
-            // Simple string search (case-insensitive)
-            const regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-            if (regex.test(description)) {
-              detectedFeatures.push(featureName);
-              break; // Found a match for this feature, move to next feature
-            }
-          }
-        } catch (error) {
-          // Skip invalid regex patterns
-          console.warn(`Invalid pattern for feature "${featureName}": ${pattern}`, error.message);
-        }
-      }
-    }
-    
-    return detectedFeatures;
-  } catch (error) {
-    console.warn('Error detecting features:', error.message);
-    return [];
-  }
-}
-
 /**
  * Formats a car object into a Discord embed
- * @param {Object} car - Car object with all details
+ * @param {Object} car - Normalised car object with all details
  * @returns {Object} - Discord embed object
  */
-function createCarEmbed(car) {
+export function createCarEmbed(car) {
   const carId = car.id || car.carId;
   const title = car.title || 'Unknown Car';
   const subtitle = car.subtitle || '';
@@ -163,34 +110,37 @@ function createCarEmbed(car) {
   // Build description with car details
   const fields = [];
   
-  if (car.price) {
+  const specs = getCarSpecs(car);
+  
+  if (specs.price !== null || car.price) {
     fields.push({
       name: '💰 Price',
-      value: car.price,
+      value: specs.price !== null ? formatPrice(specs.price) : car.price,
       inline: true
     });
   }
   
-  if (car.mileage) {
+  if (specs.mileage !== null || car.mileage) {
     fields.push({
       name: '📏 Mileage',
-      value: car.mileage,
+      value: specs.mileage !== null ? `${specs.mileage.toLocaleString('en-GB')} miles` : car.mileage,
       inline: true
     });
   }
   
-  if (car.year || car.registration) {
+  if (specs.year !== null || car.year || car.registration) {
     fields.push({
       name: '📅 Year',
-      value: car.year || car.registration,
+      // Registration includes the plate, e.g. "2012 (62 reg)"
+      value: car.registration || (specs.year !== null ? String(specs.year) : car.year),
       inline: true
     });
   }
   
-  if (car.engine) {
+  if (specs.engineLitres !== null || car.engine) {
     fields.push({
       name: '🔧 Engine',
-      value: car.engine,
+      value: specs.engineLitres !== null ? `${specs.engineLitres.toFixed(1)}L` : car.engine,
       inline: true
     });
   }
@@ -235,6 +185,14 @@ function createCarEmbed(car) {
     });
   }
   
+  if (specs.owners !== null) {
+    fields.push({
+      name: '👤 Owners',
+      value: String(specs.owners),
+      inline: true
+    });
+  }
+  
   if (car.sellerName) {
     fields.push({
       name: '🏪 Seller',
@@ -251,8 +209,33 @@ function createCarEmbed(car) {
     });
   }
   
-  // Detect features from description
-  const detectedFeatures = detectFeatures(car.description);
+  if (car.relist) {
+    // Dealers relist cars to move them up the results; link back to the advert it was first seen as
+    const relistText = describeRelist(car.relist);
+    fields.push({
+      name: '🔁 Relisted',
+      value: car.relist.originalLink ? `${relistText} - [first advert](${car.relist.originalLink})` : relistText,
+      inline: false
+    });
+  }
+  
+  if (car.deal) {
+    let dealLabel = '🟡 Fair price';
+    if (car.deal.score >= 10) {
+      dealLabel = '🟢 Good deal';
+    } else if (car.deal.score <= -10) {
+      dealLabel = '🔴 Overpriced';
+    }
+    const scoreText = car.deal.score > 0 ? `+${car.deal.score}` : String(car.deal.score);
+    fields.push({
+      name: '🏷️ Deal Score',
+      value: `${dealLabel} (${scoreText}) - fair price ~${formatPrice(car.deal.fairPrice)} from ${car.deal.comparableCount} similar cars`,
+      inline: false
+    });
+  }
+  
+  // Features are detected when the car is filtered; cars queued before then are checked here
+  const detectedFeatures = car.features || detectFeatures(car.description, loadConfig().featureWords);
   if (detectedFeatures.length > 0) {
     // Format features with checkmarks
     const featuresText = detectedFeatures.map(feature => `✅ ${feature}`).join('\n');
@@ -263,6 +246,16 @@ function createCarEmbed(car) {
     });
   }
   
+  // Red flags not serious enough to stop the car being posted are shown as warnings
+  const redFlags = car.redFlags || detectRedFlags(car, loadConfig().redFlags);
+  if (redFlags.length > 0) {
+    fields.push({
+      name: '⚠️ Warnings',
+      value: formatRedFlagWarnings(redFlags),
+      inline: false
+    });
+  }
+  
   // Build description
   let description = '';
   if (car.description) {
@@ -308,7 +301,7 @@ function createCarEmbed(car) {
  * @param {string} messageId - Discord message ID
  * @param {string} threadName - Name for the thread
  * @param {string} botToken - Discord bot token
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<string|null>} - ID of the created thread or null on failure
  */
 async function createThreadFromMessage(channelId, messageId, threadName, botToken, useCanary = false) {
   try {
@@ -322,7 +315,7 @@ async function createThreadFromMessage(channelId, messageId, threadName, botToke
     console.log(`   Thread URL: ${threadUrl}`);
     console.log(`   Using ${useCanary ? 'canary' : 'regular'} API`);
     
-    const response = await fetch(threadUrl, {
+    const response = await discordFetch(threadUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -347,7 +340,7 @@ async function createThreadFromMessage(channelId, messageId, threadName, botToke
         console.error(`   💡 Bot might not have "Create Public Threads" permission in this channel`);
       }
       
-      return false;
+      return null;
     }
     
     const threadData = await response.json().catch(() => null);
@@ -358,11 +351,12 @@ async function createThreadFromMessage(channelId, messageId, threadName, botToke
       console.log(`   ✅ Thread created successfully (no response data)`);
     }
     
-    return true;
+    // Threads created from a message share the message's ID
+    return threadData?.id || messageId;
   } catch (error) {
     console.error(`   ❌ Error creating thread:`, error.message);
     console.error(`   Stack:`, error.stack);
-    return false;
+    return null;
   }
 }
 
@@ -392,7 +386,7 @@ async function getWebhookInfo(webhookUrl, verbose = true) {
     
     if (verbose) console.log(`   Fetching webhook info from: ${webhookInfoUrl}`);
     
-    const response = await fetch(webhookInfoUrl, {
+    const response = await discordFetch(webhookInfoUrl, {
       method: 'GET'
     });
     
@@ -419,7 +413,7 @@ async function getWebhookInfo(webhookUrl, verbose = true) {
  * @param {string} webhookUrl - Discord webhook URL
  * @param {Object} car - Car object to post
  * @param {string} botToken - Optional Discord bot token for thread creation
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<Object|null>} - Posted message info ({ messageId, channelId, threadId }) or null on failure
  */
 export async function postCarToDiscord(webhookUrl, car, botToken = null) {
   try {
@@ -443,7 +437,7 @@ export async function postCarToDiscord(webhookUrl, car, botToken = null) {
     };
     
     console.log(`   Posting message via webhook...`);
-    const response = await fetch(webhookUrlWithWait, {
+    const response = await discordFetch(webhookUrlWithWait, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -455,12 +449,18 @@ export async function postCarToDiscord(webhookUrl, car, botToken = null) {
       const errorText = await response.text();
       console.error(`Failed to post car ${car.id || car.carId} to Discord: ${response.status} ${response.statusText}`);
       console.error(`Error: ${errorText}`);
-      return false;
+      return null;
     }
     
     const responseData = await response.json().catch(() => null);
     console.log(`   Webhook response received, message ID: ${responseData?.id || 'N/A'}`);
     
+    const message = {
+      messageId: responseData?.id || null,
+      channelId: responseData?.channel_id || null,
+      threadId: null
+    };
+    
     // Try to create a thread from the message if bot token is provided
     if (botToken && responseData && responseData.id) {
       console.log(`   Message posted with ID: ${responseData.id}`);
@@ -474,7 +474,7 @@ export async function postCarToDiscord(webhookUrl, car, botToken = null) {
         await new Promise(resolve => setTimeout(resolve, 500));
         
         const useCanary = webhookUrl.includes('canary.discord.com');
-        const threadCreated = await createThreadFromMessage(
+        const threadId = await createThreadFromMessage(
           webhookInfo.channel_id,
           responseData.id,
           threadName,
@@ -482,7 +482,8 @@ export async function postCarToDiscord(webhookUrl, car, botToken = null) {
           useCanary
         );
         
-        if (threadCreated) {
+        if (threadId) {
+          message.threadId = threadId;
           console.log(`✅ Posted car ${car.id || car.carId} to Discord and created thread: ${threadName}`);
         } else {
           console.log(`✅ Posted car ${car.id || car.carId} to Discord (thread creation failed - check logs above)`);
@@ -506,78 +507,186 @@ export async function postCarToDiscord(webhookUrl, car, botToken = null) {
       }
     }
     
-    return true;
+    return message;
   } catch (error) {
     console.error(`Error posting car ${car.id || car.carId} to Discord:`, error.message);
-    return false;
+    return null;
   }
 }
 
 /**
- * Posts multiple cars to Discord
- * @param {string} webhookUrl - Discord webhook URL
- * @param {Array} cars - Array of car objects
- * @param {number} delayMs - Delay between posts in milliseconds (default: 2000)
- * @param {string} botToken - Optional Discord bot token for thread creation
- * @returns {Promise<number>} - Number of successfully posted cars
+ * Formats a numeric price for display in Discord messages
+ * @param {number} price - Price in pounds
+ * @returns {string} - Formatted price (e.g. "£4,995")
  */
-export async function postCarsToDiscord(webhookUrl, cars, delayMs = 2000, botToken = null) {
-  let successCount = 0;
-  
-  for (let i = 0; i < cars.length; i++) {
-    const car = cars[i];
-    console.log(`[${i + 1}/${cars.length}] Posting car ${car.id || car.carId}...`);
-    
-    const success = await postCarToDiscord(webhookUrl, car, botToken);
-    if (success) {
-      successCount++;
-    }
-    
-    // Add delay between posts to avoid rate limiting
-    if (i < cars.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-    }
-  }
-  
-  return successCount;
+function formatPrice(price) {
+  return `£${price.toLocaleString('en-GB')}`;
 }
 
 /**
- * Sends a summary message to Discord without notifying members
+ * Builds the webhook URL for a message previously posted by that webhook
  * @param {string} webhookUrl - Discord webhook URL
- * @param {string} message - Message content to send
+ * @param {string} messageId - Discord message ID
+ * @returns {string} - Webhook message URL
+ */
+function getWebhookMessageUrl(webhookUrl, messageId) {
+  const baseUrl = webhookUrl.split('?')[0].replace(/\/$/, '');
+  return `${baseUrl}/messages/${messageId}`;
+}
+
+/**
+ * Edits the embed of a message previously posted by the webhook
+ * Fetches the current message so fields we don't touch are kept as posted
+ * @param {string} webhookUrl - Discord webhook URL the message was posted with
+ * @param {string} messageId - Discord message ID
+ * @param {Function} updateEmbed - Receives the current embed and returns the updated one
  * @returns {Promise<boolean>} - Success status
  */
-export async function sendSummaryMessage(webhookUrl, message) {
+async function editPostedEmbed(webhookUrl, messageId, updateEmbed) {
   try {
-    // Discord flag to suppress notifications (SUPPRESS_NOTIFICATIONS = 4096)
-    const payload = {
-      content: message,
-      flags: 4096 // Suppress notifications
-    };
+    const messageUrl = getWebhookMessageUrl(webhookUrl, messageId);
     
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
+    const getResponse = await discordFetch(messageUrl, { method: 'GET' });
+    if (!getResponse.ok) {
+      const errorText = await getResponse.text();
+      console.error(`   ❌ Failed to fetch message ${messageId}: ${getResponse.status} ${getResponse.statusText}`);
+      console.error(`   Error details: ${errorText}`);
+      return false;
+    }
+    
+    const message = await getResponse.json();
+    const embed = message.embeds && message.embeds[0];
+    if (!embed) {
+      console.error(`   ⚠️  Message ${messageId} has no embed to edit`);
+      return false;
+    }
+    
+    const response = await discordFetch(messageUrl, {
+      method: 'PATCH',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(payload)
+      body: JSON.stringify({
+        embeds: [updateEmbed(embed), ...message.embeds.slice(1)]
+      })
     });
     
     if (!response.ok) {
       const errorText = await response.text();
-      console.error(`Failed to send summary message: ${response.status} ${response.statusText}`);
-      console.error(`Error: ${errorText}`);
+      console.error(`   ❌ Failed to edit message ${messageId}: ${response.status} ${response.statusText}`);
+      console.error(`   Error details: ${errorText}`);
       return false;
     }
     
     return true;
   } catch (error) {
-    console.error(`Error sending summary message:`, error.message);
+    console.error(`   ❌ Error editing message ${messageId}:`, error.message);
     return false;
   }
 }
 
+/**
+ * Posts a price drop update for a car that has already been posted
+ * Edits the original message to show the old price struck through next to the new one,
+ * and replies in the car's thread (if one was created) so watchers get notified
+ * @param {string} webhookUrl - Discord webhook URL the car was posted with
+ * @param {Object} postedCar - Posted car record ({ messageId, threadId })
+ * @param {Object} car - Latest car object from the search results
+ * @param {number} oldPrice - Previous price
+ * @param {number} newPrice - New (lower) price
+ * @returns {Promise<boolean>} - True if the message was edited or the thread reply was posted
+ */
+export async function postPriceDropUpdate(webhookUrl, postedCar, car, oldPrice, newPrice) {
+  const carId = car.id || car.carId;
+  const priceText = `~~${formatPrice(oldPrice)}~~ **${formatPrice(newPrice)}**`;
+  let updated = false;
+  
+  console.log(`   📉 Price drop for car ${carId}: ${formatPrice(oldPrice)} → ${formatPrice(newPrice)}`);
+  
+  if (postedCar.messageId) {
+    const edited = await editPostedEmbed(webhookUrl, postedCar.messageId, embed => {
+      const fields = (embed.fields || []).filter(field => field.name !== '💰 Price');
+      return {
+        ...embed,
+        fields: [{ name: '💰 Price', value: priceText, inline: true }, ...fields]
+      };
+    });
+    if (edited) {
+      console.log(`   ✅ Updated price on message ${postedCar.messageId}`);
+      updated = true;
+    }
+  }
+  
+  if (postedCar.threadId) {
+    try {
+      const separator = webhookUrl.includes('?') ? '&' : '?';
+      const response = await discordFetch(`${webhookUrl}${separator}thread_id=${postedCar.threadId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          content: `📉 **Price drop:** ${priceText} (-${formatPrice(oldPrice - newPrice)})`
+        })
+      });
+      
+      if (response.ok) {
+        console.log(`   ✅ Posted price drop in thread ${postedCar.threadId}`);
+        updated = true;
+      } else {
+        const errorText = await response.text();
+        console.error(`   ❌ Failed to post price drop in thread: ${response.status} ${response.statusText}`);
+        console.error(`   Error details: ${errorText}`);
+      }
+    } catch (error) {
+      console.error(`   ❌ Error posting price drop in thread:`, error.message);
+    }
+  }
+  
+  return updated;
+}
+
+/**
+ * Marks a posted car's message as sold by greying out its embed and adding a SOLD banner
+ * Autotrader doesn't say whether a removed advert was sold or withdrawn, so both show as SOLD
+ * @param {string} webhookUrl - Discord webhook URL the car was posted with
+ * @param {Object} postedCar - Posted car record ({ messageId, soldAt, listedDays, priceHistory })
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function markCarAsSoldOnDiscord(webhookUrl, postedCar) {
+  if (!postedCar.messageId) {
+    return false;
+  }
+  
+  const soldDate = new Date(postedCar.soldAt).toLocaleDateString('en-GB', { timeZone: 'Europe/London' });
+  const lastPrice = postedCar.priceHistory.length > 0
+    ? postedCar.priceHistory[postedCar.priceHistory.length - 1].price
+    : null;
+  const dayText = postedCar.listedDays === 1 ? 'day' : 'days';
+  let soldText = `Listed for ${postedCar.listedDays} ${dayText}, gone ${soldDate}`;
+  if (lastPrice !== null) {
+    soldText += ` at ${formatPrice(lastPrice)}`;
+  }
+  
+  const edited = await editPostedEmbed(webhookUrl, postedCar.messageId, embed => {
+    const title = embed.title || 'Unknown Car';
+    return {
+      ...embed,
+      title: title.startsWith('🔴 SOLD') ? title : `🔴 SOLD - ${title}`.substring(0, 256), // Discord title limit is 256 chars
+      color: SOLD_EMBED_COLOR,
+      fields: [
+        { name: '🏁 Sold / Withdrawn', value: soldText, inline: false },
+        ...(embed.fields || []).filter(field => field.name !== '🏁 Sold / Withdrawn')
+      ]
+    };
+  });
+  
+  if (edited) {
+    console.log(`   ✅ Marked message ${postedCar.messageId} as sold`);
+  }
+  return edited;
+}
+
 /**
  * Updates the Discord channel topic/description with the last checked datetime
  * @param {string} webhookUrl - Discord webhook URL
@@ -617,7 +726,7 @@ export async function updateChannelTopic(webhookUrl, botToken, lastCheckedText)
       topic: lastCheckedText
     };
     
-    const response = await fetch(channelUrl, {
+    const response = await discordFetch(channelUrl, {
       method: 'PATCH',
       headers: {
         'Content-Type': 'application/json',
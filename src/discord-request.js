@@ -0,0 +1,144 @@
+/**
+ * Discord REST requests that respect Discord's rate limits
+ */
+
+/**
+ * How many times a request is retried after being rate limited (429) before giving up
+ */
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+/**
+ * Rate limit bucket learnt for each route, from the X-RateLimit-Bucket header
+ */
+const routeBuckets = new Map();
+
+/**
+ * Remaining requests and reset time of each bucket ({ remaining, resetAt })
+ */
+const bucketStates = new Map();
+
+/**
+ * Time (ms since epoch) until which every request waits after a global rate limit
+ */
+let globalResetAt = 0;
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets the key a request is rate limited under until Discord tells us its bucket
+ * Edits of different messages share their webhook's limit, so message IDs are left out
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string} Route key
+ */
+function getRouteKey(method, url) {
+  const { pathname } = new URL(url);
+  return `${method} ${pathname.replace(/\/messages\/\d+/, '/messages/:id')}`;
+}
+
+/**
+ * Gets the key of the bucket state a request uses
+ * Discord buckets are shared between routes but limited separately per webhook or channel
+ * @param {string} routeKey - Route key
+ * @returns {string} Bucket state key
+ */
+function getBucketKey(routeKey) {
+  const bucket = routeBuckets.get(routeKey);
+  if (!bucket) {
+    return routeKey;
+  }
+  const majorParameter = routeKey.match(/\/(?:webhooks|channels)\/(\d+)/);
+  return `${bucket}:${majorParameter ? majorParameter[1] : ''}`;
+}
+
+/**
+ * Waits until a request to the route is allowed by the last rate limit headers seen
+ * @param {string} routeKey - Route key
+ */
+async function waitForRateLimit(routeKey) {
+  const globalWaitMs = globalResetAt - Date.now();
+  if (globalWaitMs > 0) {
+    console.log(`   ⏳ Waiting ${(globalWaitMs / 1000).toFixed(1)}s for Discord's global rate limit`);
+    await sleep(globalWaitMs);
+  }
+
+  const state = bucketStates.get(getBucketKey(routeKey));
+  const bucketWaitMs = state && state.remaining <= 0 ? state.resetAt - Date.now() : 0;
+  if (bucketWaitMs > 0) {
+    console.log(`   ⏳ Waiting ${(bucketWaitMs / 1000).toFixed(1)}s for Discord's rate limit to reset`);
+    await sleep(bucketWaitMs);
+  }
+}
+
+/**
+ * Records the rate limit headers of a response
+ * @param {string} routeKey - Route key
+ * @param {Response} response - Fetch response
+ */
+function updateRateLimit(routeKey, response) {
+  const bucket = response.headers.get('x-ratelimit-bucket');
+  if (bucket) {
+    routeBuckets.set(routeKey, bucket);
+  }
+
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  const resetAfter = response.headers.get('x-ratelimit-reset-after');
+  if (remaining !== null && resetAfter !== null) {
+    bucketStates.set(getBucketKey(routeKey), {
+      remaining: parseInt(remaining, 10),
+      resetAt: Date.now() + parseFloat(resetAfter) * 1000
+    });
+  }
+}
+
+/**
+ * Reads how long to wait after a 429 response
+ * Uses retry_after from the body (seconds), falling back to the Retry-After header
+ * @param {Response} response - 429 response
+ * @returns {Promise<Object>} { retryAfterMs, global }
+ */
+async function readRateLimit(response) {
+  const body = await response.clone().json().catch(() => ({}));
+  const retryAfter = parseFloat(body.retry_after ?? response.headers.get('retry-after'));
+  return {
+    retryAfterMs: isNaN(retryAfter) ? 1000 : Math.ceil(retryAfter * 1000),
+    global: Boolean(body.global) || response.headers.get('x-ratelimit-global') === 'true'
+  };
+}
+
+/**
+ * Sends a request to Discord, waiting out rate limits
+ * Requests wait when their bucket is exhausted, and a 429 response is retried after Discord's retry_after
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} Fetch response (still a 429 if rate limited more than MAX_RATE_LIMIT_RETRIES times)
+ */
+export async function discordFetch(url, options = {}) {
+  const routeKey = getRouteKey(options.method || 'GET', url);
+
+  for (let retries = 0; ; retries++) {
+    await waitForRateLimit(routeKey);
+
+    const response = await fetch(url, options);
+    updateRateLimit(routeKey, response);
+
+    if (response.status !== 429 || retries >= MAX_RATE_LIMIT_RETRIES) {
+      return response;
+    }
+
+    const { retryAfterMs, global } = await readRateLimit(response);
+    console.log(`   ⏳ Rate limited by Discord${global ? ' (global)' : ''} - retrying in ${(retryAfterMs / 1000).toFixed(1)}s`);
+    if (global) {
+      globalResetAt = Date.now() + retryAfterMs;
+    } else {
+      bucketStates.set(getBucketKey(routeKey), { remaining: 0, resetAt: Date.now() + retryAfterMs });
+    }
+  }
+}
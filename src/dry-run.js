@@ -0,0 +1,161 @@
+/**
+ * Dry-run previews - what a poll would have posted, written to disk instead of Discord
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createCarEmbed } from './discord-poster.js';
+
+/**
+ * Directory the preview files are written to
+ */
+const DRY_RUN_DIR = path.join(process.cwd(), 'dry-run');
+
+/**
+ * Labels for each decision in the table and preview
+ */
+const DECISION_LABELS = {
+  post: '✅ post',
+  filter: '⏭️ filter',
+  retry: '🔁 retry'
+};
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders Discord markdown used in embeds (bold and strikethrough) as HTML
+ * @param {string} text - Embed text
+ * @returns {string} HTML
+ */
+function renderMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/~~(.+?)~~/g, '<s>$1</s>')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * Renders a Discord embed roughly as Discord shows it
+ * @param {Object} embed - Discord embed object
+ * @returns {string} HTML
+ */
+function renderEmbed(embed) {
+  const color = `#${(embed.color || 0).toString(16).padStart(6, '0')}`;
+  const title = embed.url
+    ? `<a href="${escapeHtml(embed.url)}">${escapeHtml(embed.title)}</a>`
+    : escapeHtml(embed.title);
+  const fields = (embed.fields || []).map(field => `
+      <div class="field${field.inline ? ' inline' : ''}">
+        <div class="name">${escapeHtml(field.name)}</div>
+        <div>${renderMarkdown(field.value)}</div>
+      </div>`).join('');
+
+  return `<div class="embed" style="border-left-color: ${color}">
+    <div class="title">${title}</div>
+    ${embed.description ? `<div class="description">${renderMarkdown(embed.description)}</div>` : ''}
+    <div class="fields">${fields}</div>
+    ${embed.image ? `<img src="${escapeHtml(embed.image.url)}" alt="">` : ''}
+    <div class="footer">${escapeHtml(embed.footer ? embed.footer.text : '')}</div>
+  </div>`;
+}
+
+/**
+ * Renders the preview page
+ * @param {Array<Object>} entries - Preview entries
+ * @returns {string} HTML document
+ */
+function renderPreviewHtml(entries) {
+  const sections = entries.map(entry => `
+  <section>
+    <h2>${escapeHtml(DECISION_LABELS[entry.decision])} - ${escapeHtml(entry.search)} → ${escapeHtml(entry.destination)}</h2>
+    ${entry.reasons.length > 0 ? `<p class="reasons">${entry.reasons.map(escapeHtml).join('<br>')}</p>` : ''}
+    ${renderEmbed(entry.payload.embeds[0])}
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AutoAutoTrader dry run</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #313338; color: #dbdee1; margin: 1rem; }
+  a { color: #00a8fc; }
+  h2 { font-size: 1rem; }
+  .reasons { color: #f0b232; }
+  .embed { background: #2b2d31; border-left: 4px solid; border-radius: 4px; padding: 0.75rem 1rem; max-width: 520px; }
+  .title { font-weight: bold; margin-bottom: 0.5rem; }
+  .description { font-size: 0.9rem; margin-bottom: 0.5rem; }
+  .fields { display: flex; flex-wrap: wrap; gap: 0.5rem 1rem; font-size: 0.9rem; }
+  .field { flex: 1 1 100%; }
+  .field.inline { flex: 1 1 30%; }
+  .name { font-weight: bold; }
+  .embed img { max-width: 100%; margin-top: 0.5rem; border-radius: 4px; }
+  .footer { font-size: 0.75rem; color: #949ba4; margin-top: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>Dry run - ${entries.filter(entry => entry.decision === 'post').length} of ${entries.length} car(s) would be posted</h1>
+${sections || '<p>No new cars found.</p>'}
+</body>
+</html>`;
+}
+
+/**
+ * Writes the would-be Discord payload of each new car to JSON and HTML preview files
+ * @param {Array<Object>} decisions - One { searchName, destination, car, decision, reasons } per new car
+ *   (decision is 'post', 'filter' or 'retry')
+ * @returns {Object} { jsonFile, htmlFile } - paths of the files written
+ */
+export function writeDryRunPreview(decisions) {
+  const entries = decisions.map(({ searchName, destination, car, decision, reasons }) => ({
+    search: searchName,
+    destination,
+    carId: car.id || car.carId,
+    decision,
+    reasons,
+    payload: { embeds: [createCarEmbed(car)] }
+  }));
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const jsonFile = path.join(DRY_RUN_DIR, `preview-${stamp}.json`);
+  const htmlFile = path.join(DRY_RUN_DIR, `preview-${stamp}.html`);
+
+  fs.mkdirSync(DRY_RUN_DIR, { recursive: true });
+  fs.writeFileSync(jsonFile, JSON.stringify(entries, null, 2) + '\n');
+  fs.writeFileSync(htmlFile, renderPreviewHtml(entries));
+
+  return { jsonFile, htmlFile };
+}
+
+/**
+ * Prints a table of which cars would be posted and which would be filtered, with reasons
+ * @param {Array<Object>} decisions - One { searchName, car, decision, reasons } per new car
+ */
+export function printDecisionTable(decisions) {
+  if (decisions.length === 0) {
+    console.log('\nNo new cars - nothing would be posted.');
+    return;
+  }
+
+  console.log('\n📋 Dry run decisions:');
+  console.table(decisions.map(({ searchName, car, decision, reasons }) => ({
+    Search: searchName,
+    ID: car.id || car.carId,
+    Car: (car.title || 'Unknown').substring(0, 40),
+    Price: car.specs.price !== null ? `£${car.specs.price.toLocaleString('en-GB')}` : '-',
+    Decision: DECISION_LABELS[decision],
+    Reasons: reasons.join('; ')
+  })));
+}
@@ -1,193 +1,172 @@
-import puppeteer from 'puppeteer';
-import fs from 'fs/promises';
-import { getSearchConfig } from './search-config.js';
-import { extractDetailsForCars } from './extract-details.js';
+import { loadBotConfig, getSearchConfig, getSearchUrlParams, getSearchDestination } from './search-config.js';
+import { extractCarDetails, extractDetailsForCars } from './extract-details.js';
+import { normaliseCar } from './normalise.js';
+import { parseSearchResults, readEmbeddedData } from './parsers.js';
+import { mergeEmbeddedListings, logFieldSources } from './structured-data.js';
+import { findListingProblems, findDetailProblems, captureDebugArtifacts, createBreakageReport } from './breakage.js';
+import { withRetry } from './retry.js';
+import { openPage, withBrowserSession } from './browser-session.js';
+import { runWithPagePool } from './page-pool.js';
+import { takeBlockedRequestCount, formatDuration, describeLoadTimes } from './page-loading.js';
+import { getFilterReasons } from './filters.js';
+import { writeDryRunPreview, printDecisionTable } from './dry-run.js';
+
+/**
+ * Number of results pages loaded for a search that doesn't set maxPages
+ */
+const DEFAULT_MAX_PAGES = 5;
+
+/**
+ * Logs how long a search's pages took to load
+ * @param {string} searchName - Name of the search
+ * @param {Array<Object>} pages - Results pages loaded, with their `loadMs`
+ * @param {Array<Object>} detailPages - Detail pages loaded, with their `loadMs` (missing if the page failed)
+ */
+function logLoadTimes(searchName, pages, detailPages) {
+  const summaries = [
+    describeLoadTimes('results page(s)', pages.map(page => page.loadMs)),
+    describeLoadTimes('detail page(s)', detailPages.filter(details => details.loadMs !== undefined).map(details => details.loadMs))
+  ].filter(Boolean);
+  if (summaries.length > 0) {
+    console.log(`\n⏱️  Page loads for ${searchName}: ${summaries.join('; ')}`);
+  }
+}
 
 /**
  * Extracts car listings from Autotrader based on search criteria
- * @param {Set<string>} postedCarIds - Optional set of already-posted car IDs to skip detail extraction for
+ * @param {Set<string>|Map<string, Object>} postedCarIds - Optional collection of already-posted car IDs to skip detail extraction for
  * @param {Object} searchConfig - Optional search configuration object (uses default if not provided)
- * @returns {Promise<Array>} Array of car objects with detailed information
+ * @param {Object} options - { recentListingCounts, previousListingCount } - first-page listing counts of the search's
+ *   recent healthy runs and of its latest run, used to spot a sudden drop in listings
+ * @returns {Promise<Object>} { cars, pages, breakage } - cars: normalised car records (see normaliseCar), new cars with detailed
+ *   information and already-posted cars with listing data only; pages: one { page, listings, newListings } entry per results page loaded;
+ *   breakage: report of signs the scraper is broken (see createBreakageReport), or null if the run looks healthy
  */
-async function extractCarsFromAutotrader(postedCarIds = null, searchConfig = null) {
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu'
-    ]
-  });
+async function extractCarsFromAutotrader(postedCarIds = null, searchConfig = null, { recentListingCounts = [], previousListingCount = null } = {}) {
+  return withBrowserSession(() => extractSearch(postedCarIds, searchConfig, { recentListingCounts, previousListingCount }));
+}
 
-  try {
-    const page = await browser.newPage();
-    
-    // Set a reasonable viewport size
-    await page.setViewport({ width: 1920, height: 1080 });
-    
-    // Set user agent to avoid detection
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+/**
+ * Extracts a search's listings and new cars' details using the shared browser (see extractCarsFromAutotrader)
+ * @param {Set<string>|Map<string, Object>} postedCarIds - Optional collection of already-posted car IDs
+ * @param {Object} searchConfig - Optional search configuration object
+ * @param {Object} listingHistory - { recentListingCounts, previousListingCount } (see extractCarsFromAutotrader)
+ * @returns {Promise<Object>} { cars, pages, breakage }
+ */
+async function extractSearch(postedCarIds, searchConfig, { recentListingCounts, previousListingCount }) {
+  const { retry: retryPolicy, scraping: scrapingPolicy, requests: requestPolicy } = loadBotConfig();
+  let page = await openPage(requestPolicy);
 
+  try {
     // Build the Autotrader search URL with parameters
     // Based on actual Autotrader URL format from user's search
     const configToUse = searchConfig || getSearchConfig();
-    // Remove metadata fields that aren't URL parameters
-    const { name, 'max-price': maxPrice, 'max-milage': maxMileage, 'max-distance': maxDistance, ...searchParamsObj } = configToUse;
-    const searchParams = new URLSearchParams(searchParamsObj);
+    const searchName = configToUse.name || 'Unnamed Search';
+    const searchParams = new URLSearchParams(getSearchUrlParams(configToUse));
+    const maxPages = configToUse.maxPages || DEFAULT_MAX_PAGES;
+    // Results sorted by most recent can stop once a page holds nothing new
+    const stopAtSeenPage = configToUse.stopAtSeenPage ?? configToUse.sort === 'most-recent';
 
-    const autotraderUrl = `https://www.autotrader.co.uk/car-search?${searchParams.toString()}`;
-    
-    console.log('Navigating to:', autotraderUrl);
-    
-    await page.goto(autotraderUrl, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    });
+    const cars = [];
+    const pages = [];
+    const foundIds = new Set();
+    let problems = [];
+    let artifacts = null;
 
-    // Wait for the listings to load - target the actual listing container
-    await page.waitForSelector('li[data-advertid]', { timeout: 10000 }).catch(() => {
-      console.log('Listings selector not found, trying alternative selectors...');
-    });
-
-    // Give the page a moment to fully render
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Extract car listings
-    const cars = await page.evaluate(() => {
-      const listings = [];
+    for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+      searchParams.set('page', String(pageNumber));
+      const autotraderUrl = `https://www.autotrader.co.uk/car-search?${searchParams.toString()}`;
+      
+      console.log(`Navigating to page ${pageNumber}/${maxPages}:`, autotraderUrl);
       
-      // Target the actual listing elements based on the HTML structure
-      // Each listing is an <li> with data-advertid attribute
-      const listingSelectors = [
-        'li[data-advertid]',
-        'li[data-testid^="id-"]',
-        '[data-testid="advertCard-0"]',
-        '[data-testid="search-listing"]'
-      ];
-
-      let listingElements = [];
-      for (const selector of listingSelectors) {
-        listingElements = Array.from(document.querySelectorAll(selector));
-        if (listingElements.length > 0) {
-          console.log(`Found ${listingElements.length} listings using selector: ${selector}`);
-          break;
+      const loadStartedAt = Date.now();
+      await withRetry(async (attempt, attempts) => {
+        // The browser is relaunched after a crash, but the page has to be reopened
+        if (page.isClosed() || !page.browser().connected) {
+          page = await openPage(requestPolicy);
         }
-      }
-
-      if (listingElements.length === 0) {
-        // Fallback: try to find any listing-like elements
-        listingElements = Array.from(document.querySelectorAll('li[class*="sc-mddoqs-1"]'));
-        console.log(`Fallback: Found ${listingElements.length} potential listings`);
-      }
+        await page.goto(autotraderUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: 30000
+        });
 
-      listingElements.forEach((element, index) => {
-        try {
-          // Extract car ID from data-advertid attribute (most reliable)
-          let carId = element.getAttribute('data-advertid') || 
-                      element.getAttribute('data-testid')?.replace('id-', '') ||
-                      element.getAttribute('id')?.replace('id-', '');
-          
-          // If no ID found, try to get it from a link
-          if (!carId) {
-            const link = element.querySelector('a[href*="/car-details"]');
-            if (link) {
-              const href = link.getAttribute('href');
-              const idMatch = href.match(/\/car-details\/(\d+)/);
-              if (idMatch) {
-                carId = idMatch[1];
-              }
-            }
+        // Wait for the listings to load - target the actual listing container
+        // An empty first page is more likely a slow load than no results, so retry it;
+        // later pages run out of listings normally
+        await page.waitForSelector('li[data-advertid]', { timeout: 10000 }).catch(() => {
+          if (pageNumber === 1 && attempt < attempts) {
+            throw new Error('Listings selector not found');
           }
+          console.log('Listings selector not found, trying alternative selectors...');
+        });
+      }, { ...retryPolicy, label: `Loading results page ${pageNumber}` });
+      const loadMs = Date.now() - loadStartedAt;
+      const blockedRequests = takeBlockedRequestCount(page);
 
-          // Extract title from the search-listing-title link
-          const titleLink = element.querySelector('[data-testid="search-listing-title"]');
-          const title = titleLink ? titleLink.textContent.trim() : 'Unknown';
-
-          // Extract price - look for the price span
-          const priceElement = element.querySelector('span[class*="sc-1n64n0d-8"]') ||
-                              element.querySelector('[class*="price"]') ||
-                              element.querySelector('.sc-1mc7cl3-16');
-          const price = priceElement ? priceElement.textContent.trim() : 'Price not available';
-
-          // Extract mileage from data-testid="mileage"
-          const mileageElement = element.querySelector('[data-testid="mileage"]');
-          const mileage = mileageElement ? mileageElement.textContent.trim() : 'Unknown';
-
-          // Extract year from data-testid="registered_year"
-          const yearElement = element.querySelector('[data-testid="registered_year"]');
-          const year = yearElement ? yearElement.textContent.trim() : 'Unknown';
-
-          // Extract location from data-testid="search-listing-location"
-          const locationElement = element.querySelector('[data-testid="search-listing-location"]');
-          const location = locationElement ? locationElement.textContent.trim() : 'Unknown';
-
-          // Extract link from title link or first car-details link
-          const carLinkElement = titleLink || element.querySelector('a[href*="/car-details"]');
-          let carLink = null;
-          if (carLinkElement) {
-            const href = carLinkElement.getAttribute('href');
-            carLink = href.startsWith('http') ? href : `https://www.autotrader.co.uk${href}`;
-          }
+      // Extract car listings, skipping any already found on an earlier page (e.g. promoted adverts)
+      // Structured data embedded in the page comes first, with the markup as a fallback
+      const pageListings = mergeEmbeddedListings(
+        await page.evaluate(parseSearchResults),
+        await page.evaluate(readEmbeddedData)
+      );
+      logFieldSources(`Page ${pageNumber}`, pageListings);
+      const pageCars = pageListings.filter(car => !foundIds.has(car.id));
+      pageCars.forEach(car => foundIds.add(car.id));
 
-          // Extract image - get the main image from the carousel
-          const imageElement = element.querySelector('img.main-image') ||
-                              element.querySelector('img[alt*="Main listing image"]') ||
-                              element.querySelector('img[src*="atcdn.co.uk"]');
-          const imageUrl = imageElement ? imageElement.src : null;
-
-          // Only add if we have at least an ID or a valid title
-          if (carId || (title !== 'Unknown' && title.length > 0)) {
-            listings.push({
-              id: carId || `temp-${index}`,
-              title,
-              price,
-              mileage,
-              year,
-              location,
-              link: carLink,
-              imageUrl,
-              extractedAt: new Date().toISOString()
-            });
-          }
-        } catch (error) {
-          console.error(`Error extracting listing ${index}:`, error);
+      const unseenCount = postedCarIds
+        ? pageCars.filter(car => !postedCarIds.has(car.id)).length
+        : pageCars.length;
+      pages.push({ page: pageNumber, listings: pageCars.length, newListings: unseenCount, loadMs });
+      console.log(`Page ${pageNumber}: ${pageCars.length} listing(s), ${unseenCount} not seen before (loaded in ${formatDuration(loadMs)}, ${blockedRequests} request(s) blocked)`);
+
+      // No listings, or far fewer than usual, on the first page suggests the page structure has changed
+      if (pageNumber === 1) {
+        problems = findListingProblems(pages, recentListingCounts, previousListingCount);
+        if (problems.length > 0) {
+          console.log(`\n⚠️  ${problems.join('; ')}. The page structure might have changed.`);
+          artifacts = await captureDebugArtifacts(page).catch(() => null);
         }
-      });
+      }
 
-      return listings;
-    });
+      // Past the last page Autotrader returns no listings (or repeats the last page)
+      if (pageCars.length === 0) {
+        break;
+      }
+      cars.push(...pageCars);
+
+      if (stopAtSeenPage && unseenCount === 0) {
+        console.log(`All listings on page ${pageNumber} have been seen before - stopping early`);
+        break;
+      }
+
+      // Add a small delay between pages to be respectful
+      if (pageNumber < maxPages) {
+        await new Promise(resolve => setTimeout(resolve, scrapingPolicy.delayMs));
+      }
+    }
 
-    console.log(`\nExtracted ${cars.length} car listings`);
+    console.log(`\nExtracted ${cars.length} car listings from ${pages.length} page(s)`);
     
     if (cars.length === 0) {
-      console.log('\n⚠️  No cars found. The page structure might have changed.');
-      console.log('Taking a screenshot for debugging...');
-      await page.screenshot({ path: 'debug-screenshot.png', fullPage: true });
-      console.log('Screenshot saved as debug-screenshot.png');
-
-      // Also save page HTML for inspection
-      const html = await page.content();
-      await fs.writeFile('debug-page.html', html);
-      console.log('Page HTML saved as debug-page.html');
-      
-      await page.close();
-      return cars;
+      logLoadTimes(searchName, pages, []);
+      const breakage = await createBreakageReport({ searchName, problems, listings: cars, artifacts });
+      return { cars, pages, breakage };
     }
 
-    // Close the initial page as we'll use a new one for detail extraction
+    // Close the results page as detail extraction uses its own pool of pages
     await page.close();
 
     // Filter out already-posted cars if we have the list
     let carsToProcess = cars;
+    let postedCars = [];
     if (postedCarIds && postedCarIds.size > 0) {
       const newCars = cars.filter(car => {
         const carId = car.id || car.carId;
         return carId && !postedCarIds.has(carId);
       });
+      postedCars = cars.filter(car => !newCars.includes(car));
       
-      const skippedCount = cars.length - newCars.length;
+      const skippedCount = postedCars.length;
       if (skippedCount > 0) {
         console.log(`\n⏭️  Skipping ${skippedCount} already-posted car(s) (no detail extraction needed)`);
       }
@@ -196,9 +175,19 @@ async function extractCarsFromAutotrader(postedCarIds = null, searchConfig = nul
 
     // Extract detailed information only for new cars
     let detailedCars = [];
+    let detailPages = [];
     if (carsToProcess.length > 0) {
       console.log(`\n📋 Extracting detailed information for ${carsToProcess.length} new car(s)...`);
-      detailedCars = await extractDetailsForCars(browser, carsToProcess);
+      const extracted = await extractDetailsForCars(carsToProcess, retryPolicy, scrapingPolicy, requestPolicy);
+      detailedCars = extracted.detailedCars;
+      detailPages = extracted.detailPages;
+
+      const detailProblems = findDetailProblems(detailPages);
+      if (detailProblems.length > 0) {
+        console.log(`\n⚠️  ${detailProblems.join('; ')}. The detail page structure might have changed.`);
+        problems = [...problems, ...detailProblems];
+        artifacts = artifacts || extracted.emptyPageArtifacts;
+      }
     } else {
       console.log(`\n✅ All cars have already been posted - no detail extraction needed`);
     }
@@ -219,24 +208,86 @@ async function extractCarsFromAutotrader(postedCarIds = null, searchConfig = nul
       console.log(`   Location: ${car.contactLocation || car.sellerLocation || 'N/A'}`);
       console.log(`   Link: ${car.link || car.url || 'N/A'}`);
     });
-    
 
+    logLoadTimes(searchName, pages, detailPages);
+
+    const breakage = problems.length > 0
+      ? await createBreakageReport({ searchName, problems, listings: cars, detailPages, artifacts })
+      : null;
 
-    return detailedCars;
+    // Already-posted cars are returned with their listing data only (used for price tracking)
+    return {
+      cars: [...detailedCars, ...postedCars].map(normaliseCar),
+      pages,
+      breakage
+    };
 
   } catch (error) {
     console.error('Error extracting cars:', error);
     throw error;
   } finally {
-    await browser.close();
+    if (!page.isClosed()) {
+      await page.close().catch(() => {});
+    }
   }
 }
 
+/**
+ * Checks whether previously seen cars are still advertised by visiting their detail pages
+ * @param {Array<Object>} cars - Cars to check, each with an id and link
+ * @returns {Promise<Object>} { checkedIds, unavailableIds } - IDs of the cars whose detail page loaded
+ *   (cars that failed to load weren't checked), and of those whose adverts are no longer available
+ */
+async function checkCarsAvailability(cars) {
+  const checkedIds = new Set();
+  const unavailableIds = new Set();
+  if (cars.length === 0) {
+    return { checkedIds, unavailableIds };
+  }
+
+  const { retry: retryPolicy, scraping: scrapingPolicy, requests: requestPolicy } = loadBotConfig();
+
+  await withBrowserSession(() => runWithPagePool(cars, async (page, car, i) => {
+    console.log(`[${i + 1}/${cars.length}] Checking if car ${car.id} is still listed...`);
+
+    const details = await extractCarDetails(page, car.link.split('?')[0], car.id, retryPolicy);
+    if (details.error) {
+      return;
+    }
+    checkedIds.add(car.id);
+    if (details.unavailable) {
+      unavailableIds.add(car.id);
+    }
+  }, {
+    openPage: () => openPage(requestPolicy),
+    concurrency: scrapingPolicy.detailConcurrency,
+    delayMs: scrapingPolicy.delayMs
+  }));
+
+  return { checkedIds, unavailableIds };
+}
+
 // Run the extraction if this file is executed directly
 if (process.argv[1] && process.argv[1].includes('extract.js')) {
   extractCarsFromAutotrader()
-    .then(cars => {
-      console.log(`\n✅ Extraction complete! Found ${cars.length} cars.`);
+    .then(({ cars, pages, breakage }) => {
+      console.log(`\n✅ Extraction complete! Found ${cars.length} cars across ${pages.length} page(s).`);
+      if (breakage) {
+        console.log(`\n🚨 The scraper may be broken:\n   ${breakage.problems.join('\n   ')}`);
+      }
+      
+      // With --dry-run, show what the first search would post (deal scores need the poller's listing store)
+      if (process.argv.includes('--dry-run')) {
+        const searchConfig = getSearchConfig();
+        const destination = getSearchDestination(searchConfig).name;
+        const decisions = cars.map(car => {
+          const reasons = getFilterReasons(car, searchConfig);
+          return { searchName: searchConfig.name, destination, car, decision: reasons.length === 0 ? 'post' : 'filter', reasons };
+        });
+        printDecisionTable(decisions);
+        const { jsonFile, htmlFile } = writeDryRunPreview(decisions);
+        console.log(`\n🧪 Previews written to:\n   ${jsonFile}\n   ${htmlFile}`);
+      }
       process.exit(0);
     })
     .catch(error => {
@@ -245,4 +296,4 @@ if (process.argv[1] && process.argv[1].includes('extract.js')) {
     });
 }
 
-export { extractCarsFromAutotrader };
+export { extractCarsFromAutotrader, checkCarsAvailability };
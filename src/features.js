@@ -0,0 +1,106 @@
+/**
+ * Feature word patterns from the featureWords section of config.json, and detecting them in car descriptions
+ */
+
+/**
+ * Compiles a featureWords pattern into a regular expression
+ * Patterns written as /pattern/flags are regular expressions (flags default to "i");
+ * anything else is matched as plain text, case-insensitively
+ * @param {string} pattern - Pattern from config.json
+ * @returns {RegExp} Compiled pattern
+ * @throws {SyntaxError} If a /pattern/ is not a valid regular expression
+ */
+export function compileFeaturePattern(pattern) {
+  const lastSlashIndex = pattern.lastIndexOf('/');
+  if (pattern.startsWith('/') && lastSlashIndex > 0) {
+    const regexPattern = pattern.substring(1, lastSlashIndex);
+    // If there's text after the last slash, use it as flags, otherwise default to 'i'
+    const flags = lastSlashIndex < pattern.length - 1
+      ? pattern.substring(lastSlashIndex + 1)
+      : 'i';
+    return new RegExp(regexPattern, flags);
+  }
+
+  return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+/**
+ * Words before a mention that mean the car doesn't have the feature, e.g. "no bluetooth"
+ * Up to three words may sit between the cue and the mention ("no working AUX", "without cruise control or bluetooth")
+ */
+const NEGATION_BEFORE = /\b(?:no|not|non|without|missing|lacks?|lacking)\b(?:[\s-]+[\w'-]+){0,3}[\s-]*$/i;
+
+/**
+ * Words after a mention that mean the feature doesn't work, e.g. "AUX not working"
+ */
+const NEGATION_AFTER = /^[\s-]*(?:[\w'-]+\s+)?(?:(?:is|are)\s+)?(?:not\s+(?:working|work(?:s|ing)?|present|fitted)|(?:doesn'?t|does\s+not|don'?t|do\s+not)\s+work|broken|faulty|inoperative|u\/s|missing|needs?\s+(?:repair|fixing|replacing))\b/i;
+
+/**
+ * Text that ends the clause a mention is in; negation cues beyond it don't apply
+ */
+const CLAUSE_BREAK = /[.!?;,\n]/;
+
+/**
+ * Checks if a mention of a feature is negated by the words around it
+ * @param {string} text - Description text
+ * @param {number} start - Index of the mention
+ * @param {number} end - Index just after the mention
+ * @returns {boolean} True if the mention says the car lacks the feature or it doesn't work
+ */
+function isNegatedMention(text, start, end) {
+  const before = text.substring(0, start).split(CLAUSE_BREAK).pop();
+  const after = text.substring(end).split(CLAUSE_BREAK)[0];
+  return NEGATION_BEFORE.test(before) || NEGATION_AFTER.test(after);
+}
+
+/**
+ * Checks if text mentions a pattern without negating it
+ * Matches with a copy of the pattern, so a /pattern/g from config.json keeps no lastIndex between adverts
+ * @param {string} text - Advert text, such as the description
+ * @param {RegExp} regex - Compiled feature or red flag pattern
+ * @returns {boolean} True if at least one mention isn't negated
+ */
+export function hasPositiveMention(text, regex) {
+  const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
+  for (const match of text.matchAll(new RegExp(regex.source, flags))) {
+    // Empty matches can't be a mention of anything
+    if (match[0].length > 0 && !isNegatedMention(text, match.index, match.index + match[0].length)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Detects features in a car description based on configured feature words
+ * Mentions such as "no bluetooth" or "AUX not working" don't count as the car having the feature
+ * @param {string} description - Car description text
+ * @param {Object} featureWords - Feature names mapped to their patterns, from config.json
+ * @returns {Array<string>} Array of detected feature names
+ */
+export function detectFeatures(description, featureWords = {}) {
+  if (!description || typeof description !== 'string') {
+    return [];
+  }
+
+  const detectedFeatures = [];
+  for (const [featureName, patterns] of Object.entries(featureWords)) {
+    if (!Array.isArray(patterns)) {
+      continue;
+    }
+
+    for (const pattern of patterns) {
+      try {
+        if (hasPositiveMention(description, compileFeaturePattern(pattern))) {
+          detectedFeatures.push(featureName);
+          break; // Found a match for this feature, move to next feature
+        }
+      } catch (error) {
+        // Skip invalid regex patterns
+        console.warn(`Invalid pattern for feature "${featureName}": ${pattern}`, error.message);
+      }
+    }
+  }
+
+  return detectedFeatures;
+}
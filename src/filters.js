@@ -0,0 +1,259 @@
+/**
+ * Filters deciding which new cars are posted
+ * A search can limit cars with max-price, max-milage and max-distance, with a `filters` block
+ * of rules on any of the FILTER_FIELDS below, and with requiredFeatures and excludedFeatures.
+ * Cars with a high severity red flag are never posted, and searches with `relisted: "suppress"` skip relisted cars
+ */
+
+import { isDealScoreAboveMinimum } from './deal-score.js';
+import { compileFeaturePattern } from './features.js';
+import { isRejectingRedFlag } from './red-flags.js';
+import { describeRelist } from './fingerprint.js';
+
+/**
+ * Fields a search's `filters` block can have rules for
+ * Number fields take a value, a list of values or a { min, max } range;
+ * text fields take a pattern, a list of allowed patterns or { allow, deny } lists
+ */
+export const FILTER_FIELDS = {
+  price: { type: 'number', label: 'price', getValue: car => car.specs.price, format: value => `£${value.toLocaleString('en-GB')}` },
+  mileage: { type: 'number', label: 'mileage', getValue: car => car.specs.mileage, format: value => `${value.toLocaleString('en-GB')} miles` },
+  distance: { type: 'number', label: 'distance', getValue: car => car.specs.distanceMiles, format: value => `${value} miles` },
+  year: { type: 'number', label: 'year', getValue: car => car.specs.year, format: String },
+  engineSize: { type: 'number', label: 'engine size', getValue: car => car.specs.engineLitres, format: value => `${value}L` },
+  seats: { type: 'number', label: 'seats', getValue: car => car.specs.seats, format: String },
+  doors: { type: 'number', label: 'doors', getValue: car => car.specs.doors, format: String },
+  owners: { type: 'number', label: 'owners', getValue: car => car.specs.owners, format: String },
+  gearbox: { type: 'text', label: 'gearbox', getValue: car => car.gearbox },
+  fuelType: { type: 'text', label: 'fuel type', getValue: car => car.fuelType },
+  bodyType: { type: 'text', label: 'body type', getValue: car => car.bodyType },
+  colour: { type: 'text', label: 'colour', getValue: car => car.bodyColour },
+  sellerName: { type: 'text', label: 'seller', getValue: car => car.sellerName }
+};
+
+/**
+ * Older search settings that are maximums on one of the filter fields
+ */
+const LIMIT_SETTINGS = {
+  'max-price': 'price',
+  'max-milage': 'mileage',
+  'max-distance': 'distance'
+};
+
+/**
+ * Reads a number from config, which may be written as a string
+ * @param {string|number} value - Value from config
+ * @returns {number} The number (NaN if it isn't one)
+ */
+function toNumber(value) {
+  return typeof value === 'string' ? parseFloat(value) : value;
+}
+
+/**
+ * Turns a single value or a list from config into a list
+ * @param {*} value - Value from config
+ * @returns {Array} The value as a list (empty if not set)
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Checks a text value against a pattern from config
+ * Patterns written as /pattern/flags are regular expressions; anything else must match the whole value, ignoring case
+ * @param {string} value - Car's value
+ * @param {string} pattern - Pattern from config
+ * @returns {boolean} True if the value matches
+ */
+function matchesPattern(value, pattern) {
+  const text = String(pattern);
+  if (text.startsWith('/') && text.lastIndexOf('/') > 0) {
+    return compileFeaturePattern(text).test(value);
+  }
+  return value.trim().toLowerCase() === text.trim().toLowerCase();
+}
+
+/**
+ * Checks a number against a rule
+ * @param {number} value - Car's value
+ * @param {*} condition - Value, list of values or { min, max } range from config
+ * @param {Object} field - Filter field
+ * @returns {string|null} Reason the value fails the rule, or null if it passes
+ */
+function checkNumberRule(value, condition, field) {
+  const { label, format } = field;
+
+  if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+    // Bounds that aren't numbers are ignored rather than filtering everything out
+    const min = toNumber(condition.min);
+    const max = toNumber(condition.max);
+    if (!isNaN(min) && value < min) {
+      return `${label} ${format(value)} under min ${format(min)}`;
+    }
+    if (!isNaN(max) && value > max) {
+      return `${label} ${format(value)} over max ${format(max)}`;
+    }
+    return null;
+  }
+
+  const allowed = toList(condition).map(toNumber).filter(number => !isNaN(number));
+  if (allowed.length > 0 && !allowed.includes(value)) {
+    return `${label} ${format(value)} not one of ${allowed.map(format).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Checks a text value against a rule
+ * @param {string} value - Car's value
+ * @param {*} condition - Pattern, list of allowed patterns or { allow, deny } lists from config
+ * @param {Object} field - Filter field
+ * @returns {string|null} Reason the value fails the rule, or null if it passes
+ */
+function checkTextRule(value, condition, field) {
+  const isAllowDeny = condition && typeof condition === 'object' && !Array.isArray(condition);
+  const allow = toList(isAllowDeny ? condition.allow : condition);
+  const deny = isAllowDeny ? toList(condition.deny) : [];
+
+  const deniedBy = deny.find(pattern => matchesPattern(value, pattern));
+  if (deniedBy !== undefined) {
+    return `${field.label} "${value}" is denied (${deniedBy})`;
+  }
+  if (allow.length > 0 && !allow.some(pattern => matchesPattern(value, pattern))) {
+    return `${field.label} "${value}" not in allowed list (${allow.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Collects a search's filter rules
+ * @param {Object} searchConfig - Search configuration object
+ * @returns {Array<Object>} Rules ({ rule, field, condition }), where `rule` is the setting the rule came from
+ */
+export function getFilterRules(searchConfig) {
+  const rules = [];
+
+  for (const [setting, fieldName] of Object.entries(LIMIT_SETTINGS)) {
+    // An empty or zero limit means no limit
+    if (searchConfig[setting]) {
+      rules.push({ rule: setting, field: FILTER_FIELDS[fieldName], condition: { max: searchConfig[setting] } });
+    }
+  }
+
+  for (const [fieldName, condition] of Object.entries(searchConfig.filters || {})) {
+    // Unknown fields are warned about when config.json is loaded
+    if (FILTER_FIELDS[fieldName]) {
+      rules.push({ rule: `filters.${fieldName}`, field: FILTER_FIELDS[fieldName], condition });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Checks if a search filters cars at all
+ * @param {Object} searchConfig - Search configuration object
+ * @returns {boolean} True if the search has filter rules, feature requirements, suppresses relists or has a minimum deal score
+ */
+export function hasFilters(searchConfig) {
+  return getFilterRules(searchConfig).length > 0
+    || (searchConfig.requiredFeatures || []).length > 0
+    || (searchConfig.excludedFeatures || []).length > 0
+    || searchConfig.relisted === 'suppress'
+    || searchConfig.minDealScore !== undefined;
+}
+
+/**
+ * Works out which of a search's rules a car fails
+ * Cars missing a value are let through (better to post than miss a good deal)
+ * @param {Object} car - Normalised car object (with its deal score, detected features, red flags and relist details, if any)
+ * @param {Object} searchConfig - Search configuration object
+ * @returns {Array<Object>} Failed rules ({ rule, reason }), empty if the car passes
+ */
+export function getFilterFailures(car, searchConfig) {
+  const failures = [];
+
+  for (const { rule, field, condition } of getFilterRules(searchConfig)) {
+    const value = field.getValue(car);
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    const reason = field.type === 'number'
+      ? checkNumberRule(value, condition, field)
+      : checkTextRule(String(value), condition, field);
+    if (reason) {
+      failures.push({ rule, reason });
+    }
+  }
+
+  // Without a description there's nothing to detect features in, so the car can't be judged on them
+  if (car.description && car.features) {
+    for (const feature of searchConfig.requiredFeatures || []) {
+      if (!car.features.includes(feature)) {
+        failures.push({ rule: 'requiredFeatures', reason: `missing required feature ${feature}` });
+      }
+    }
+    for (const feature of searchConfig.excludedFeatures || []) {
+      if (car.features.includes(feature)) {
+        failures.push({ rule: 'excludedFeatures', reason: `has excluded feature ${feature}` });
+      }
+    }
+  }
+
+  for (const redFlag of (car.redFlags || []).filter(isRejectingRedFlag)) {
+    failures.push({ rule: 'redFlags', reason: `red flag: ${redFlag.name}` });
+  }
+
+  if (car.relist && searchConfig.relisted === 'suppress') {
+    failures.push({ rule: 'relisted', reason: `${describeRelist(car.relist)} from ${car.relist.originalId}` });
+  }
+
+  const minDealScore = searchConfig.minDealScore;
+  if (!isDealScoreAboveMinimum(car, minDealScore)) {
+    failures.push({ rule: 'minDealScore', reason: `deal score ${car.deal.score} below min ${minDealScore}` });
+  }
+
+  return failures;
+}
+
+/**
+ * Works out why a car would not be posted for a search
+ * @param {Object} car - Normalised car object (with its deal score, if any)
+ * @param {Object} searchConfig - Search configuration object
+ * @returns {Array<string>} Reasons the car fails the search's filters (empty if it passes)
+ */
+export function getFilterReasons(car, searchConfig) {
+  return getFilterFailures(car, searchConfig).map(failure => failure.reason);
+}
+
+/**
+ * Counts the filtered cars each rule rejected
+ * A car failing several rules is counted under each of them
+ * @param {Array<Object>} cars - Filtered cars, with their `filterFailures`
+ * @returns {Object} Number of cars rejected, keyed by rule
+ */
+export function countFilterFailures(cars) {
+  const counts = {};
+  for (const car of cars) {
+    for (const rule of new Set((car.filterFailures || []).map(failure => failure.rule))) {
+      counts[rule] = (counts[rule] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Formats rule counts for summaries
+ * @param {Object} counts - Number of cars rejected, keyed by rule
+ * @returns {string} e.g. "max-price 3, filters.gearbox 1" (empty if nothing was filtered)
+ */
+export function formatFilterCounts(counts = {}) {
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([rule, count]) => `${rule} ${count}`)
+    .join(', ');
+}
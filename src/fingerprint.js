@@ -0,0 +1,108 @@
+/**
+ * Fingerprints for spotting a car relisted under a new advert ID
+ * Dealers pull and relist cars to move them up the "most-recent" sort; the relisted advert gets a new ID
+ * but keeps the same car details, photos and description
+ */
+
+import crypto from 'crypto';
+import { getCarSpecs } from './normalise.js';
+
+/**
+ * Fingerprint parts besides year and mileage, of which at least this many must be known
+ * Fewer than this and different cars of the same age and mileage could share a fingerprint
+ */
+const MIN_IDENTIFYING_PARTS = 2;
+
+/**
+ * Hashes text into a short hex string
+ * @param {string} text - Text to hash
+ * @returns {string} First 16 hex characters of its SHA-1 hash
+ */
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').substring(0, 16);
+}
+
+/**
+ * Normalises free text so small edits to spacing, case or punctuation don't change it
+ * @param {string} text - Text
+ * @returns {string} Lowercase words separated by single spaces (empty if there is no text)
+ */
+function normaliseText(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Gets the address of a car's first photo, without its size or query string
+ * Autotrader serves each photo at several sizes (e.g. /w480/ and /w800/), so these are dropped
+ * @param {Object} car - Car object
+ * @returns {string} Normalised image URL (empty if the car has no photos)
+ */
+function getFirstImageKey(car) {
+  const firstImage = car.images && car.images.length > 0
+    ? car.images[0].full || car.images[0].thumbnail
+    : car.imageUrl;
+  if (!firstImage) {
+    return '';
+  }
+  return firstImage.split('?')[0].replace(/\/w\d+(?:h\d+)?\//, '/').toLowerCase();
+}
+
+/**
+ * Builds a fingerprint identifying a car across adverts
+ * Made from its registration year, mileage, colour, seller, first photo and a hash of its description
+ * @param {Object} car - Car object with its details
+ * @returns {string|null} Fingerprint, or null if too little is known about the car to tell it apart
+ */
+export function getCarFingerprint(car) {
+  const specs = getCarSpecs(car);
+  if (specs.year === null || specs.mileage === null) {
+    return null;
+  }
+
+  const description = normaliseText(car.description);
+  const identifyingParts = [
+    normaliseText(car.bodyColour),
+    normaliseText(car.sellerName),
+    getFirstImageKey(car),
+    description ? hashText(description) : ''
+  ];
+  if (identifyingParts.filter(Boolean).length < MIN_IDENTIFYING_PARTS) {
+    return null;
+  }
+
+  return hashText([specs.year, specs.mileage, ...identifyingParts].join('|'));
+}
+
+/**
+ * Describes the original advert of a relisted car
+ * @param {Object} original - Listing the car was first seen as, from the listing store
+ * @param {Date} now - Current time
+ * @returns {Object} Relist details ({ originalId, originalLink, firstSeenAt, daysSinceFirstSeen, previousPrice })
+ */
+export function getRelistDetails(original, now = new Date()) {
+  const lastPrice = original.priceHistory.length > 0
+    ? original.priceHistory[original.priceHistory.length - 1].price
+    : null;
+
+  return {
+    originalId: original.id,
+    originalLink: original.link,
+    firstSeenAt: original.firstSeenAt,
+    daysSinceFirstSeen: Math.max(0, Math.floor((now - new Date(original.firstSeenAt)) / (24 * 60 * 60 * 1000))),
+    previousPrice: lastPrice
+  };
+}
+
+/**
+ * Describes a relist for posts and filter reasons
+ * @param {Object} relist - Relist details from getRelistDetails
+ * @returns {string} e.g. "relisted (was £3,250, first seen 12 days ago)"
+ */
+export function describeRelist(relist) {
+  const days = relist.daysSinceFirstSeen === 1 ? '1 day' : `${relist.daysSinceFirstSeen} days`;
+  const previousPrice = relist.previousPrice !== null ? `was £${relist.previousPrice.toLocaleString('en-GB')}, ` : '';
+  return `relisted (${previousPrice}first seen ${days} ago)`;
+}
@@ -0,0 +1,775 @@
+/**
+ * Local SQLite store for every listing the poller has seen
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Database file holding the listing store
+ */
+const STORE_FILE = path.join(process.cwd(), 'listings.db');
+
+/**
+ * Legacy JSON file used to track posted cars before the SQLite store
+ * Formats: a flat array of IDs, an object of ID arrays per search, or { version: 2, cars: { id: record } }
+ */
+const LEGACY_POSTED_CARS_FILE = path.join(process.cwd(), 'posted-cars.json');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS listings (
+    id TEXT PRIMARY KEY,
+    search_name TEXT,
+    link TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    filter_result TEXT,
+    details TEXT,
+    webhook_url TEXT,
+    make TEXT,
+    model TEXT,
+    year INTEGER,
+    mileage INTEGER,
+    fingerprint TEXT,
+    relisted_from TEXT,
+    message_id TEXT,
+    channel_id TEXT,
+    thread_id TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT,
+    posted_at TEXT,
+    availability_checked_at TEXT,
+    sold_at TEXT,
+    listed_days INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS price_history (
+    listing_id TEXT NOT NULL REFERENCES listings (id),
+    price REAL NOT NULL,
+    seen_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS price_history_listing ON price_history (listing_id, seen_at);
+
+  -- Cars waiting to be posted to Discord (kept until delivered, so throttled or failed posts aren't lost)
+  CREATE TABLE IF NOT EXISTS deliveries (
+    listing_id TEXT PRIMARY KEY REFERENCES listings (id),
+    webhook_url TEXT NOT NULL,
+    bot_token TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    queued_at TEXT NOT NULL,
+    next_attempt_at TEXT NOT NULL
+  );
+
+  -- Cars whose detail pages failed to load; they stay unsaved (and are retried) until they give up
+  CREATE TABLE IF NOT EXISTS detail_failures (
+    listing_id TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL,
+    last_error TEXT,
+    last_failed_at TEXT NOT NULL
+  );
+
+  -- Listing counts of each search's runs, to spot a sudden drop when the scraper breaks
+  -- Runs that looked broken are flagged so they don't drag down the counts later runs are compared with
+  CREATE TABLE IF NOT EXISTS search_runs (
+    search_name TEXT NOT NULL,
+    ran_at TEXT NOT NULL,
+    first_page_listings INTEGER NOT NULL,
+    total_listings INTEGER NOT NULL,
+    broken INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE INDEX IF NOT EXISTS search_runs_search ON search_runs (search_name, ran_at);
+`;
+
+/**
+ * Indexes, created after any missing columns have been added
+ */
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS listings_search_status ON listings (search_name, status);
+  CREATE INDEX IF NOT EXISTS listings_make_model_year ON listings (make, model, year);
+  CREATE INDEX IF NOT EXISTS listings_fingerprint ON listings (fingerprint);
+`;
+
+/**
+ * Columns added to the listings table after it was first created
+ * Added to existing databases on open
+ */
+const ADDED_LISTING_COLUMNS = {
+  webhook_url: 'TEXT',
+  make: 'TEXT',
+  model: 'TEXT',
+  year: 'INTEGER',
+  mileage: 'INTEGER',
+  fingerprint: 'TEXT',
+  relisted_from: 'TEXT'
+};
+
+/**
+ * Columns added to the search_runs table after it was first created
+ */
+const ADDED_SEARCH_RUN_COLUMNS = {
+  broken: 'INTEGER NOT NULL DEFAULT 0'
+};
+
+let db = null;
+let useSnapshot = false;
+
+/**
+ * Makes the listing store work on an in-memory copy of listings.db, so nothing is saved to disk
+ * Must be called before the store is first used
+ */
+export function useListingStoreSnapshot() {
+  if (db) {
+    throw new Error('The listing store is already open');
+  }
+  useSnapshot = true;
+}
+
+/**
+ * Opens an in-memory copy of the listing store (empty if listings.db doesn't exist yet)
+ * @returns {Database} better-sqlite3 database handle
+ */
+function openSnapshot() {
+  if (!fs.existsSync(STORE_FILE)) {
+    return new Database(':memory:');
+  }
+
+  const fileDb = new Database(STORE_FILE, { readonly: true });
+  const buffer = fileDb.serialize();
+  fileDb.close();
+  // The copy can't use WAL in memory, so mark it as a rollback-journal database (header bytes 18-19)
+  buffer[18] = 1;
+  buffer[19] = 1;
+  return new Database(buffer);
+}
+
+/**
+ * Opens the listing store, creating the schema and migrating posted-cars.json on first use
+ * @returns {Database} better-sqlite3 database handle
+ */
+function getDb() {
+  if (db) {
+    return db;
+  }
+
+  if (useSnapshot) {
+    db = openSnapshot();
+  } else {
+    db = new Database(STORE_FILE);
+    db.pragma('journal_mode = WAL');
+  }
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  addMissingColumns('listings', ADDED_LISTING_COLUMNS);
+  addMissingColumns('search_runs', ADDED_SEARCH_RUN_COLUMNS);
+  db.exec(INDEXES);
+
+  migrateLegacyPostedCars();
+  return db;
+}
+
+/**
+ * Adds columns introduced after a database was created
+ * @param {string} table - Table name
+ * @param {Object} columns - Column types by name
+ */
+function addMissingColumns(table, columns) {
+  const existingColumns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+  for (const [column, type] of Object.entries(columns)) {
+    if (!existingColumns.has(column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+  }
+}
+
+/**
+ * Imports posted-cars.json into the store (one-time) and renames it so it isn't imported again
+ */
+function migrateLegacyPostedCars() {
+  if (!fs.existsSync(LEGACY_POSTED_CARS_FILE)) {
+    return;
+  }
+
+  let postedCarsData;
+  try {
+    postedCarsData = JSON.parse(fs.readFileSync(LEGACY_POSTED_CARS_FILE, 'utf-8'));
+  } catch (error) {
+    console.error(`⚠️  Could not read posted-cars.json for migration: ${error.message}`);
+    return;
+  }
+
+  // Normalise every format into [carId, record] pairs
+  let entries = [];
+  if (Array.isArray(postedCarsData)) {
+    entries = postedCarsData.map(carId => [carId, {}]);
+  } else if (postedCarsData && postedCarsData.version === 2) {
+    entries = Object.entries(postedCarsData.cars || {});
+  } else if (postedCarsData && typeof postedCarsData === 'object') {
+    for (const [searchName, carIds] of Object.entries(postedCarsData)) {
+      if (Array.isArray(carIds)) {
+        entries.push(...carIds.map(carId => [carId, { searchName }]));
+      }
+    }
+  }
+
+  const now = new Date().toISOString();
+  const insertListing = db.prepare(`
+    INSERT OR IGNORE INTO listings (
+      id, search_name, link, status, filter_result, message_id, channel_id, thread_id,
+      first_seen_at, last_seen_at, posted_at, availability_checked_at, sold_at, listed_days
+    ) VALUES (
+      @id, @searchName, @link, @status, @filterResult, @messageId, @channelId, @threadId,
+      @firstSeenAt, @lastSeenAt, @postedAt, @availabilityCheckedAt, @soldAt, @listedDays
+    )
+  `);
+  const insertPrice = db.prepare('INSERT INTO price_history (listing_id, price, seen_at) VALUES (?, ?, ?)');
+
+  const migrate = db.transaction(() => {
+    let imported = 0;
+    for (const [carId, record] of entries) {
+      const result = insertListing.run({
+        id: String(carId),
+        searchName: record.searchName || null,
+        link: record.link || null,
+        status: record.status || 'active',
+        // The old file didn't record whether a car was posted or filtered out
+        filterResult: null,
+        messageId: record.messageId || null,
+        channelId: record.channelId || null,
+        threadId: record.threadId || null,
+        firstSeenAt: record.postedAt || now,
+        lastSeenAt: record.lastSeenAt || null,
+        postedAt: record.postedAt || null,
+        availabilityCheckedAt: record.availabilityCheckedAt || null,
+        soldAt: record.soldAt || null,
+        listedDays: record.listedDays || null
+      });
+      if (result.changes === 0) {
+        continue;
+      }
+      imported++;
+      for (const entry of record.priceHistory || []) {
+        insertPrice.run(String(carId), entry.price, entry.seenAt);
+      }
+    }
+    return imported;
+  });
+
+  const imported = migrate();
+  if (useSnapshot) {
+    return;
+  }
+  fs.renameSync(LEGACY_POSTED_CARS_FILE, `${LEGACY_POSTED_CARS_FILE}.migrated`);
+  console.log(`⚠️  Migrated ${imported} car(s) from posted-cars.json to ${path.basename(STORE_FILE)}`);
+  console.log(`   Old file kept as ${path.basename(LEGACY_POSTED_CARS_FILE)}.migrated`);
+}
+
+/**
+ * Converts a listings row into a listing object
+ * @param {Object} row - Row from the listings table
+ * @returns {Object} Listing object with its price history
+ */
+function rowToListing(row) {
+  const priceHistory = getDb()
+    .prepare('SELECT price, seen_at AS seenAt FROM price_history WHERE listing_id = ? ORDER BY seen_at, rowid')
+    .all(row.id);
+
+  return {
+    id: row.id,
+    searchName: row.search_name,
+    link: row.link,
+    status: row.status,
+    filterResult: row.filter_result,
+    details: row.details ? JSON.parse(row.details) : null,
+    webhookUrl: row.webhook_url,
+    make: row.make,
+    model: row.model,
+    year: row.year,
+    mileage: row.mileage,
+    fingerprint: row.fingerprint,
+    relistedFrom: row.relisted_from,
+    messageId: row.message_id,
+    channelId: row.channel_id,
+    threadId: row.thread_id,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at,
+    postedAt: row.posted_at,
+    availabilityCheckedAt: row.availability_checked_at,
+    soldAt: row.sold_at,
+    listedDays: row.listed_days,
+    priceHistory
+  };
+}
+
+/**
+ * Gets the IDs of every listing in the store
+ * @returns {Set<string>} Set of listing IDs
+ */
+export function getSeenIds() {
+  const rows = getDb().prepare('SELECT id FROM listings').all();
+  return new Set(rows.map(row => row.id));
+}
+
+/**
+ * Gets a single listing by ID
+ * @param {string} carId - Car ID
+ * @returns {Object|null} Listing object or null if not found
+ */
+export function getListing(carId) {
+  const row = getDb().prepare('SELECT * FROM listings WHERE id = ?').get(carId);
+  return row ? rowToListing(row) : null;
+}
+
+/**
+ * Finds the first listing of a car with the given fingerprint, to link a relisted advert to it
+ * @param {string} fingerprint - Car fingerprint
+ * @param {string} excludeId - ID of the new advert, which is not its own original
+ * @returns {Object|null} Earliest listing with the fingerprint, or null if there is none
+ */
+export function findListingByFingerprint(fingerprint, excludeId) {
+  const row = getDb()
+    .prepare('SELECT * FROM listings WHERE fingerprint = ? AND id != ? ORDER BY first_seen_at LIMIT 1')
+    .get(fingerprint, excludeId);
+  return row ? rowToListing(row) : null;
+}
+
+/**
+ * Gets the active (not sold) listings first found by a search
+ * @param {string} searchName - Name of the search
+ * @returns {Array<Object>} Listing objects
+ */
+export function getActiveListingsForSearch(searchName) {
+  const rows = getDb()
+    .prepare("SELECT * FROM listings WHERE search_name = ? AND status = 'active'")
+    .all(searchName);
+  return rows.map(rowToListing);
+}
+
+/**
+ * Lists recently seen listings, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.searchName - Only listings found by this search
+ * @param {string} filters.status - 'active' or 'sold'
+ * @param {string} filters.filterResult - 'posted' or 'filtered'
+ * @param {string} filters.query - Text to find in the title or ID
+ * @param {number} filters.maxPrice - Highest latest price
+ * @param {number} filters.limit - Maximum number of listings (default: 50)
+ * @returns {Array<Object>} Listing objects
+ */
+export function listRecentListings({ searchName = null, status = null, filterResult = null, query = null, maxPrice = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = { limit };
+
+  if (searchName) {
+    conditions.push('search_name = @searchName');
+    params.searchName = searchName;
+  }
+  if (status) {
+    conditions.push('status = @status');
+    params.status = status;
+  }
+  if (filterResult) {
+    conditions.push('filter_result = @filterResult');
+    params.filterResult = filterResult;
+  }
+  if (query) {
+    conditions.push("(id LIKE @query OR json_extract(details, '$.title') LIKE @query)");
+    params.query = `%${query}%`;
+  }
+  if (maxPrice !== null) {
+    conditions.push(`(
+      SELECT price FROM price_history
+      WHERE listing_id = listings.id
+      ORDER BY seen_at DESC, rowid DESC
+      LIMIT 1
+    ) <= @maxPrice`);
+    params.maxPrice = maxPrice;
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = getDb()
+    .prepare(`SELECT * FROM listings ${where} ORDER BY COALESCE(last_seen_at, first_seen_at) DESC LIMIT @limit`)
+    .all(params);
+  return rows.map(rowToListing);
+}
+
+/**
+ * Finds listings similar to a car, for estimating its market value
+ * @param {Object} criteria - Search criteria
+ * @param {string} criteria.make - Car make (case-insensitive)
+ * @param {string} criteria.model - Car model (case-insensitive)
+ * @param {number} criteria.minYear - Oldest year
+ * @param {number} criteria.maxYear - Newest year
+ * @param {number} criteria.minMileage - Lowest mileage
+ * @param {number} criteria.maxMileage - Highest mileage
+ * @param {string} criteria.excludeId - ID of the car being compared
+ * @returns {Array<Object>} Comparables ({ id, year, mileage, price }) using each listing's latest price
+ */
+export function findComparables({ make, model, minYear, maxYear, minMileage, maxMileage, excludeId }) {
+  return getDb().prepare(`
+    SELECT * FROM (
+      SELECT
+        listings.id,
+        listings.year,
+        listings.mileage,
+        (
+          SELECT price FROM price_history
+          WHERE listing_id = listings.id
+          ORDER BY seen_at DESC, rowid DESC
+          LIMIT 1
+        ) AS price
+      FROM listings
+      WHERE make = @make COLLATE NOCASE
+        AND model = @model COLLATE NOCASE
+        AND year BETWEEN @minYear AND @maxYear
+        AND mileage BETWEEN @minMileage AND @maxMileage
+        AND id != @excludeId
+    )
+    WHERE price IS NOT NULL
+  `).all({ make, model, minYear, maxYear, minMileage, maxMileage, excludeId });
+}
+
+/**
+ * Records a listing's current price in its price history
+ * @param {string} carId - Car ID
+ * @param {number|null} price - Current price (ignored if null)
+ * @returns {number|null} Previous price if the price changed, otherwise null
+ */
+export function recordListingPrice(carId, price) {
+  if (price === null) {
+    return null;
+  }
+
+  const database = getDb();
+  const lastEntry = database
+    .prepare('SELECT price FROM price_history WHERE listing_id = ? ORDER BY seen_at DESC, rowid DESC LIMIT 1')
+    .get(carId);
+  if (lastEntry && lastEntry.price === price) {
+    return null;
+  }
+
+  database
+    .prepare('INSERT INTO price_history (listing_id, price, seen_at) VALUES (?, ?, ?)')
+    .run(carId, price, new Date().toISOString());
+  return lastEntry ? lastEntry.price : null;
+}
+
+/**
+ * Saves a newly seen listing with its full details
+ * @param {Object} car - Normalised car object (stored in full; make, model, specs and fingerprint are also stored for comparisons)
+ * @param {Object} options - Listing metadata
+ * @param {string} options.searchName - Name of the search that matched the car
+ * @param {string} options.filterResult - 'posted' or 'filtered'
+ * @param {number|null} options.price - Parsed price for the price history
+ * @param {string} options.webhookUrl - Webhook URL the car was (or would have been) posted with
+ * @param {Object} options.message - Optional Discord message info ({ messageId, channelId, threadId })
+ */
+export function saveListing(car, { searchName, filterResult, price = null, webhookUrl = null, message = null }) {
+  const database = getDb();
+  const carId = car.id || car.carId;
+  const now = new Date().toISOString();
+
+  database.transaction(() => {
+    database.prepare(`
+      INSERT INTO listings (
+        id, search_name, link, filter_result, details, webhook_url, make, model, year, mileage,
+        fingerprint, relisted_from, message_id, channel_id, thread_id, first_seen_at, last_seen_at, posted_at
+      ) VALUES (
+        @id, @searchName, @link, @filterResult, @details, @webhookUrl, @make, @model, @year, @mileage,
+        @fingerprint, @relistedFrom, @messageId, @channelId, @threadId, @now, @now, @postedAt
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        link = excluded.link,
+        filter_result = excluded.filter_result,
+        details = excluded.details,
+        webhook_url = COALESCE(excluded.webhook_url, webhook_url),
+        make = COALESCE(excluded.make, make),
+        model = COALESCE(excluded.model, model),
+        year = COALESCE(excluded.year, year),
+        mileage = COALESCE(excluded.mileage, mileage),
+        fingerprint = COALESCE(excluded.fingerprint, fingerprint),
+        relisted_from = COALESCE(excluded.relisted_from, relisted_from),
+        message_id = COALESCE(excluded.message_id, message_id),
+        channel_id = COALESCE(excluded.channel_id, channel_id),
+        thread_id = COALESCE(excluded.thread_id, thread_id),
+        last_seen_at = excluded.last_seen_at,
+        posted_at = COALESCE(posted_at, excluded.posted_at)
+    `).run({
+      id: carId,
+      searchName,
+      link: car.link || car.url || null,
+      filterResult,
+      details: JSON.stringify(car),
+      webhookUrl,
+      make: car.make || null,
+      model: car.model || null,
+      year: car.specs ? car.specs.year : null,
+      mileage: car.specs ? car.specs.mileage : null,
+      fingerprint: car.fingerprint || null,
+      relistedFrom: car.relist ? car.relist.originalId : null,
+      messageId: message ? message.messageId : null,
+      channelId: message ? message.channelId : null,
+      threadId: message ? message.threadId : null,
+      now,
+      postedAt: filterResult === 'posted' ? now : null
+    });
+
+    recordListingPrice(carId, price);
+  })();
+}
+
+/**
+ * Updates the last seen time of listings found in the latest search results
+ * @param {Array<string>} carIds - IDs of listings seen
+ */
+export function markListingsSeen(carIds) {
+  const database = getDb();
+  const update = database.prepare('UPDATE listings SET last_seen_at = ? WHERE id = ?');
+  const now = new Date().toISOString();
+
+  database.transaction(() => {
+    for (const carId of carIds) {
+      update.run(now, carId);
+    }
+  })();
+}
+
+/**
+ * Records that a listing's detail page was checked for availability
+ * @param {string} carId - Car ID
+ */
+export function markAvailabilityChecked(carId) {
+  getDb()
+    .prepare('UPDATE listings SET availability_checked_at = ? WHERE id = ?')
+    .run(new Date().toISOString(), carId);
+}
+
+/**
+ * Adds a saved listing to the Discord delivery queue
+ * @param {string} carId - Car ID
+ * @param {string} webhookUrl - Discord webhook URL to post to
+ * @param {string|null} botToken - Optional bot token for thread creation
+ */
+export function queueDelivery(carId, webhookUrl, botToken = null) {
+  const now = new Date().toISOString();
+  getDb()
+    .prepare(`
+      INSERT INTO deliveries (listing_id, webhook_url, bot_token, queued_at, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (listing_id) DO NOTHING
+    `)
+    .run(carId, webhookUrl, botToken, now, now);
+}
+
+/**
+ * Gets queued deliveries that are due to be attempted, oldest first
+ * @param {string|null} searchName - Only return deliveries for this search (all searches if null)
+ * @param {Array<string>} heldSearchNames - Searches whose deliveries are being held back (e.g. outside their active hours)
+ * @returns {Array<Object>} Deliveries ({ listingId, searchName, webhookUrl, botToken, attempts, lastError, queuedAt, car })
+ */
+export function getDueDeliveries(searchName = null, heldSearchNames = []) {
+  const conditions = ['deliveries.next_attempt_at <= @now'];
+  if (searchName) {
+    conditions.push('listings.search_name = @searchName');
+  }
+  const heldParams = Object.fromEntries(heldSearchNames.map((name, index) => [`held${index}`, name]));
+  if (heldSearchNames.length > 0) {
+    conditions.push(`listings.search_name NOT IN (${Object.keys(heldParams).map(key => `@${key}`).join(', ')})`);
+  }
+
+  return getDb()
+    .prepare(`
+      SELECT deliveries.*, listings.search_name, listings.details
+      FROM deliveries JOIN listings ON listings.id = deliveries.listing_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY deliveries.queued_at, deliveries.rowid
+    `)
+    .all({ now: new Date().toISOString(), searchName, ...heldParams })
+    .map(row => ({
+      listingId: row.listing_id,
+      searchName: row.search_name,
+      webhookUrl: row.webhook_url,
+      botToken: row.bot_token,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      queuedAt: row.queued_at,
+      car: JSON.parse(row.details)
+    }));
+}
+
+/**
+ * Counts deliveries still waiting in the queue
+ * @param {string|null} searchName - Only count deliveries for this search (all searches if null)
+ * @returns {number} Number of queued deliveries
+ */
+export function countQueuedDeliveries(searchName = null) {
+  const row = searchName
+    ? getDb()
+      .prepare('SELECT COUNT(*) AS count FROM deliveries JOIN listings ON listings.id = deliveries.listing_id WHERE listings.search_name = ?')
+      .get(searchName)
+    : getDb().prepare('SELECT COUNT(*) AS count FROM deliveries').get();
+  return row.count;
+}
+
+/**
+ * Marks a queued listing as posted and removes it from the delivery queue
+ * @param {string} carId - Car ID
+ * @param {string} webhookUrl - Discord webhook URL it was posted with
+ * @param {Object} message - Posted Discord message ({ messageId, channelId, threadId })
+ */
+export function markListingPosted(carId, webhookUrl, message) {
+  const database = getDb();
+  database.transaction(() => {
+    database
+      .prepare(`
+        UPDATE listings SET
+          filter_result = 'posted',
+          webhook_url = ?,
+          message_id = ?,
+          channel_id = ?,
+          thread_id = ?,
+          posted_at = COALESCE(posted_at, ?)
+        WHERE id = ?
+      `)
+      .run(webhookUrl, message.messageId, message.channelId, message.threadId, new Date().toISOString(), carId);
+    database.prepare('DELETE FROM deliveries WHERE listing_id = ?').run(carId);
+  })();
+}
+
+/**
+ * Records a failed delivery attempt and when to try again
+ * @param {string} carId - Car ID
+ * @param {string} error - Error message
+ * @param {string} nextAttemptAt - ISO timestamp of the next attempt
+ * @returns {number} Number of failed attempts so far
+ */
+export function recordDeliveryFailure(carId, error, nextAttemptAt) {
+  return getDb()
+    .prepare(`
+      UPDATE deliveries SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?
+      WHERE listing_id = ?
+      RETURNING attempts
+    `)
+    .get(error, nextAttemptAt, carId).attempts;
+}
+
+/**
+ * Gives up on delivering a listing, removing it from the queue and marking it 'delivery-failed'
+ * @param {string} carId - Car ID
+ */
+export function abandonDelivery(carId) {
+  const database = getDb();
+  database.transaction(() => {
+    database.prepare("UPDATE listings SET filter_result = 'delivery-failed' WHERE id = ?").run(carId);
+    database.prepare('DELETE FROM deliveries WHERE listing_id = ?').run(carId);
+  })();
+}
+
+/**
+ * Records a failed detail extraction for a car that hasn't been saved yet
+ * @param {string} carId - Car ID
+ * @param {string} error - Error message
+ * @returns {number} Number of polls in a row the car's details have failed
+ */
+export function recordDetailFailure(carId, error) {
+  return getDb()
+    .prepare(`
+      INSERT INTO detail_failures (listing_id, failures, last_error, last_failed_at)
+      VALUES (?, 1, ?, ?)
+      ON CONFLICT (listing_id) DO UPDATE SET
+        failures = failures + 1,
+        last_error = excluded.last_error,
+        last_failed_at = excluded.last_failed_at
+      RETURNING failures
+    `)
+    .get(carId, error, new Date().toISOString()).failures;
+}
+
+/**
+ * Forgets a car's failed detail extractions (once its details load or it has been given up on)
+ * @param {string} carId - Car ID
+ */
+export function clearDetailFailures(carId) {
+  getDb().prepare('DELETE FROM detail_failures WHERE listing_id = ?').run(carId);
+}
+
+/**
+ * Records the listing counts of a search run
+ * @param {string} searchName - Search name
+ * @param {number} firstPageListings - Listings on the first results page
+ * @param {number} totalListings - Listings across all results pages loaded
+ * @param {boolean} broken - Whether the run looked broken (it then isn't used as a baseline for later runs)
+ */
+export function recordSearchRun(searchName, firstPageListings, totalListings, broken = false) {
+  getDb()
+    .prepare('INSERT INTO search_runs (search_name, ran_at, first_page_listings, total_listings, broken) VALUES (?, ?, ?, ?, ?)')
+    .run(searchName, new Date().toISOString(), firstPageListings, totalListings, broken ? 1 : 0);
+}
+
+/**
+ * Gets the first-page listing counts of a search's most recent healthy runs
+ * @param {string} searchName - Search name
+ * @param {number} limit - Maximum number of runs
+ * @returns {Array<number>} Listing counts, newest first
+ */
+export function getRecentFirstPageCounts(searchName, limit) {
+  return getDb()
+    .prepare('SELECT first_page_listings FROM search_runs WHERE search_name = ? AND broken = 0 ORDER BY ran_at DESC LIMIT ?')
+    .all(searchName, limit)
+    .map(row => row.first_page_listings);
+}
+
+/**
+ * Gets the first-page listing count of a search's latest run, healthy or not
+ * @param {string} searchName - Search name
+ * @returns {number|null} Listing count, or null if the search has never run
+ */
+export function getLastFirstPageCount(searchName) {
+  const row = getDb()
+    .prepare('SELECT first_page_listings FROM search_runs WHERE search_name = ? ORDER BY ran_at DESC LIMIT 1')
+    .get(searchName);
+  return row ? row.first_page_listings : null;
+}
+
+/**
+ * Gets when a search last ran
+ * @param {string} searchName - Search name
+ * @returns {string|null} ISO timestamp of the latest recorded run, or null if it has never run
+ */
+export function getLastSearchRunAt(searchName) {
+  const row = getDb()
+    .prepare('SELECT MAX(ran_at) AS ranAt FROM search_runs WHERE search_name = ?')
+    .get(searchName);
+  return row.ranAt;
+}
+
+/**
+ * Marks a listing as sold (or withdrawn)
+ * @param {string} carId - Car ID
+ * @param {string} soldAt - ISO timestamp when the listing disappeared
+ * @param {number} listedDays - How many days the car was listed
+ * @returns {Object} Updated listing object
+ */
+export function markListingSold(carId, soldAt, listedDays) {
+  const database = getDb();
+  database.transaction(() => {
+    database
+      .prepare("UPDATE listings SET status = 'sold', sold_at = ?, listed_days = ? WHERE id = ?")
+      .run(soldAt, listedDays, carId);
+    // No point posting a car that has already gone
+    database.prepare('DELETE FROM deliveries WHERE listing_id = ?').run(carId);
+  })();
+  return getListing(carId);
+}
+
+/**
+ * Closes the listing store
+ */
+export function closeListingStore() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Normalisation of extracted car data into typed values
+ */
+
+/**
+ * Parses a price string and returns the numeric value
+ * Handles formats like "£5,000", "5000", "£5,000.00", "Price not available", etc.
+ * @param {string} priceString - Price string to parse
+ * @returns {number|null} Numeric price value or null if unable to parse
+ */
+export function parsePrice(priceString) {
+  if (!priceString || typeof priceString !== 'string') {
+    return null;
+  }
+
+  // Remove currency symbols, commas, and whitespace
+  const cleaned = priceString.replace(/[£$€,\s]/g, '');
+
+  // Extract first number (handles cases like "£5,000 or nearest offer")
+  const match = cleaned.match(/(\d+(?:\.\d+)?)/);
+  if (match) {
+    return parseFloat(match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Parses a mileage string and returns the numeric value
+ * Handles formats like "50,000 miles", "50000 mi", "50,000", etc.
+ * @param {string} mileageString - Mileage string to parse
+ * @returns {number|null} Numeric mileage value or null if unable to parse
+ */
+export function parseMileage(mileageString) {
+  if (!mileageString || typeof mileageString !== 'string') {
+    return null;
+  }
+
+  // Remove commas, whitespace, and common mileage-related text
+  const cleaned = mileageString.replace(/[,\s]/g, '').toLowerCase();
+
+  // Extract first number (handles cases like "50,000 miles" or "50000 mi")
+  const match = cleaned.match(/(\d+(?:\.\d+)?)/);
+  if (match) {
+    return parseFloat(match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Parses a distance string and returns the numeric value
+ * Handles formats like "25 miles", "25.5 miles away", "25 mi", etc.
+ * Looks for distance in location strings
+ * @param {string} locationString - Location string that may contain distance
+ * @returns {number|null} Numeric distance value in miles or null if unable to parse
+ */
+export function parseDistance(locationString) {
+  if (!locationString || typeof locationString !== 'string') {
+    return null;
+  }
+
+  // Look for patterns like "25 miles", "25.5 miles away", "25 mi", etc.
+  // Case insensitive, handles "miles", "mile", "mi", "m"
+  const match = locationString.match(/(\d+(?:\.\d+)?)\s*(?:miles?|mi|m)\b/i);
+  if (match) {
+    return parseFloat(match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Parses a four-digit year
+ * Handles formats like "2012", "2012 (62 reg)", etc.
+ * @param {string} yearString - String containing a year
+ * @returns {number|null} Year or null if unable to parse
+ */
+export function parseYear(yearString) {
+  if (!yearString || typeof yearString !== 'string') {
+    return null;
+  }
+
+  const match = yearString.match(/\b(19|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Parses an engine size and returns it in litres
+ * Handles formats like "1.4L", "1.4 litres", "1,390cc", etc.
+ * @param {string} engineString - Engine size string
+ * @returns {number|null} Engine size in litres or null if unable to parse
+ */
+export function parseEngineSize(engineString) {
+  if (!engineString || typeof engineString !== 'string') {
+    return null;
+  }
+
+  const ccMatch = engineString.replace(/,/g, '').match(/(\d+)\s*cc\b/i);
+  if (ccMatch) {
+    // Round to one decimal place like badge engine sizes (1390cc -> 1.4)
+    return Math.round(parseInt(ccMatch[1], 10) / 100) / 10;
+  }
+
+  const litreMatch = engineString.match(/(\d+(?:\.\d+)?)\s*(?:l\b|litres?\b|liters?\b)/i);
+  return litreMatch ? parseFloat(litreMatch[1]) : null;
+}
+
+/**
+ * Parses the first whole number in a string
+ * Handles formats like "5 doors", "5", "2 owners", etc.
+ * @param {string} countString - String containing a count
+ * @returns {number|null} Count or null if unable to parse
+ */
+export function parseCount(countString) {
+  if (countString === null || countString === undefined) {
+    return null;
+  }
+
+  const match = String(countString).match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Parses the year implied by a UK registration plate identifier
+ * Handles formats like "2012 (62 reg)", "62 reg", "(12 reg)", etc.
+ * Plates 02-49 are issued from March of 20XX, plates 51-99 from September of 20(XX - 50)
+ * @param {string} registrationString - Registration string
+ * @returns {number|null} Plate year or null if unable to parse
+ */
+export function parsePlateYear(registrationString) {
+  if (!registrationString || typeof registrationString !== 'string') {
+    return null;
+  }
+
+  const match = registrationString.match(/\b(\d{2})\s*reg\b/i);
+  if (!match) {
+    return null;
+  }
+
+  const plate = parseInt(match[1], 10);
+  return plate >= 50 ? 2000 + plate - 50 : 2000 + plate;
+}
+
+/**
+ * Turns an extracted car into a normalised record
+ * The extracted strings are kept as they are; typed values are added under `specs`
+ * @param {Object} car - Car object from the listing or detail extraction
+ * @returns {Object} Car object with a `specs` object of typed values (null when unknown)
+ */
+export function normaliseCar(car) {
+  const locationText = car.location || car.contactLocation || car.sellerLocation || '';
+  const year = parseYear(car.year) ?? parseYear(car.registration);
+
+  return {
+    ...car,
+    specs: {
+      price: parsePrice(car.price),
+      mileage: parseMileage(car.mileage),
+      year,
+      engineLitres: parseEngineSize(car.engine),
+      distanceMiles: parseDistance(locationText),
+      doors: parseCount(car.doors),
+      seats: parseCount(car.seats),
+      owners: parseCount(car.owners),
+      plateYear: parsePlateYear(car.registration)
+    }
+  };
+}
+
+/**
+ * Gets the normalised specs of a car, normalising it first if needed
+ * Cars stored before normalisation existed have no specs
+ * @param {Object} car - Car object
+ * @returns {Object} Typed specs
+ */
+export function getCarSpecs(car) {
+  return car.specs || normaliseCar(car).specs;
+}
@@ -0,0 +1,142 @@
+/**
+ * Request blocking and load timing for scraped pages
+ * Autotrader pages pull in adverts, trackers, fonts and full-size photos that the parsers never need;
+ * blocking them (and waiting for the listing or price markup rather than network idle) makes pages load much faster
+ */
+
+/**
+ * Default request policy, overridden key by key by the requests block in config.json
+ * The parsers read photo URLs from the markup, so photos don't need to load
+ */
+export const DEFAULT_REQUEST_POLICY = {
+  blockResourceTypes: ['image', 'font', 'media'],
+  blockDomains: [
+    'google-analytics.com',
+    'googletagmanager.com',
+    'doubleclick.net',
+    'googlesyndication.com',
+    'googleadservices.com',
+    'amazon-adsystem.com',
+    'facebook.net',
+    'hotjar.com',
+    'clarity.ms',
+    'bat.bing.com',
+    'criteo.com',
+    'taboola.com',
+    'outbrain.com',
+    'scorecardresearch.com',
+    'nr-data.net'
+  ],
+  allowDomains: []
+};
+
+/**
+ * Resource types a request policy can block (as reported by Puppeteer)
+ */
+export const RESOURCE_TYPES = [
+  'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'prefetch',
+  'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport', 'preflight', 'other'
+];
+
+/**
+ * Blocked request counts of each page since they were last taken
+ */
+const blockedCounts = new WeakMap();
+
+/**
+ * Checks if a hostname is a domain or one of its subdomains
+ * @param {string} hostname - Request hostname
+ * @param {string} domain - Domain from the policy
+ * @returns {boolean} True if the hostname is on the domain
+ */
+function isOnDomain(hostname, domain) {
+  const lowerDomain = domain.toLowerCase();
+  return hostname === lowerDomain || hostname.endsWith(`.${lowerDomain}`);
+}
+
+/**
+ * Decides whether a request should be blocked
+ * The page itself is always loaded; allowed domains win over blocked resource types and domains
+ * @param {string} resourceType - Puppeteer resource type (e.g. "image", "script")
+ * @param {string} url - Request URL
+ * @param {Object} policy - Request policy ({ blockResourceTypes, blockDomains, allowDomains })
+ * @returns {boolean} True if the request should be blocked
+ */
+export function shouldBlockRequest(resourceType, url, policy) {
+  if (resourceType === 'document') {
+    return false;
+  }
+
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    // Unparseable URLs are judged on their resource type only
+  }
+
+  if (hostname && (policy.allowDomains || []).some(domain => isOnDomain(hostname, domain))) {
+    return false;
+  }
+  if ((policy.blockResourceTypes || []).includes(resourceType)) {
+    return true;
+  }
+  return Boolean(hostname) && (policy.blockDomains || []).some(domain => isOnDomain(hostname, domain));
+}
+
+/**
+ * Intercepts a page's requests, aborting those the policy blocks
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} policy - Request policy ({ blockResourceTypes, blockDomains, allowDomains })
+ */
+export async function applyRequestPolicy(page, policy) {
+  blockedCounts.set(page, 0);
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+    // Requests can fail on their own while being handled (e.g. the page navigated away), which is fine
+    if (shouldBlockRequest(request.resourceType(), request.url(), policy)) {
+      blockedCounts.set(page, blockedCounts.get(page) + 1);
+      request.abort('blockedbyclient').catch(() => {});
+    } else {
+      request.continue().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Gets how many requests a page has blocked since the last call, and starts counting again
+ * @param {Page} page - Puppeteer page object
+ * @returns {number} Requests blocked (0 if the page has no request policy)
+ */
+export function takeBlockedRequestCount(page) {
+  const count = blockedCounts.get(page) || 0;
+  if (blockedCounts.has(page)) {
+    blockedCounts.set(page, 0);
+  }
+  return count;
+}
+
+/**
+ * Formats a duration for logs
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "1.9s"
+ */
+export function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Summarises page load times for logs
+ * @param {string} label - What kind of pages were loaded, e.g. "results page(s)"
+ * @param {Array<number>} loadTimes - Load times in milliseconds
+ * @returns {string|null} e.g. "3 results page(s), avg 1.9s, slowest 2.4s", or null if no pages were loaded
+ */
+export function describeLoadTimes(label, loadTimes) {
+  if (loadTimes.length === 0) {
+    return null;
+  }
+  const average = loadTimes.reduce((sum, ms) => sum + ms, 0) / loadTimes.length;
+  return `${loadTimes.length} ${label}, avg ${formatDuration(average)}, slowest ${formatDuration(Math.max(...loadTimes))}`;
+}
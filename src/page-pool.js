@@ -0,0 +1,67 @@
+/**
+ * A bounded pool of browser pages for loading many pages at once
+ */
+
+/**
+ * Default scraping settings, overridden by the scraping block in config.json
+ * detailConcurrency: pages loaded at once; delayMs: pause between page loads on each page
+ */
+export const DEFAULT_SCRAPING_POLICY = {
+  detailConcurrency: 2,
+  delayMs: 1000
+};
+
+/**
+ * Checks if a page can still be used
+ * @param {Page} page - Puppeteer page object
+ * @returns {boolean} False once the page is closed or its browser has crashed
+ */
+function isPageUsable(page) {
+  return !page.isClosed() && page.browser().connected;
+}
+
+/**
+ * Runs a task for each item on a bounded pool of pages
+ * Each page works through the items one at a time, pausing between them to be respectful;
+ * a page lost to a browser crash is replaced with a new one
+ * @param {Array} items - Items to process
+ * @param {Function} task - Async function receiving (page, item, index)
+ * @param {Object} options - Pool options
+ * @param {Function} options.openPage - Async function opening a new page
+ * @param {number} options.concurrency - Most pages open at once
+ * @param {number} options.delayMs - Pause between items on each page
+ * @returns {Promise<Array>} Task results, in the same order as the items
+ */
+export async function runWithPagePool(items, task, {
+  openPage,
+  concurrency = DEFAULT_SCRAPING_POLICY.detailConcurrency,
+  delayMs = DEFAULT_SCRAPING_POLICY.delayMs
+}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    let page = null;
+    try {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        if (!page || !isPageUsable(page)) {
+          page = await openPage();
+        }
+        results[index] = await task(page, items[index], index);
+
+        if (nextIndex < items.length && delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+      }
+    } finally {
+      if (page && isPageUsable(page)) {
+        await page.close().catch(() => {});
+      }
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+  return results;
+}
@@ -0,0 +1,356 @@
+/**
+ * Parsers for Autotrader search results and car detail pages
+ * Each parser takes a DOM, so it runs in the browser (via page.evaluate) or under a DOM implementation in Node.
+ * Puppeteer sends a parser to the browser as source text, so a parser must not reference anything outside itself.
+ *
+ * The markup parsers record where each field came from in `fieldSources`: 'data-testid' for Autotrader's
+ * test IDs and plain markup, 'css' for the generated class names that change whenever Autotrader redeploys.
+ * The structured data embedded in the page (see readEmbeddedData and structured-data.js) takes priority over both.
+ */
+
+/**
+ * Reads the structured data embedded in a page: JSON state blobs and JSON-LD
+ * @param {Document} root - Page to read (defaults to the page's own document in the browser)
+ * @returns {Object} { pageUrl, states, jsonLd } - the page's canonical URL and the parsed JSON of each blob
+ */
+export function readEmbeddedData(root = document) {
+  const parseJson = text => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  };
+
+  const states = [];
+  root.querySelectorAll('script#__NEXT_DATA__, script[type="application/json"]').forEach(script => {
+    states.push(parseJson(script.textContent));
+  });
+  // State assigned to a global, e.g. window.__PRELOADED_STATE__ = {...};
+  root.querySelectorAll('script:not([type]), script[type="text/javascript"]').forEach(script => {
+    const match = script.textContent.match(/^\s*window\.__[A-Z_]+__\s*=\s*(\{[\s\S]*\})\s*;?\s*$/);
+    if (match) {
+      states.push(parseJson(match[1]));
+    }
+  });
+
+  const jsonLd = Array.from(root.querySelectorAll('script[type="application/ld+json"]'))
+    .map(script => parseJson(script.textContent));
+
+  const canonical = root.querySelector('link[rel="canonical"]');
+  return {
+    pageUrl: canonical ? canonical.getAttribute('href') : (root.location ? root.location.href : null),
+    states: states.filter(Boolean),
+    jsonLd: jsonLd.filter(Boolean)
+  };
+}
+
+/**
+ * Parses the car listings on a search results page
+ * @param {Document|Element} root - Results page to parse (defaults to the page's own document in the browser)
+ * @returns {Array<Object>} Array of listing objects
+ */
+export function parseSearchResults(root = document) {
+  const listings = [];
+  
+  // Target the actual listing elements based on the HTML structure
+  // Each listing is an <li> with data-advertid attribute
+  const listingSelectors = [
+    'li[data-advertid]',
+    'li[data-testid^="id-"]',
+    '[data-testid="advertCard-0"]',
+    '[data-testid="search-listing"]'
+  ];
+
+  let listingElements = [];
+  for (const selector of listingSelectors) {
+    listingElements = Array.from(root.querySelectorAll(selector));
+    if (listingElements.length > 0) {
+      console.log(`Found ${listingElements.length} listings using selector: ${selector}`);
+      break;
+    }
+  }
+
+  if (listingElements.length === 0) {
+    // Fallback: try to find any listing-like elements
+    listingElements = Array.from(root.querySelectorAll('li[class*="sc-mddoqs-1"]'));
+    console.log(`Fallback: Found ${listingElements.length} potential listings`);
+  }
+
+  listingElements.forEach((element, index) => {
+    try {
+      // Extract car ID from data-advertid attribute (most reliable)
+      let carId = element.getAttribute('data-advertid') || 
+                  element.getAttribute('data-testid')?.replace('id-', '') ||
+                  element.getAttribute('id')?.replace('id-', '');
+      
+      // If no ID found, try to get it from a link
+      if (!carId) {
+        const link = element.querySelector('a[href*="/car-details"]');
+        if (link) {
+          const href = link.getAttribute('href');
+          const idMatch = href.match(/\/car-details\/(\d+)/);
+          if (idMatch) {
+            carId = idMatch[1];
+          }
+        }
+      }
+
+      const fieldSources = {};
+      const readText = (field, selectors, source) => {
+        for (const selector of selectors) {
+          const fieldElement = element.querySelector(selector);
+          if (fieldElement && fieldElement.textContent.trim()) {
+            fieldSources[field] = source;
+            return fieldElement.textContent.trim();
+          }
+        }
+        return null;
+      };
+
+      // Extract title from the search-listing-title link
+      const titleLink = element.querySelector('[data-testid="search-listing-title"]');
+      const title = readText('title', ['[data-testid="search-listing-title"]'], 'data-testid') || 'Unknown';
+
+      // Extract price - the test ID first, then the price span's class
+      const price = readText('price', ['[data-testid="search-listing-price"]'], 'data-testid') ||
+                    readText('price', ['span[class*="sc-1n64n0d-8"]', '[class*="price"]', '.sc-1mc7cl3-16'], 'css') ||
+                    'Price not available';
+
+      // Extract mileage, year and location from their test IDs
+      const mileage = readText('mileage', ['[data-testid="mileage"]'], 'data-testid') || 'Unknown';
+      const year = readText('year', ['[data-testid="registered_year"]'], 'data-testid') || 'Unknown';
+      const location = readText('location', ['[data-testid="search-listing-location"]'], 'data-testid') || 'Unknown';
+
+      // Extract link from title link or first car-details link
+      const carLinkElement = titleLink || element.querySelector('a[href*="/car-details"]');
+      let carLink = null;
+      if (carLinkElement) {
+        const href = carLinkElement.getAttribute('href');
+        carLink = href.startsWith('http') ? href : `https://www.autotrader.co.uk${href}`;
+        fieldSources.link = titleLink ? 'data-testid' : 'css';
+      }
+
+      // Extract image - get the main image from the carousel
+      const imageElement = element.querySelector('img.main-image') ||
+                          element.querySelector('img[alt*="Main listing image"]') ||
+                          element.querySelector('img[src*="atcdn.co.uk"]');
+      const imageUrl = imageElement ? imageElement.src : null;
+      if (imageUrl) {
+        fieldSources.imageUrl = 'css';
+      }
+
+      // Only add if we have at least an ID or a valid title
+      if (carId || (title !== 'Unknown' && title.length > 0)) {
+        listings.push({
+          id: carId || `temp-${index}`,
+          title,
+          price,
+          mileage,
+          year,
+          location,
+          link: carLink,
+          imageUrl,
+          fieldSources,
+          extractedAt: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error(`Error extracting listing ${index}:`, error);
+    }
+  });
+
+  return listings;
+}
+
+/**
+ * Checks whether a car detail page says the advert has been removed
+ * @param {Document} root - Detail page to check (defaults to the page's own document in the browser)
+ * @returns {boolean} True if the page has no price and shows a "no longer available" notice
+ */
+export function isAdvertUnavailable(root = document) {
+  const body = root.body;
+  // innerText skips scripts and hidden text in the browser; DOM implementations without layout only have textContent
+  const text = body ? (body.innerText ?? body.textContent) : '';
+  return !root.querySelector('[data-testid="advert-price"]') &&
+    /no longer (?:available|advertised)/i.test(text);
+}
+
+/**
+ * Checks whether a car detail page has rendered far enough to parse
+ * Used to wait for the page instead of waiting for the network to go idle
+ * @param {Document} root - Detail page to check (defaults to the page's own document in the browser)
+ * @returns {boolean} True once the page shows a price or a "no longer available" notice
+ */
+export function isDetailPageReady(root = document) {
+  if (root.querySelector('[data-testid="advert-price"]')) {
+    return true;
+  }
+  const body = root.body;
+  const text = body ? (body.innerText ?? body.textContent) : '';
+  return /no longer (?:available|advertised)/i.test(text);
+}
+
+/**
+ * Parses the details of a car from its detail page markup
+ * @param {Document|Element} root - Detail page to parse (defaults to the page's own document in the browser)
+ * @returns {Object} Detailed car information (fields missing from the page are left out or null),
+ *   with a `fieldSources` entry for each field found
+ */
+export function parseCarDetails(root = document) {
+  const data = {};
+  const fieldSources = {};
+
+  // Sets a field unless an earlier selector already found it
+  const setField = (field, value, source) => {
+    if (data[field] === undefined && value) {
+      data[field] = value;
+      fieldSources[field] = source;
+    }
+  };
+  const readText = (selector, scope = root) => {
+    const element = scope.querySelector(selector);
+    return element ? element.textContent.trim() : null;
+  };
+
+  // Extract price
+  setField('price', readText('[data-testid="advert-price"]'), 'data-testid');
+
+  // Extract title and subtitle
+  setField('title', readText('[data-testid="advert-title"]'), 'data-testid');
+  setField('title', readText('h1.sc-d2fm32-4'), 'css');
+  setField('subtitle', readText('[data-testid="advert-subtitle"]'), 'data-testid');
+  setField('subtitle', readText('.sc-d2fm32-6'), 'css');
+
+  // Extract overview details from the overview section
+  const overviewFields = [
+    ['mileage', 'mileage'],
+    ['registration', 'registration'],
+    ['fuel', 'fuelType'],
+    ['body type', 'bodyType'],
+    ['engine', 'engine'],
+    ['gearbox', 'gearbox'],
+    ['doors', 'doors'],
+    ['seats', 'seats'],
+    ['owner', 'owners'],
+    ['emission', 'emissionClass'],
+    ['colour', 'bodyColour'],
+    ['color', 'bodyColour']
+  ];
+  const setOverviewField = (label, value, source) => {
+    // Map labels to data fields
+    const overviewField = overviewFields.find(([text]) => label.toLowerCase().includes(text));
+    if (overviewField) {
+      setField(overviewField[1], value, source);
+    }
+  };
+
+  const overviewSection = root.querySelector('[data-testid="overview"]');
+  if (overviewSection) {
+    // Plain label/value pairs
+    overviewSection.querySelectorAll('dt').forEach(labelElement => {
+      const valueElement = labelElement.nextElementSibling;
+      if (valueElement && valueElement.tagName === 'DD') {
+        setOverviewField(labelElement.textContent.trim(), valueElement.textContent.trim(), 'data-testid');
+      }
+    });
+
+    overviewSection.querySelectorAll('.sc-1r1x5mr-1').forEach(item => {
+      const labelElement = item.querySelector('.sc-1r1x5mr-5');
+      const valueElement = item.querySelector('.sc-1r1x5mr-6');
+      if (labelElement && valueElement) {
+        setOverviewField(labelElement.textContent.trim(), valueElement.textContent.trim(), 'css');
+      }
+    });
+  }
+
+  // Extract description
+  const descriptionSection = root.querySelector('[data-testid="description"]');
+  if (descriptionSection) {
+    setField('description', readText('[data-testid="advert-description"]', descriptionSection), 'data-testid');
+    setField('description', readText('.sc-cvt0mw-1', descriptionSection), 'css');
+  }
+
+  // Extract all images from gallery
+  const images = [];
+  const gallerySection = root.querySelector('[data-testid="gallery"]');
+  if (gallerySection) {
+    // Find all image elements
+    const imageElements = gallerySection.querySelectorAll('img[src*="atcdn.co.uk"]');
+    imageElements.forEach(img => {
+      const src = img.getAttribute('src');
+      if (src && !images.some(image => image.thumbnail === src)) {
+        // Try to get higher resolution version
+        const highResSrc = src.replace(/w\d+/, 'w800');
+        images.push({
+          thumbnail: src,
+          full: highResSrc
+        });
+      }
+    });
+
+    // Also try to get images from source elements
+    const sourceElements = gallerySection.querySelectorAll('source[srcset*="atcdn.co.uk"]');
+    sourceElements.forEach(source => {
+      const srcset = source.getAttribute('srcset');
+      if (srcset) {
+        // Extract the highest resolution URL from srcset
+        const urls = srcset.split(',').map(s => s.trim().split(' ')[0]);
+        const highestRes = urls[urls.length - 1];
+        if (highestRes && !images.some(img => img.full === highestRes)) {
+          images.push({
+            thumbnail: highestRes.replace(/w\d+/, 'w480'),
+            full: highestRes
+          });
+        }
+      }
+    });
+  }
+  setField('images', images.length > 0 ? images : null, 'data-testid');
+
+  // Extract seller information
+  const sellerSection = root.querySelector('[data-testid="key-information"]');
+  if (sellerSection) {
+    // Seller name/company
+    setField('sellerName', readText('[data-testid="seller-name"]', sellerSection), 'data-testid');
+    setField('sellerName', readText('.sc-8j155h-6', sellerSection), 'css');
+
+    // Seller location
+    const readLocation = selector => Array.from(sellerSection.querySelectorAll(selector))
+      .map(el => el.textContent.trim())
+      .join(', ');
+    setField('sellerLocation', readLocation('[data-testid="seller-location"]'), 'data-testid');
+    setField('sellerLocation', readLocation('.sc-8j155h-2'), 'css');
+  }
+
+  // Extract contact information
+  const contactSection = root.querySelector('[data-testid="contact-seller"]');
+  if (contactSection) {
+    // Phone number
+    const phoneLink = contactSection.querySelector('a[href^="tel:"]');
+    if (phoneLink) {
+      setField('phoneNumber', phoneLink.getAttribute('href').replace('tel:', ''), 'data-testid');
+    }
+
+    // Location and distance
+    setField('contactLocation', readText('[data-testid="seller-distance"]', contactSection), 'data-testid');
+    setField('contactLocation', readText('.sc-uz3tnf-4', contactSection), 'css');
+  }
+
+  // Extract year from registration if available
+  if (data.registration) {
+    const yearMatch = data.registration.match(/(\d{4})/);
+    if (yearMatch) {
+      setField('year', yearMatch[1], fieldSources.registration);
+    }
+  }
+
+  return {
+    price: null,
+    title: null,
+    subtitle: null,
+    images: [],
+    ...data,
+    fieldSources
+  };
+}
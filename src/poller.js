@@ -1,464 +1,652 @@
-import { extractCarsFromAutotrader } from './extract.js';
-import { postCarsToDiscord, sendSummaryMessage, updateChannelTopic } from './discord-poster.js';
-import { loadBotConfig, getAllSearchConfigs } from './search-config.js';
-import fs from 'fs/promises';
-import path from 'path';
+import { extractCarsFromAutotrader, checkCarsAvailability } from './extract.js';
+import { postPriceDropUpdate, markCarAsSoldOnDiscord, updateChannelTopic } from './discord-poster.js';
+import { loadBotConfig, getAllSearchConfigs, getSearchDestination, watchConfig, holdConfig, releaseConfig } from './search-config.js';
+import {
+  getSeenIds,
+  getListing,
+  getActiveListingsForSearch,
+  recordListingPrice,
+  saveListing,
+  markListingsSeen,
+  markAvailabilityChecked,
+  markListingSold,
+  findComparables,
+  findListingByFingerprint,
+  recordDetailFailure,
+  clearDetailFailures,
+  countQueuedDeliveries,
+  recordSearchRun,
+  getRecentFirstPageCounts,
+  getLastFirstPageCount,
+  getLastSearchRunAt,
+  useListingStoreSnapshot,
+  closeListingStore
+} from './listing-store.js';
+import { queueCarsForDelivery, deliverQueuedCars } from './delivery-queue.js';
+import { withBrowserSession, closeBrowser } from './browser-session.js';
+import { writeDryRunPreview, printDecisionTable } from './dry-run.js';
+import { BREAKAGE_THRESHOLDS, sendBreakageAlert } from './breakage.js';
+import { getMakeAndModel, getComparableRange, scoreDeal } from './deal-score.js';
+import { hasFilters, getFilterFailures, countFilterFailures, formatFilterCounts } from './filters.js';
+import { detectFeatures } from './features.js';
+import { detectRedFlags } from './red-flags.js';
+import { getCarFingerprint, getRelistDetails, describeRelist } from './fingerprint.js';
+import { isSearchDue, getNextRunTime, isWithinActiveHours, getNextActiveStart, describeSchedule } from './schedule.js';
+import { startDashboard } from './dashboard.js';
+import { isShuttingDown, onShutdown } from './shutdown.js';
 
 /**
- * File to track which cars have been posted to Discord
- * Structure: ["carId1", "carId2", ...]
+ * Current polling state, reported by the status dashboard
  */
-const POSTED_CARS_FILE = path.join(process.cwd(), 'posted-cars.json');
+const pollStatus = {
+  startedAt: new Date().toISOString(),
+  polling: false,
+  lastPollStartedAt: null,
+  lastPollAt: null,
+  nextRunAt: null,
+  intervalMinutes: null,
+  skippedPolls: 0,
+  lastSkippedAt: null,
+  lastError: null,
+  searches: {}
+};
 
 /**
- * Loads the list of posted car IDs
- * @returns {Promise<Set<string>>} Set of posted car IDs
+ * When each search last started, keyed by search name
+ * Searches not run since the bot started are looked up in the listing store, so a restart doesn't rerun them early
  */
-async function loadPostedCars() {
-  try {
-    const data = await fs.readFile(POSTED_CARS_FILE, 'utf-8');
-    const postedCarsData = JSON.parse(data);
-    
-    // Handle migration from old object format to array format
-    if (!Array.isArray(postedCarsData)) {
-      console.log('⚠️  Migrating posted-cars.json from object to array format');
-      // Extract all car IDs from all searches
-      const allCarIds = [];
-      for (const carIds of Object.values(postedCarsData)) {
-        if (Array.isArray(carIds)) {
-          allCarIds.push(...carIds);
-        }
-      }
-      // Remove duplicates
-      const uniqueCarIds = [...new Set(allCarIds)];
-      await fs.writeFile(POSTED_CARS_FILE, JSON.stringify(uniqueCarIds, null, 2));
-      console.log(`   ✅ Migrated ${uniqueCarIds.length} unique cars to array format`);
-      return new Set(uniqueCarIds);
-    }
-    
-    return new Set(postedCarsData);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist yet, return empty set
-      return new Set();
-    }
-    console.error('Error loading posted cars:', error.message);
-    return new Set();
+const searchRunTimes = new Map();
+
+/**
+ * Gets when a search last started
+ * @param {string} searchName - Name of the search
+ * @returns {Date|null} Last run time, or null if the search has never run
+ */
+function getSearchLastRunAt(searchName) {
+  if (!searchRunTimes.has(searchName)) {
+    const ranAt = getLastSearchRunAt(searchName);
+    searchRunTimes.set(searchName, ranAt ? new Date(ranAt) : null);
   }
+  return searchRunTimes.get(searchName);
 }
 
 /**
- * Saves the list of posted car IDs
- * @param {Set<string>} postedCars - Set of posted car IDs
+ * Gets the searches outside their active hours, whose new cars are held back
+ * @param {Array<Object>} searchConfigs - Search configurations
+ * @param {Date} now - Current time
+ * @returns {Array<string>} Names of the searches holding their cars
  */
-async function savePostedCars(postedCars) {
-  try {
-    const array = Array.from(postedCars);
-    await fs.writeFile(POSTED_CARS_FILE, JSON.stringify(array, null, 2));
-  } catch (error) {
-    console.error('Error saving posted cars:', error.message);
-  }
+function getHeldSearchNames(searchConfigs, now = new Date()) {
+  return searchConfigs
+    .filter(search => !isWithinActiveHours(search.activeHours, now))
+    .map(search => search.name);
 }
 
 /**
- * Adds a car ID to the posted cars list
- * @param {Set<string>} postedCars - Set of posted car IDs
- * @param {string} carId - Car ID to add
+ * Formats a time for logs, in UK time
+ * @param {Date} date - Time to format
+ * @returns {string} e.g. "Mon 07:00"
  */
-async function markCarAsPosted(postedCars, carId) {
-  postedCars.add(carId);
-  await savePostedCars(postedCars);
+function formatScheduleTime(date) {
+  return date.toLocaleString('en-GB', { timeZone: 'Europe/London', weekday: 'short', hour: '2-digit', minute: '2-digit' });
 }
 
 /**
- * Parses a price string and returns the numeric value
- * Handles formats like "£5,000", "5000", "£5,000.00", "Price not available", etc.
- * @param {string} priceString - Price string to parse
- * @returns {number|null} Numeric price value or null if unable to parse
+ * Records an error for the status dashboard
+ * @param {Error} error - Error that occurred
+ * @param {string|null} searchName - Search being processed, if any
  */
-function parsePrice(priceString) {
-  if (!priceString || typeof priceString !== 'string') {
-    return null;
-  }
-  
-  // Remove currency symbols, commas, and whitespace
-  const cleaned = priceString.replace(/[£$€,\s]/g, '');
-  
-  // Extract first number (handles cases like "£5,000 or nearest offer")
-  const match = cleaned.match(/(\d+(?:\.\d+)?)/);
-  if (match) {
-    return parseFloat(match[1]);
-  }
-  
-  return null;
+function recordPollError(error, searchName = null) {
+  pollStatus.lastError = {
+    message: error.message,
+    searchName,
+    at: new Date().toISOString()
+  };
 }
 
 /**
- * Checks if a car's price is within the configured maximum
- * @param {Object} car - Car object with price information
- * @param {string|number} maxPrice - Maximum price from config (as string or number)
- * @returns {boolean} True if price is within limit or price cannot be determined
+ * Gets the current polling state
+ * @returns {Object} Poll status ({ polling, lastPollAt, nextRunAt, lastError, searches, ... })
  */
-function isPriceWithinLimit(car, maxPrice) {
-  // If no max price configured, allow all cars
-  if (!maxPrice) {
-    return true;
-  }
-  
-  const maxPriceNum = typeof maxPrice === 'string' ? parseFloat(maxPrice) : maxPrice;
-  if (isNaN(maxPriceNum)) {
-    return true; // If max price is invalid, allow the car
-  }
-  
-  // Try to get price from car object (could be in price field)
-  const carPrice = parsePrice(car.price);
-  
-  // If we can't parse the price, allow it (better to post than miss a good deal)
-  if (carPrice === null) {
-    return true;
-  }
-  
-  return carPrice <= maxPriceNum;
+export function getPollStatus() {
+  return pollStatus;
 }
 
 /**
- * Parses a mileage string and returns the numeric value
- * Handles formats like "50,000 miles", "50000 mi", "50,000", etc.
- * @param {string} mileageString - Mileage string to parse
- * @returns {number|null} Numeric mileage value or null if unable to parse
+ * Updates the price history of already-seen cars and posts an update for any price drops
+ * @param {Array} cars - Already-seen cars from the latest search results
+ * @param {Object} destination - Search destination, used for cars saved before webhook URLs were stored
+ * @param {boolean} dryRun - Log price drops instead of posting them
+ * @returns {Promise<number>} Number of price drops found
  */
-function parseMileage(mileageString) {
-  if (!mileageString || typeof mileageString !== 'string') {
-    return null;
-  }
-  
-  // Remove commas, whitespace, and common mileage-related text
-  const cleaned = mileageString.replace(/[,\s]/g, '').toLowerCase();
+async function trackPriceChanges(cars, destination, dryRun = false) {
+  let priceDrops = 0;
   
-  // Extract first number (handles cases like "50,000 miles" or "50000 mi")
-  const match = cleaned.match(/(\d+(?:\.\d+)?)/);
-  if (match) {
-    return parseFloat(match[1]);
+  for (const car of cars) {
+    const carId = car.id || car.carId;
+    const newPrice = car.specs.price;
+    const oldPrice = recordListingPrice(carId, newPrice);
+    if (oldPrice === null || newPrice >= oldPrice) {
+      continue;
+    }
+    
+    priceDrops++;
+    // Filtered cars were never posted, so there is no message to update
+    const listing = getListing(carId);
+    if (listing.messageId && dryRun) {
+      console.log(`   📉 Would post a price drop for car ${carId}: £${oldPrice} → £${newPrice}`);
+    } else if (listing.messageId) {
+      await postPriceDropUpdate(listing.webhookUrl || destination.webhookUrl, listing, car, oldPrice, newPrice);
+    }
   }
   
-  return null;
+  return priceDrops;
 }
 
 /**
- * Checks if a car's mileage is within the configured maximum
- * @param {Object} car - Car object with mileage information
- * @param {string|number} maxMileage - Maximum mileage from config (as string or number)
- * @returns {boolean} True if mileage is within limit or mileage cannot be determined
+ * How long before a car still missing from the results has its detail page checked again
  */
-function isMileageWithinLimit(car, maxMileage) {
-  // If no max mileage configured, allow all cars
-  if (!maxMileage) {
-    return true;
-  }
+const AVAILABILITY_RECHECK_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Detects posted cars from a search that are no longer listed and marks them as sold
+ * A car missing from the results may just have dropped off the results page, so each
+ * disappearance is confirmed against the car's detail page before marking it sold. A car whose
+ * advert is still live is checked again every AVAILABILITY_RECHECK_MS while it stays missing,
+ * and one whose page failed to load is checked again on the next poll
+ * @param {Array} allCars - Cars from the latest search results
+ * @param {string} searchName - Name of the search
+ * @param {Object} destination - Search destination, used for cars saved before webhook URLs were stored
+ * @param {boolean} dryRun - Don't update the Discord posts of sold cars
+ * @param {Function} checkAvailability - Loads the detail pages of missing cars (for testing)
+ * @returns {Promise<number>} Number of cars marked as sold
+ */
+export async function detectSoldCars(allCars, searchName, destination, dryRun = false, checkAvailability = checkCarsAvailability) {
+  const currentIds = new Set(allCars.map(car => car.id || car.carId));
+  const activeListings = getActiveListingsForSearch(searchName);
   
-  const maxMileageNum = typeof maxMileage === 'string' ? parseFloat(maxMileage) : maxMileage;
-  if (isNaN(maxMileageNum)) {
-    return true; // If max mileage is invalid, allow the car
+  markListingsSeen(activeListings.filter(listing => currentIds.has(listing.id)).map(listing => listing.id));
+  
+  const missingCars = activeListings
+    .filter(listing => !currentIds.has(listing.id) && listing.link)
+    .filter(listing => !listing.availabilityCheckedAt
+      || listing.availabilityCheckedAt < listing.lastSeenAt
+      || Date.now() - new Date(listing.availabilityCheckedAt).getTime() >= AVAILABILITY_RECHECK_MS)
+    .map(listing => ({ id: listing.id, link: listing.link }));
+  
+  if (missingCars.length === 0) {
+    return 0;
   }
   
-  // Try to get mileage from car object
-  const carMileage = parseMileage(car.mileage);
+  console.log(`   🔎 Checking ${missingCars.length} car(s) no longer in the search results...`);
+  const { checkedIds, unavailableIds } = await checkAvailability(missingCars);
+  const now = new Date();
+  let soldCount = 0;
   
-  // If we can't parse the mileage, allow it (better to post than miss a good deal)
-  if (carMileage === null) {
-    return true;
+  for (const { id } of missingCars) {
+    // Cars whose page failed to load weren't checked, so they're tried again next poll
+    if (!checkedIds.has(id)) {
+      continue;
+    }
+    markAvailabilityChecked(id);
+    if (!unavailableIds.has(id)) {
+      continue;
+    }
+    
+    const listing = getListing(id);
+    const listedMs = now - new Date(listing.postedAt || listing.firstSeenAt);
+    const listedDays = Math.max(1, Math.round(listedMs / (24 * 60 * 60 * 1000)));
+    const soldListing = markListingSold(id, now.toISOString(), listedDays);
+    soldCount++;
+    console.log(`   🔴 Car ${id} is no longer listed (listed for ${listedDays} day(s))`);
+    
+    if (dryRun) {
+      continue;
+    }
+    await markCarAsSoldOnDiscord(soldListing.webhookUrl || destination.webhookUrl, soldListing);
   }
   
-  return carMileage <= maxMileageNum;
+  return soldCount;
 }
 
 /**
- * Parses a distance string and returns the numeric value
- * Handles formats like "25 miles", "25.5 miles away", "25 mi", etc.
- * Looks for distance in location strings
- * @param {string} locationString - Location string that may contain distance
- * @returns {number|null} Numeric distance value in miles or null if unable to parse
+ * Holds back new cars whose detail pages failed to load so they are retried on the next poll
+ * A car that keeps failing is saved as 'detail-failed' after maxDetailFailures polls so it isn't retried forever
+ * Cars whose advert was removed before their details loaded are skipped rather than posted
+ * @param {Array} cars - New normalised cars
+ * @param {string} searchName - Name of the search that found the cars
+ * @param {Object} destination - The search's destination ({ name, webhookUrl, botToken })
+ * @returns {Object} { completeCars, requeuedCars } - cars with full details and those held back for the next poll
  */
-function parseDistance(locationString) {
-  if (!locationString || typeof locationString !== 'string') {
-    return null;
-  }
-  
-  // Look for patterns like "25 miles", "25.5 miles away", "25 mi", etc.
-  // Case insensitive, handles "miles", "mile", "mi", "m"
-  const match = locationString.match(/(\d+(?:\.\d+)?)\s*(?:miles?|mi|m)\b/i);
-  if (match) {
-    return parseFloat(match[1]);
+export function holdBackFailedDetails(cars, searchName, destination) {
+  const { maxDetailFailures } = loadBotConfig().retry;
+  const completeCars = [];
+  const requeuedCars = [];
+
+  for (const car of cars) {
+    const carId = car.id || car.carId;
+    if (car.unavailable) {
+      console.log(`   ⏭️  Car ${carId} is no longer available - not posting it`);
+      clearDetailFailures(carId);
+      continue;
+    }
+    if (!car.error) {
+      clearDetailFailures(carId);
+      completeCars.push(car);
+      continue;
+    }
+
+    const failures = recordDetailFailure(carId, car.error);
+    if (failures >= maxDetailFailures) {
+      console.log(`   ❌ Giving up on car ${carId} after ${failures} failed detail extraction(s): ${car.error}`);
+      saveListing(car, {
+        searchName,
+        filterResult: 'detail-failed',
+        price: car.specs.price,
+        webhookUrl: destination.webhookUrl
+      });
+      clearDetailFailures(carId);
+    } else {
+      console.log(`   🔁 Details for car ${carId} failed (${failures}/${maxDetailFailures}) - will retry next poll: ${car.error}`);
+      requeuedCars.push(car);
+    }
   }
-  
-  return null;
+
+  return { completeCars, requeuedCars };
 }
 
 /**
- * Checks if a car's distance is within the configured maximum
- * @param {Object} car - Car object with location information
- * @param {string|number} maxDistance - Maximum distance from config (as string or number)
- * @returns {boolean} True if distance is within limit or distance cannot be determined
+ * Adds a market-value deal score to each new car, comparing it with similar cars already seen
+ * @param {Array} cars - New normalised cars
+ * @param {Object} searchConfig - Search configuration that found the cars
+ * @returns {Array} Cars with make, model and deal ({ score, fairPrice, comparableCount } or null) added
  */
-function isDistanceWithinLimit(car, maxDistance) {
-  // If no max distance configured, allow all cars
-  if (!maxDistance) {
-    return true;
-  }
-  
-  const maxDistanceNum = typeof maxDistance === 'string' ? parseFloat(maxDistance) : maxDistance;
-  if (isNaN(maxDistanceNum)) {
-    return true; // If max distance is invalid, allow the car
-  }
-  
-  // Try to get distance from location field (could be in location, contactLocation, or sellerLocation)
-  const locationText = car.location || car.contactLocation || car.sellerLocation || '';
-  const carDistance = parseDistance(locationText);
-  
-  // If we can't parse the distance, allow it (better to post than miss a good deal)
-  if (carDistance === null) {
-    return true;
+function scoreNewCars(cars, searchConfig) {
+  return cars.map(car => {
+    const { make, model } = getMakeAndModel(car, searchConfig);
+    let deal = null;
+    if (make && model && car.specs.year !== null && car.specs.mileage !== null) {
+      const comparables = findComparables({
+        make,
+        model,
+        ...getComparableRange(car.specs),
+        excludeId: car.id || car.carId
+      });
+      deal = scoreDeal(car.specs, comparables);
+    }
+    return { ...car, make, model, deal };
+  });
+}
+
+/**
+ * Fingerprints new cars and links any that look like a relist of a car already in the listing store
+ * @param {Array<Object>} cars - New cars with their details
+ * @returns {Array<Object>} Cars with their `fingerprint`, and `relist` details if they were seen before under another ID
+ */
+function linkRelistedCars(cars) {
+  return cars.map(car => {
+    const fingerprint = getCarFingerprint(car);
+    const original = fingerprint ? findListingByFingerprint(fingerprint, car.id || car.carId) : null;
+    if (!original) {
+      return { ...car, fingerprint, relist: null };
+    }
+    const relist = getRelistDetails(original);
+    console.log(`   🔁 ${car.title || car.id} looks like a relist of ${original.id}: ${describeRelist(relist)}`);
+    return { ...car, fingerprint, relist };
+  });
+}
+
+/**
+ * Reports signs that the scraper is broken to the admin webhook
+ * @param {Object} breakage - Breakage report from extractCarsFromAutotrader
+ * @param {boolean} dryRun - Only log the problems, without alerting
+ */
+async function alertBreakage(breakage, dryRun) {
+  console.log(`   🚨 Scraper may be broken:\n      - ${breakage.problems.join('\n      - ')}`);
+  if (dryRun) {
+    console.log('   🧪 Dry run - breakage alert not sent');
+    return;
   }
-  
-  return carDistance <= maxDistanceNum;
+  await sendBreakageAlert(loadBotConfig().adminWebhookUrl, breakage, breakage.screenshot);
 }
 
 /**
  * Processes a single search configuration
  * @param {Object} searchConfig - Search configuration object
- * @param {Object} botConfig - Bot configuration object
- * @param {Object} postedCars - Object mapping search names to Sets of posted car IDs
+ * @param {Object} destination - Where to post the search's cars ({ name, webhookUrl, botToken })
+ * @param {boolean} dryRun - Work out what would be posted without posting anything (the result includes decisions)
+ * @returns {Promise<Object|null>} Result stats, or null if the search failed
  */
-async function processSearch(searchConfig, botConfig, postedCars) {
+async function processSearch(searchConfig, destination, dryRun = false) {
   const searchName = searchConfig.name || 'Unnamed Search';
   console.log(`\n🔍 Processing search: "${searchName}"`);
   
   try {
-    console.log(`   📋 ${postedCars.size} previously posted cars (across all searches)`);
+    // Cars already in the listing store are shared across all searches
+    const seenIds = getSeenIds();
+    console.log(`   📋 ${seenIds.size} previously seen cars (across all searches)`);
     
-    // Extract all cars from Autotrader (pass posted cars to skip detail extraction for them)
-    const allCars = await extractCarsFromAutotrader(postedCars, searchConfig);
+    // Extract all cars from Autotrader (pass seen cars to skip detail extraction for them),
+    // comparing the first results page with recent runs to spot the scraper breaking
+    const recentListingCounts = getRecentFirstPageCounts(searchName, BREAKAGE_THRESHOLDS.recentRuns);
+    const previousListingCount = getLastFirstPageCount(searchName);
+    const { cars: allCars, pages, breakage } = await extractCarsFromAutotrader(seenIds, searchConfig, { recentListingCounts, previousListingCount });
+    const pageBreakdown = pages.map(page => `p${page.page}: ${page.listings}`).join(', ');
+    console.log(`   📄 Loaded ${pages.length} results page(s) (${pageBreakdown || 'none'})`);
+    
+    // Broken runs are flagged, so they don't drag down the counts later runs are compared with
+    // but still count as the search's last run after a restart
+    if (breakage) {
+      await alertBreakage(breakage, dryRun);
+    }
+    recordSearchRun(searchName, pages.length > 0 ? pages[0].listings : 0, allCars.length, Boolean(breakage));
+    const problems = breakage ? breakage.problems : [];
     
     if (allCars.length === 0) {
       console.log(`   ⚠️  No cars found in search results`);
       return {
+        pages,
         totalFound: 0,
         newCars: 0,
         posted: 0,
-        overBudget: 0
+        overBudget: 0,
+        filterCounts: {},
+        priceDrops: 0,
+        sold: 0,
+        requeued: 0,
+        queued: countQueuedDeliveries(searchName),
+        problems
       };
     }
     
-    // Filter for new cars (not yet posted)
-    const newCars = allCars.filter(car => {
+    // Filter for new cars (not yet posted), holding back any whose details failed to load
+    const { completeCars, requeuedCars } = holdBackFailedDetails(allCars.filter(car => {
       const carId = car.id || car.carId;
-      return carId && !postedCars.has(carId);
-    });
+      return carId && !seenIds.has(carId);
+    }), searchName, destination);
+    const requeued = requeuedCars.length;
     
-    // Get filter limits from search config
-    const maxPrice = searchConfig['max-price'];
-    const maxMileage = searchConfig['max-milage'];
-    const maxDistance = searchConfig['max-distance'];
+    // Score the new cars against the market, link relisted ones to their first advert,
+    // and detect their features and red flags for filtering and posting
+    const { featureWords, redFlags } = loadBotConfig();
+    const newCars = linkRelistedCars(scoreNewCars(completeCars, searchConfig)).map(car => ({
+      ...car,
+      features: detectFeatures(car.description, featureWords),
+      redFlags: detectRedFlags(car, redFlags)
+    }));
     
-    // Filter cars by price, mileage, and distance
+    // Track prices of cars we've already seen
+    const seenCars = allCars.filter(car => seenIds.has(car.id || car.carId));
+    const priceDrops = await trackPriceChanges(seenCars, destination, dryRun);
+    
+    // Mark cars from this search that have been removed from Autotrader
+    const soldCount = await detectSoldCars(allCars, searchName, destination, dryRun);
+    
+    // Filter cars by the search's limits, filter rules, features, red flags, relists and deal score
     const carsToPost = [];
     const filteredCars = [];
+    const decisions = requeuedCars.map(car => ({
+      searchName,
+      destination: destination.name,
+      car,
+      decision: 'retry',
+      reasons: [`details failed: ${car.error}`]
+    }));
     
     for (const car of newCars) {
-      // Check all filters
-      const priceOk = isPriceWithinLimit(car, maxPrice);
-      const mileageOk = isMileageWithinLimit(car, maxMileage);
-      const distanceOk = isDistanceWithinLimit(car, maxDistance);
-      
-      if (priceOk && mileageOk && distanceOk) {
+      const filterFailures = getFilterFailures(car, searchConfig);
+      if (filterFailures.length === 0) {
         carsToPost.push(car);
       } else {
-        filteredCars.push(car);
+        // Keep the rules that rejected the car with it, so they're saved to the listing store
+        filteredCars.push({ ...car, filterFailures });
       }
+      decisions.push({
+        searchName,
+        destination: destination.name,
+        car,
+        decision: filterFailures.length === 0 ? 'post' : 'filter',
+        reasons: filterFailures.map(failure => failure.reason)
+      });
     }
+    const filterCounts = countFilterFailures(filteredCars);
     
     console.log(`   📊 Results:`);
     console.log(`      - Total cars found: ${allCars.length}`);
-    console.log(`      - Already posted: ${allCars.length - newCars.length}`);
+    console.log(`      - Already seen: ${seenCars.length}`);
     console.log(`      - New cars: ${newCars.length}`);
-    if (maxPrice || maxMileage || maxDistance) {
+    if (requeued > 0) {
+      console.log(`      - Details failed, retrying next poll: ${requeued}`);
+    }
+    if (priceDrops > 0) {
+      console.log(`      - Price drops: ${priceDrops}`);
+    }
+    if (soldCount > 0) {
+      console.log(`      - Sold / withdrawn: ${soldCount}`);
+    }
+    // Red flags can filter cars even for a search without filters of its own
+    if (hasFilters(searchConfig) || filteredCars.length > 0) {
       console.log(`      - Passed all filters: ${carsToPost.length}`);
       console.log(`      - Filtered out: ${filteredCars.length}`);
-      if (maxPrice) {
-        const overPrice = filteredCars.filter(car => !isPriceWithinLimit(car, maxPrice)).length;
-        if (overPrice > 0) console.log(`         - Over max price (>£${maxPrice}): ${overPrice}`);
-      }
-      if (maxMileage) {
-        const overMileage = filteredCars.filter(car => !isMileageWithinLimit(car, maxMileage)).length;
-        if (overMileage > 0) console.log(`         - Over mileage (>${maxMileage}): ${overMileage}`);
-      }
-      if (maxDistance) {
-        const overDistance = filteredCars.filter(car => !isDistanceWithinLimit(car, maxDistance)).length;
-        if (overDistance > 0) console.log(`         - Over distance (>${maxDistance} miles): ${overDistance}`);
+      for (const [rule, count] of Object.entries(filterCounts)) {
+        console.log(`         - ${rule}: ${count}`);
       }
     }
     
-    // Mark filtered cars as posted (so we don't check them again)
+    // Save filtered cars to the store (so we don't check them again)
     for (const car of filteredCars) {
       const carId = car.id || car.carId;
       if (carId) {
-        await markCarAsPosted(postedCars, carId);
+        saveListing(car, {
+          searchName,
+          filterResult: 'filtered',
+          price: car.specs.price,
+          webhookUrl: destination.webhookUrl
+        });
       }
     }
     
     if (filteredCars.length > 0) {
-      console.log(`   ⏭️  Marked ${filteredCars.length} filtered car(s) as posted (won't check again)`);
+      console.log(`   ⏭️  Saved ${filteredCars.length} filtered car(s) to the listing store (won't check again)`);
     }
     
+    if (dryRun) {
+      console.log(`   🧪 Dry run - ${carsToPost.length} car(s) would be posted to ${destination.name}`);
+      return {
+        pages,
+        totalFound: allCars.length,
+        newCars: newCars.length,
+        posted: 0,
+        overBudget: filteredCars.length,
+        filterCounts,
+        priceDrops,
+        sold: soldCount,
+        requeued,
+        queued: 0,
+        problems,
+        decisions
+      };
+    }
+    
+    // Save cars that passed all filters and queue them for Discord, so none are lost if posting fails
+    for (const car of carsToPost) {
+      saveListing(car, {
+        searchName,
+        filterResult: 'queued',
+        price: car.specs.price,
+        webhookUrl: destination.webhookUrl
+      });
+    }
+    queueCarsForDelivery(carsToPost, destination);
+    
+    // Post this search's queued cars, including any still waiting from earlier polls,
+    // unless it's outside the search's active hours - then they're held and posted together once the window opens
     let successCount = 0;
-    if (carsToPost.length > 0) {
-      // Post cars that passed all filters to Discord
-      console.log(`   📤 Posting ${carsToPost.length} car(s) that passed all filters to Discord...`);
-      successCount = await postCarsToDiscord(
-        botConfig.discordWebhookUrl, 
-        carsToPost, 
-        2000, 
-        botConfig.discordBotToken
-      );
-      
-      // Mark successfully posted cars
-      for (const car of carsToPost) {
-        const carId = car.id || car.carId;
-        if (carId) {
-          await markCarAsPosted(postedCars, carId);
-        }
+    if (!isWithinActiveHours(searchConfig.activeHours)) {
+      const held = countQueuedDeliveries(searchName);
+      if (held > 0) {
+        const opensAt = getNextActiveStart(searchConfig.activeHours);
+        console.log(`   🌙 Outside active hours (${searchConfig.activeHours}) - holding ${held} car(s) until ${formatScheduleTime(opensAt)}`);
       }
-      
-      console.log(`   ✅ Posted ${successCount}/${carsToPost.length} cars to Discord`);
+    } else if (countQueuedDeliveries(searchName) > 0) {
+      console.log(`   📤 Posting queued car(s) to Discord (${destination.name})...`);
+      const delivered = await deliverQueuedCars(searchName);
+      successCount = delivered.length;
+      console.log(`   ✅ Posted ${successCount} car(s) to Discord`);
     } else {
       console.log(`   ✅ No cars passed all filters to post for this search!`);
     }
+    const stillQueued = countQueuedDeliveries(searchName);
+    if (stillQueued > 0) {
+      console.log(`   🔁 ${stillQueued} car(s) still queued for Discord`);
+    }
     
     return {
+      pages,
       totalFound: allCars.length,
       newCars: newCars.length,
       posted: successCount,
-      overBudget: filteredCars.length
+      overBudget: filteredCars.length,
+      filterCounts,
+      priceDrops,
+      sold: soldCount,
+      requeued,
+      queued: stillQueued,
+      problems
     };
     
   } catch (error) {
     console.error(`   ❌ Error processing search "${searchName}":`, error.message);
+    recordPollError(error, searchName);
+    pollStatus.searches[searchName] = {
+      lastRunAt: new Date().toISOString(),
+      result: null,
+      error: error.message
+    };
     return null;
   }
 }
 
 /**
- * Builds a summary message for Discord
- * @param {Array} searchResults - Array of search result objects
- * @param {number} totalCarsFound - Total cars found across all searches
- * @param {number} totalNewCars - Total new cars found
- * @param {number} totalPosted - Total cars posted to Discord
- * @param {number} totalOverBudget - Total cars over budget
- * @returns {string|null} Summary message or null if nothing to report
+ * Posts cars still in the delivery queue after the due searches have run
+ * @param {Array<Object>} allSearchConfigs - Every search configuration, including paused ones
+ * @returns {Promise<number>} Number of cars posted
  */
-function buildSummaryMessage(searchResults, totalCarsFound, totalNewCars, totalPosted, totalOverBudget) {
-  const timestamp = new Date().toLocaleString('en-GB', { 
-    timeZone: 'Europe/London',
-    day: '2-digit',
-    month: '2-digit',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
-  
-  let message = `✅ **Check Complete** - ${timestamp}\n\n`;
-  
-  if (totalCarsFound === 0) {
-    message += `No cars found in any search.`;
-    return message;
-  }
-  
-  message += `**Summary:**\n`;
-  message += `• Total cars found: ${totalCarsFound}\n`;
-  message += `• New cars: ${totalNewCars}\n`;
-  
-  if (totalOverBudget > 0) {
-    message += `• Over budget (filtered): ${totalOverBudget}\n`;
-  }
-  
-  if (totalPosted > 0) {
-    message += `• **Posted to Discord: ${totalPosted}** 🎉\n`;
-  } else {
-    message += `• Posted: 0\n`;
+async function deliverLeftoverCars(allSearchConfigs) {
+  if (isShuttingDown() || countQueuedDeliveries() === 0) {
+    return 0;
   }
   
-  // Add per-search breakdown if multiple searches
-  if (searchResults.length > 1) {
-    message += `\n**Per Search:**\n`;
-    for (const result of searchResults) {
-      message += `• ${result.name}: ${result.totalFound} found, ${result.posted} posted`;
-      if (result.overBudget > 0) {
-        message += `, ${result.overBudget} over budget`;
-      }
-      message += `\n`;
-    }
+  const delivered = await deliverQueuedCars(null, getHeldSearchNames(allSearchConfigs));
+  if (delivered.length > 0) {
+    console.log(`📬 Posted ${delivered.length} queued car(s) from earlier polls`);
   }
-  
-  return message;
+  return delivered.length;
 }
 
 /**
  * Main polling function - checks for new cars and posts them to Discord
+ * Once the bot is shutting down, the search being processed is finished and the rest are skipped
+ * @param {boolean} dryRun - Write what would be posted to preview files instead of posting to Discord
+ * @param {boolean} runAll - Run every active search, whether or not it is due
+ * @returns {Promise<Array<Object>>} Result stats for each search processed
  */
-async function pollForNewCars() {
+async function pollForNewCars(dryRun = false, runAll = false) {
   console.log('\n🔍 Starting car searches...');
   console.log(`⏰ ${new Date().toLocaleString()}`);
+  pollStatus.polling = true;
+  pollStatus.lastPollStartedAt = new Date().toISOString();
   
   try {
-    // Load bot configuration
-    const botConfig = loadBotConfig();
+    // Load all search configurations, skipping paused ones
+    const allSearchConfigs = getAllSearchConfigs();
+    const activeSearchConfigs = allSearchConfigs.filter(search => !search.paused);
     
-    // Load all search configurations
-    const searchConfigs = getAllSearchConfigs();
-    
-    if (searchConfigs.length === 0) {
-      console.log('⚠️  No search configurations found in config.json');
-      return;
+    if (activeSearchConfigs.length === 0) {
+      console.log('⚠️  No active search configurations found in config.json');
+      // Cars queued before every search was paused or removed still get posted
+      if (!dryRun) {
+        await deliverLeftoverCars(allSearchConfigs);
+      }
+      return [];
     }
     
-    console.log(`📋 Found ${searchConfigs.length} search configuration(s)`);
+    // A dry run previews every active search; otherwise only searches due on their own schedule run
+    const { pollingIntervalMinutes } = loadBotConfig();
+    const now = new Date();
+    const searchConfigs = dryRun || runAll
+      ? activeSearchConfigs
+      : activeSearchConfigs.filter(search => isSearchDue(search, getSearchLastRunAt(search.name), pollingIntervalMinutes, now));
     
-    // Load list of already posted cars (shared across all searches)
-    const postedCars = await loadPostedCars();
+    const pausedCount = allSearchConfigs.length - activeSearchConfigs.length;
+    console.log(`📋 Found ${activeSearchConfigs.length} search configuration(s)${pausedCount > 0 ? ` (${pausedCount} paused)` : ''}, ${searchConfigs.length} due`);
     
     // Track summary statistics
-    let totalCarsFound = 0;
-    let totalNewCars = 0;
     let totalPosted = 0;
-    let totalOverBudget = 0;
     const searchResults = [];
+    // Destinations searched this poll, keyed by webhook URL (several searches may share one)
+    const destinations = new Map();
     
-    // Process each search configuration
-    for (let i = 0; i < searchConfigs.length; i++) {
-      const searchConfig = searchConfigs[i];
-      const searchName = searchConfig.name || `Search ${i + 1}`;
-      console.log(`\n[${i + 1}/${searchConfigs.length}] Processing: ${searchName}`);
-      console.log(`   Make: ${searchConfig.make || 'N/A'}, Model: ${searchConfig.model || 'N/A'}`);
-      
-      const result = await processSearch(searchConfig, botConfig, postedCars);
-      if (result) {
-        totalCarsFound += result.totalFound || 0;
-        totalNewCars += result.newCars || 0;
-        totalPosted += result.posted || 0;
-        totalOverBudget += result.overBudget || 0;
-        searchResults.push({
-          name: searchName,
-          ...result
-        });
-      }
+    // Process each search configuration, sharing one browser across the whole poll
+    await withBrowserSession(async () => {
+      for (let i = 0; i < searchConfigs.length; i++) {
+        if (isShuttingDown()) {
+          console.log(`\n🛑 Shutting down - skipping ${searchConfigs.length - i} remaining search(es)`);
+          break;
+        }
+        const searchConfig = searchConfigs[i];
+        const searchName = searchConfig.name || `Search ${i + 1}`;
+        console.log(`\n[${i + 1}/${searchConfigs.length}] Processing: ${searchName}`);
+        console.log(`   Make: ${searchConfig.make || 'N/A'}, Model: ${searchConfig.model || 'N/A'}`);
+        
+        const destination = getSearchDestination(searchConfig);
+        destinations.set(destination.webhookUrl, destination);
+        
+        // Schedules count from the start of a run, so slow runs don't push later runs back
+        if (!dryRun) {
+          searchRunTimes.set(searchName, new Date());
+        }
+        const result = await processSearch(searchConfig, destination, dryRun);
+        if (result) {
+          totalPosted += result.posted || 0;
+          searchResults.push({
+            name: searchName,
+            ...result
+          });
+          pollStatus.searches[searchName] = {
+            lastRunAt: new Date().toISOString(),
+            result,
+            error: null
+          };
+        }
       
-      // Add a small delay between searches to avoid overwhelming the server
-      if (i < searchConfigs.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // Add a small delay between searches to avoid overwhelming the server
+        if (i < searchConfigs.length - 1 && !isShuttingDown()) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
       }
+    });
+    
+    // Post anything left in the queue: cars held outside a search's active hours once its window has opened,
+    // and cars found by searches since removed or paused
+    if (!dryRun) {
+      totalPosted += await deliverLeftoverCars(allSearchConfigs);
     }
     
     console.log('\n✅ All searches completed!');
+    for (const result of searchResults) {
+      const pageBreakdown = result.pages.map(page => `p${page.page}: ${page.listings}`).join(', ');
+      const filtered = result.overBudget ? `, ${result.overBudget} filtered (${formatFilterCounts(result.filterCounts)})` : '';
+      console.log(`   ${result.name}: ${result.totalFound} found on ${result.pages.length} page(s) (${pageBreakdown || 'none'}), ${result.posted} posted${filtered}${result.queued ? `, ${result.queued} queued` : ''}`);
+    }
+    
+    if (dryRun) {
+      const decisions = searchResults.flatMap(result => result.decisions || []);
+      printDecisionTable(decisions);
+      const { jsonFile, htmlFile } = writeDryRunPreview(decisions);
+      console.log(`\n🧪 Dry run - nothing was posted or saved. Previews written to:\n   ${jsonFile}\n   ${htmlFile}`);
+      return searchResults;
+    }
     
     // Format last checked datetime for channel topic
     const lastChecked = new Date().toLocaleString('en-GB', { 
@@ -472,14 +660,143 @@ async function pollForNewCars() {
     });
     const channelTopic = `Last checked: ${lastChecked}`;
     
-    // Update channel topic with last checked time
-    await updateChannelTopic(botConfig.discordWebhookUrl, botConfig.discordBotToken, channelTopic);
+    // Update the topic of every channel searched for with the last checked time
+    for (const destination of destinations.values()) {
+      await updateChannelTopic(destination.webhookUrl, destination.botToken, channelTopic);
+    }
     
+    return searchResults;
   } catch (error) {
     console.error('❌ Error during polling:', error);
+    recordPollError(error);
+    return [];
+  } finally {
+    pollStatus.polling = false;
+    pollStatus.lastPollAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Runs every search once without posting to Discord or saving to listings.db
+ * The poll works on an in-memory copy of the listing store and writes its would-be posts to preview files
+ * @returns {Promise<Array<Object>>} Result stats for each search processed
+ */
+export async function runDryRun() {
+  useListingStoreSnapshot();
+  try {
+    return await pollForNewCars(true);
+  } finally {
+    closeListingStore();
+  }
+}
+
+/**
+ * Timer for the next scheduled poll
+ */
+let pollTimer = null;
+
+/**
+ * The poll currently running, if any (only one runs at a time)
+ */
+let currentPoll = null;
+
+/**
+ * How long a shutdown waits for the current search before aborting it by closing the browser
+ */
+const SHUTDOWN_ABORT_MS = 60 * 1000;
+
+/**
+ * Checks if a poll is running
+ * @returns {boolean} True while a scheduled or manual poll is in progress
+ */
+export function isPollRunning() {
+  return currentPoll !== null;
+}
+
+/**
+ * Runs a poll unless one is already running, so two polls never scrape or post at the same time
+ * @param {string} trigger - What started the poll, for log messages (e.g. "scheduled", "/poll")
+ * @param {boolean} runAll - Run every active search, whether or not it is due
+ * @returns {Promise<Array<Object>|null>} Result stats for each search processed, or null if the poll was skipped
+ */
+export async function runPoll(trigger, runAll = false) {
+  if (currentPoll) {
+    const startedAt = new Date(pollStatus.lastPollStartedAt).toLocaleTimeString('en-GB');
+    console.log(`⏭️  Skipping ${trigger} poll - the poll started at ${startedAt} is still running`);
+    pollStatus.skippedPolls++;
+    pollStatus.lastSkippedAt = new Date().toISOString();
+    return null;
+  }
+  if (isShuttingDown()) {
+    return null;
+  }
+  
+  // Every search in the poll uses the config as it was when the poll started
+  holdConfig();
+  currentPoll = pollForNewCars(false, runAll);
+  try {
+    return await currentPoll;
+  } finally {
+    currentPoll = null;
+    releaseConfig();
   }
 }
 
+/**
+ * Works out when the next poll should start, recording each search's next run for the status dashboard
+ * That's when the next search is due, or when a search holding cars reaches its active hours,
+ * but at least every pollingIntervalMinutes so the dashboard can tell the bot is still running
+ * @param {Date} now - Current time
+ * @returns {Date} Next poll time
+ */
+function getNextPollTime(now = new Date()) {
+  const { pollingIntervalMinutes } = loadBotConfig();
+  const searchConfigs = getAllSearchConfigs();
+  const times = [now.getTime() + pollingIntervalMinutes * 60 * 1000];
+  
+  for (const search of searchConfigs) {
+    const lastRunAt = getSearchLastRunAt(search.name);
+    const nextRunAt = search.paused ? null : getNextRunTime(search, lastRunAt, pollingIntervalMinutes);
+    pollStatus.searches[search.name] = {
+      ...pollStatus.searches[search.name],
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null
+    };
+    if (nextRunAt) {
+      times.push(nextRunAt.getTime());
+    } else if (!search.paused && !lastRunAt) {
+      times.push(now.getTime());
+    }
+    
+    const opensAt = getNextActiveStart(search.activeHours, now);
+    if (opensAt && countQueuedDeliveries(search.name) > 0) {
+      times.push(opensAt.getTime());
+    }
+  }
+  
+  return new Date(Math.max(now.getTime(), Math.min(...times)));
+}
+
+/**
+ * (Re)schedules the next poll, replacing any existing schedule
+ */
+function scheduleNextPoll() {
+  clearTimeout(pollTimer);
+  const nextRunAt = getNextPollTime();
+  pollStatus.nextRunAt = nextRunAt.toISOString();
+  pollTimer = setTimeout(async () => {
+    // A poll started some other way (e.g. /poll) may still be running - wait for it rather than retrying straight away
+    const runningPoll = currentPoll;
+    await runPoll('scheduled');
+    if (runningPoll) {
+      await runningPoll;
+    }
+    if (!isShuttingDown()) {
+      scheduleNextPoll();
+    }
+  }, nextRunAt.getTime() - Date.now());
+  console.log(`\n⏳ Next check at ${formatScheduleTime(nextRunAt)}...`);
+}
+
 /**
  * Starts the polling loop
  */
@@ -488,7 +805,6 @@ export async function startPolling() {
     // Load bot configuration
     const botConfig = loadBotConfig();
     const intervalMinutes = botConfig.pollingIntervalMinutes;
-    const intervalMs = intervalMinutes * 60 * 1000;
     
     // Load search configurations to show count
     const searchConfigs = getAllSearchConfigs();
@@ -496,18 +812,60 @@ export async function startPolling() {
     console.log('🤖 AutoAutoTrader Bot Started');
     console.log(`⏱️  Polling interval: ${intervalMinutes} minutes`);
     console.log(`🔍 Search configurations: ${searchConfigs.length}`);
+    for (const search of searchConfigs) {
+      const activeHours = search.activeHours ? `, active ${search.activeHours}` : '';
+      console.log(`   - ${search.name}: ${search.paused ? 'paused' : describeSchedule(search, intervalMinutes)}${activeHours}`);
+    }
     console.log(`🔗 Discord webhook: ${botConfig.discordWebhookUrl ? 'Configured' : 'Not configured'}`);
+    const destinationNames = [...new Set(searchConfigs.map(search => getSearchDestination(search).name))];
+    console.log(`📨 Destinations: ${destinationNames.join(', ')}`);
     console.log('\n---\n');
     
-    // Run immediately on start
-    await pollForNewCars();
+    // Serve the status dashboard if configured
+    const dashboardServer = botConfig.dashboard ? startDashboard(botConfig.dashboard, getPollStatus) : null;
+    pollStatus.intervalMinutes = intervalMinutes;
     
-    // Then run on interval
-    setInterval(async () => {
-      await pollForNewCars();
-    }, intervalMs);
+    // Apply edits to config.json from the next poll, rescheduling as the interval or search schedules may have changed
+    const configWatcher = watchConfig(() => {
+      const newIntervalMinutes = loadBotConfig().pollingIntervalMinutes;
+      if (newIntervalMinutes !== pollStatus.intervalMinutes) {
+        console.log(`⏱️  Polling interval changed from ${pollStatus.intervalMinutes} to ${newIntervalMinutes} minutes`);
+        pollStatus.intervalMinutes = newIntervalMinutes;
+      }
+      // Before the first poll finishes there's no schedule yet, and a running poll reschedules when it finishes
+      if (pollTimer && !pollStatus.polling) {
+        scheduleNextPoll();
+      }
+    });
+    
+    // On SIGINT/SIGTERM, stop scheduling, let the current search finish, then close everything down
+    onShutdown('poller', async () => {
+      clearTimeout(pollTimer);
+      configWatcher.close();
+      if (currentPoll) {
+        console.log('⏳ Waiting for the current search to finish...');
+        const abortTimer = setTimeout(() => {
+          console.log(`⏱️  Search still running after ${SHUTDOWN_ABORT_MS / 1000}s - aborting it`);
+          closeBrowser();
+        }, SHUTDOWN_ABORT_MS);
+        await currentPoll;
+        clearTimeout(abortTimer);
+      }
+      await closeBrowser();
+      if (dashboardServer) {
+        await new Promise(resolve => dashboardServer.close(resolve));
+      }
+      closeListingStore();
+    });
     
-    console.log(`\n⏳ Next check in ${intervalMinutes} minutes...`);
+    // Run searches that are due immediately on start
+    await runPoll('startup');
+    if (isShuttingDown()) {
+      return;
+    }
+    
+    // Then run each search on its own schedule
+    scheduleNextPoll();
   } catch (error) {
     console.error('❌ Failed to start polling:', error.message);
     console.error('\n💡 Make sure you have created config.json from config.example.json');
@@ -516,7 +874,14 @@ export async function startPolling() {
 }
 
 // Run if executed directly
-if (process.argv[1] && process.argv[1].includes('poller.js')) {
+if (process.argv[1] && process.argv[1].includes('poller.js') && process.argv.includes('--dry-run')) {
+  runDryRun()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Dry run failed:', error);
+      process.exit(1);
+    });
+} else if (process.argv[1] && process.argv[1].includes('poller.js')) {
   startPolling()
     .then(() => {
       console.log('Polling started. Press Ctrl+C to stop.');
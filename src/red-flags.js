@@ -0,0 +1,87 @@
+/**
+ * Red flags from the redFlags section of config.json: phrases in an advert that suggest a problem car,
+ * such as "spares or repair" or "no MOT"
+ */
+
+import { compileFeaturePattern, hasPositiveMention } from './features.js';
+
+/**
+ * Red flag severities, most severe first
+ * Cars with a high severity red flag are not posted; the others are posted with a warning
+ */
+export const RED_FLAG_SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Warning icons for each severity
+ */
+const SEVERITY_ICONS = {
+  high: '🔴',
+  medium: '🟠',
+  low: '🟡'
+};
+
+/**
+ * Gets the advert text red flags are looked for in
+ * @param {Object} car - Car object
+ * @returns {string} Title, subtitle and description, one per line
+ */
+function getAdvertText(car) {
+  return [car.title, car.subtitle, car.description]
+    .filter(text => typeof text === 'string' && text.trim())
+    .join('\n');
+}
+
+/**
+ * Detects red flags in a car's title, subtitle and description
+ * Negated mentions such as "not a Cat S" or "no clutch slipping" don't count, as with featureWords
+ * @param {Object} car - Car object
+ * @param {Object} redFlags - Red flag names mapped to { severity, patterns }, from config.json
+ * @returns {Array<Object>} Red flags found ({ name, severity }), most severe first
+ */
+export function detectRedFlags(car, redFlags = {}) {
+  const text = getAdvertText(car);
+  if (!text) {
+    return [];
+  }
+
+  const found = [];
+  for (const [name, { severity, patterns }] of Object.entries(redFlags)) {
+    if (!Array.isArray(patterns)) {
+      continue;
+    }
+
+    for (const pattern of patterns) {
+      try {
+        if (hasPositiveMention(text, compileFeaturePattern(pattern))) {
+          found.push({ name, severity });
+          break;
+        }
+      } catch (error) {
+        // Skip invalid regex patterns
+        console.warn(`Invalid pattern for red flag "${name}": ${pattern}`, error.message);
+      }
+    }
+  }
+
+  return found.sort((a, b) => RED_FLAG_SEVERITIES.indexOf(a.severity) - RED_FLAG_SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Checks if a red flag should stop a car being posted
+ * @param {Object} redFlag - Red flag ({ name, severity })
+ * @returns {boolean} True for high severity red flags
+ */
+export function isRejectingRedFlag(redFlag) {
+  return redFlag.severity === 'high';
+}
+
+/**
+ * Formats red flags for the Warnings field of a Discord embed
+ * @param {Array<Object>} redFlags - Red flags ({ name, severity })
+ * @returns {string} One line per red flag
+ */
+export function formatRedFlagWarnings(redFlags) {
+  return redFlags
+    .map(redFlag => `${SEVERITY_ICONS[redFlag.severity] || '⚠️'} ${redFlag.name} (${redFlag.severity})`)
+    .join('\n');
+}
@@ -0,0 +1,54 @@
+/**
+ * Retry with exponential backoff and jitter
+ */
+
+import { isShuttingDown } from './shutdown.js';
+
+/**
+ * Default retry policy, overridden by the retry block in config.json
+ */
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelayMs: 2000,
+  maxDelayMs: 30000
+};
+
+/**
+ * Works out how long to wait before the next attempt
+ * Uses "full jitter": a random delay between 0 and the exponential backoff cap,
+ * so retries from several pages don't all land at the same moment
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy ({ baseDelayMs, maxDelayMs })
+ * @param {Function} random - Random number source (for testing)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, policy, random = Math.random) {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * cap);
+}
+
+/**
+ * Runs a function, retrying with exponential backoff if it throws
+ * @param {Function} fn - Async function to run; receives the attempt number (1-based) and the total attempts
+ * @param {Object} options - Retry policy ({ attempts, baseDelayMs, maxDelayMs }) plus a label for log messages
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error if every attempt fails (or the first error once the bot is shutting down)
+ */
+export async function withRetry(fn, options = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...options };
+  const label = options.label || 'operation';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt, policy.attempts);
+    } catch (error) {
+      if (attempt >= policy.attempts || isShuttingDown()) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, policy);
+      console.log(`    ⚠️  ${label} failed (attempt ${attempt}/${policy.attempts}): ${error.message} - retrying in ${(delayMs / 1000).toFixed(1)}s`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Per-search schedules and quiet hours
+ * A search runs every pollingIntervalMinutes unless it sets its own `intervalMinutes` or a `cron` expression,
+ * and only posts new cars within its `activeHours` - cars found outside them are held until the window opens.
+ * Cron expressions and active hours are in UK time
+ */
+
+/**
+ * Time zone schedules are worked out in
+ */
+const SCHEDULE_TIME_ZONE = 'Europe/London';
+
+/**
+ * Fields of a cron expression, in order, with their allowed ranges
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * How far ahead to look for the next time a cron expression matches
+ */
+const MAX_CRON_LOOKAHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Formatter reading the UK date and time of an instant
+ */
+const zonedFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: SCHEDULE_TIME_ZONE,
+  hourCycle: 'h23',
+  month: 'numeric',
+  day: 'numeric',
+  weekday: 'short',
+  hour: 'numeric',
+  minute: 'numeric'
+});
+
+/**
+ * Weekday names as formatted by zonedFormat, Sunday first (as in cron)
+ */
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Reads the UK date and time of an instant
+ * @param {Date} date - Instant
+ * @returns {Object} { month, dayOfMonth, dayOfWeek, hour, minute }
+ */
+function getZonedTime(date) {
+  const parts = Object.fromEntries(zonedFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    month: Number(parts.month),
+    dayOfMonth: Number(parts.day),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+/**
+ * Parses one field of a cron expression, e.g. "*", "5", "1-5", "0,30" or "*\/15"
+ * @param {string} text - Field text
+ * @param {Object} field - Field from CRON_FIELDS
+ * @returns {Set<number>} Values the field matches
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`invalid ${field.name} "${part}"`);
+    }
+    const start = match[1] === '*' ? field.min : Number(match[2]);
+    // A single value with a step (e.g. "5/15") runs from that value to the end of the range
+    const end = match[1] === '*' || (match[3] === undefined && match[4] !== undefined)
+      ? field.max
+      : Number(match[3] ?? match[2]);
+    const step = match[4] === undefined ? 1 : Number(match[4]);
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} "${part}" is outside ${field.min}-${field.max}`);
+    }
+    if (step < 1) {
+      throw new Error(`${field.name} step must be at least 1`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week)
+ * Fields take *, numbers, ranges, lists and steps; names like "MON" aren't supported
+ * @param {string} expression - Cron expression, e.g. "0 8,20 * * *"
+ * @returns {Object} Values each field matches, and whether the day fields were restricted
+ * @throws {Error} If the expression isn't valid
+ */
+export function parseCron(expression) {
+  const texts = String(expression).trim().split(/\s+/);
+  if (texts.length !== CRON_FIELDS.length) {
+    throw new Error(`expected ${CRON_FIELDS.length} fields, got ${texts.length}`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, index) => {
+    cron[field.name] = parseCronField(texts[index], field);
+  });
+  // Both 0 and 7 mean Sunday
+  if (cron.dayOfWeek.delete(7)) {
+    cron.dayOfWeek.add(0);
+  }
+  cron.anyDayOfMonth = texts[2] === '*';
+  cron.anyDayOfWeek = texts[4] === '*';
+  return cron;
+}
+
+/**
+ * Checks if a cron expression matches a day
+ * As in cron, when both day fields are restricted a day matching either one matches
+ * @param {Object} cron - Parsed cron expression
+ * @param {Object} time - UK date and time from getZonedTime
+ * @returns {boolean} True if the day matches
+ */
+function matchesCronDay(cron, time) {
+  if (!cron.month.has(time.month)) {
+    return false;
+  }
+  const dayOfMonth = cron.dayOfMonth.has(time.dayOfMonth);
+  const dayOfWeek = cron.dayOfWeek.has(time.dayOfWeek);
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Works out the next time a cron expression matches
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Time to look from (the result is always later)
+ * @returns {Date|null} Next matching minute, or null if there is none within a year (e.g. 30 February)
+ */
+export function getNextCronTime(expression, after) {
+  const cron = parseCron(expression);
+  const minuteMs = 60 * 1000;
+  const limit = after.getTime() + MAX_CRON_LOOKAHEAD_MS;
+  let time = Math.floor(after.getTime() / minuteMs) * minuteMs + minuteMs;
+
+  while (time <= limit) {
+    const zoned = getZonedTime(new Date(time));
+    // UK clock changes happen on the hour, so jumping to the next hour never skips a match
+    if (!matchesCronDay(cron, zoned) || !cron.hour.has(zoned.hour)) {
+      time += (60 - zoned.minute) * minuteMs;
+      continue;
+    }
+    if (cron.minute.has(zoned.minute)) {
+      return new Date(time);
+    }
+    time += minuteMs;
+  }
+
+  return null;
+}
+
+/**
+ * Parses a search's active hours
+ * @param {string} activeHours - Time range, e.g. "07:00-22:00" (a range like "22:00-06:00" runs overnight)
+ * @returns {Object} { start, end } in minutes since midnight
+ * @throws {Error} If the range isn't valid
+ */
+export function parseActiveHours(activeHours) {
+  const match = String(activeHours).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`expected a time range like "07:00-22:00", got "${activeHours}"`);
+  }
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 24 || startMinute > 59 || endMinute > 59 || (endHour === 24 && endMinute > 0)) {
+    throw new Error(`"${activeHours}" is not a valid time range`);
+  }
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
+
+/**
+ * Checks if a time is within a search's active hours
+ * @param {string|undefined} activeHours - Time range from the search config (always active if not set)
+ * @param {Date} now - Time to check
+ * @returns {boolean} True if the search may post at that time
+ */
+export function isWithinActiveHours(activeHours, now = new Date()) {
+  if (!activeHours) {
+    return true;
+  }
+  const { start, end } = parseActiveHours(activeHours);
+  const { hour, minute } = getZonedTime(now);
+  const time = hour * 60 + minute;
+  if (start === end) {
+    return true;
+  }
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+}
+
+/**
+ * Works out when a search's active hours next start
+ * @param {string|undefined} activeHours - Time range from the search config
+ * @param {Date} now - Time to look from
+ * @returns {Date|null} Start of the next active window, or null if the search is active now (or always)
+ */
+export function getNextActiveStart(activeHours, now = new Date()) {
+  if (isWithinActiveHours(activeHours, now)) {
+    return null;
+  }
+  const { start } = parseActiveHours(activeHours);
+  return getNextCronTime(`${start % 60} ${Math.floor(start / 60)} * * *`, now);
+}
+
+/**
+ * Describes how often a search runs, for logs
+ * @param {Object} searchConfig - Search configuration object
+ * @param {number} defaultIntervalMinutes - pollingIntervalMinutes from config.json
+ * @returns {string} e.g. "every 5 minutes" or "cron 0 8,20 * * *"
+ */
+export function describeSchedule(searchConfig, defaultIntervalMinutes) {
+  if (searchConfig.cron) {
+    return `cron ${searchConfig.cron}`;
+  }
+  return `every ${searchConfig.intervalMinutes || defaultIntervalMinutes} minutes`;
+}
+
+/**
+ * Works out when a search should next run
+ * @param {Object} searchConfig - Search configuration object
+ * @param {Date|null} lastRunAt - When the search last started (null if it has never run)
+ * @param {number} defaultIntervalMinutes - pollingIntervalMinutes from config.json
+ * @returns {Date|null} Next run time, or null if the search should run now
+ */
+export function getNextRunTime(searchConfig, lastRunAt, defaultIntervalMinutes) {
+  if (!lastRunAt) {
+    return null;
+  }
+  if (searchConfig.cron) {
+    return getNextCronTime(searchConfig.cron, lastRunAt);
+  }
+  const intervalMinutes = searchConfig.intervalMinutes || defaultIntervalMinutes;
+  return new Date(lastRunAt.getTime() + intervalMinutes * 60 * 1000);
+}
+
+/**
+ * Checks if a search is due to run
+ * Runs due within a few seconds count as due, so a timer firing slightly early doesn't skip a run
+ * @param {Object} searchConfig - Search configuration object
+ * @param {Date|null} lastRunAt - When the search last started (null if it has never run)
+ * @param {number} defaultIntervalMinutes - pollingIntervalMinutes from config.json
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the search should run now
+ */
+export function isSearchDue(searchConfig, lastRunAt, defaultIntervalMinutes, now = new Date()) {
+  if (searchConfig.paused) {
+    return false;
+  }
+  const nextRunAt = getNextRunTime(searchConfig, lastRunAt, defaultIntervalMinutes);
+  // A cron expression that never matches again (e.g. 30 February) leaves nextRunAt null after the first run
+  if (!nextRunAt) {
+    return !lastRunAt;
+  }
+  return nextRunAt.getTime() <= now.getTime() + 5000;
+}
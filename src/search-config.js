@@ -1,32 +1,84 @@
 import fs from 'fs';
 import path from 'path';
+import { DEFAULT_RETRY_POLICY } from './retry.js';
+import { DEFAULT_SCRAPING_POLICY } from './page-pool.js';
+import { DEFAULT_REQUEST_POLICY } from './page-loading.js';
+import { validateConfig, formatConfigIssues } from './config-schema.js';
 
 let cachedConfig = null;
 
 /**
- * Loads the full configuration from config.json file
- * @returns {Object} Full configuration object
+ * Number of polls holding the current config, and a reload waiting for them to finish ({ config, onChange })
  */
-export function loadConfig() {
-  if (cachedConfig) {
-    return cachedConfig;
-  }
+let configHolds = 0;
+let pendingReload = null;
+
+/**
+ * How long to wait after config.json changes before reloading it
+ */
+const CONFIG_RELOAD_DELAY_MS = 500;
+
+/**
+ * Gets the path of config.json
+ * @returns {string} Absolute path to config.json
+ */
+export function getConfigPath() {
+  return path.join(process.cwd(), 'config.json');
+}
+
+/**
+ * Search config fields used by the bot itself rather than passed to Autotrader as URL parameters
+ */
+const SEARCH_METADATA_FIELDS = [
+  'name',
+  'max-price',
+  'max-milage',
+  'max-distance',
+  'maxPages',
+  'stopAtSeenPage',
+  'channel',
+  'webhookUrl',
+  'paused',
+  'intervalMinutes',
+  'cron',
+  'activeHours',
+  'minDealScore',
+  'filters',
+  'requiredFeatures',
+  'excludedFeatures',
+  'relisted'
+];
+
+/**
+ * Validates a configuration object, logging any warnings
+ * @param {Object} config - Configuration object as written in config.json
+ * @throws {Error} Listing every error (with its JSON path) if the config is invalid
+ */
+function checkConfig(config) {
+  const { errors, warnings } = validateConfig(config);
   
-  const configPath = path.join(process.cwd(), 'config.json');
+  if (warnings.length > 0) {
+    console.warn(`⚠️  config.json has ${warnings.length} warning(s):\n${formatConfigIssues(warnings)}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} problem(s) found:\n${formatConfigIssues(errors)}\nRun "npm run validate-config" to check config.json without starting the bot`);
+  }
+}
+
+/**
+ * Reads, validates and migrates config.json
+ * @returns {Object} Full configuration object
+ * @throws {Error} If the file is missing, isn't valid JSON or fails validation
+ */
+function readConfigFile() {
+  const configPath = getConfigPath();
   
   try {
     const configData = fs.readFileSync(configPath, 'utf-8');
     const config = JSON.parse(configData);
     
-    // Validate required fields
-    if (!config.discordWebhookUrl) {
-      throw new Error('discordWebhookUrl is required in config.json');
-    }
-    
-    // Support both old single searchConfig and new searchConfigs array
-    if (!config.searchConfigs && !config.searchConfig) {
-      throw new Error('searchConfigs or searchConfig is required in config.json');
-    }
+    // Check the config as written, so error paths match the file
+    checkConfig(config);
     
     // Migrate old searchConfig to searchConfigs array format
     if (config.searchConfig && !config.searchConfigs) {
@@ -47,7 +99,6 @@ export function loadConfig() {
       }
     }
     
-    cachedConfig = config;
     return config;
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -57,6 +108,102 @@ export function loadConfig() {
   }
 }
 
+/**
+ * Loads the full configuration from config.json file
+ * The config is cached until config.json changes (see watchConfig)
+ * @returns {Object} Full configuration object
+ */
+export function loadConfig() {
+  if (!cachedConfig) {
+    cachedConfig = readConfigFile();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Switches to a reloaded config
+ * @param {Object} newConfig - Config read from config.json
+ * @param {Function} onChange - Called with (newConfig, oldConfig)
+ */
+function applyReload(newConfig, onChange) {
+  const oldConfig = cachedConfig;
+  cachedConfig = newConfig;
+  console.log('🔄 Reloaded config.json');
+  onChange(newConfig, oldConfig);
+}
+
+/**
+ * Keeps the current config until releaseConfig is called
+ * A poll holds the config it started with, so every search in it runs with the same settings
+ * and edits saved meanwhile apply from the next poll
+ */
+export function holdConfig() {
+  configHolds++;
+}
+
+/**
+ * Releases a hold taken with holdConfig, applying any edit saved while it was held
+ */
+export function releaseConfig() {
+  configHolds = Math.max(0, configHolds - 1);
+  if (configHolds === 0 && pendingReload) {
+    const { config, onChange } = pendingReload;
+    pendingReload = null;
+    applyReload(config, onChange);
+  }
+}
+
+/**
+ * Watches config.json and reloads it when it changes
+ * An edit that fails validation is logged and ignored, so the bot keeps running on the last good config
+ * @param {Function} onChange - Called with (newConfig, oldConfig) after a valid config has been loaded
+ * @returns {fs.FSWatcher} Watcher (call close() to stop watching)
+ */
+export function watchConfig(onChange) {
+  const configPath = getConfigPath();
+  const configFile = path.basename(configPath);
+  let reloadTimer = null;
+  
+  // Watch the directory rather than the file, as editors often save by replacing the file
+  const watcher = fs.watch(path.dirname(configPath), (eventType, filename) => {
+    if (filename !== configFile) {
+      return;
+    }
+    
+    // Editors can fire several events for one save - reload once things settle
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      const oldConfig = cachedConfig;
+      let newConfig;
+      try {
+        newConfig = readConfigFile();
+      } catch (error) {
+        console.error(`❌ Ignoring change to config.json - keeping the last good config\n${error.message}`);
+        return;
+      }
+      
+      if (oldConfig && JSON.stringify(newConfig) === JSON.stringify(oldConfig)) {
+        // Changed back to the config in use before a held reload was applied
+        pendingReload = null;
+        return;
+      }
+      
+      if (configHolds > 0) {
+        pendingReload = { config: newConfig, onChange };
+        console.log('🔄 config.json changed - applying it once the current poll finishes');
+        return;
+      }
+      applyReload(newConfig, onChange);
+    }, CONFIG_RELOAD_DELAY_MS);
+  });
+  
+  watcher.on('error', error => {
+    console.error('❌ Stopped watching config.json:', error.message);
+  });
+  
+  return watcher;
+}
+
 /**
  * Gets all Autotrader search configurations
  * @returns {Array<Object>} Array of search configuration objects, each with a 'name' field
@@ -88,6 +235,52 @@ export function getSearchConfig() {
   return configs[0];
 }
 
+/**
+ * Gets the Autotrader URL parameters for a search configuration
+ * @param {Object} searchConfig - Search configuration object
+ * @returns {Object} Search configuration without the bot's own metadata fields
+ */
+export function getSearchUrlParams(searchConfig) {
+  return Object.fromEntries(
+    Object.entries(searchConfig).filter(([key]) => !SEARCH_METADATA_FIELDS.includes(key))
+  );
+}
+
+/**
+ * Resolves where a search's cars should be posted
+ * A search can set its own webhookUrl, or a channel naming one of the destinations in config.json;
+ * otherwise (or if the channel isn't defined in destinations) it posts to the global discordWebhookUrl
+ * @param {Object} searchConfig - Search configuration object
+ * @returns {Object} Destination ({ name, webhookUrl, botToken })
+ */
+export function getSearchDestination(searchConfig) {
+  const config = loadConfig();
+  const defaultBotToken = config.discordBotToken || null;
+  
+  if (searchConfig.webhookUrl) {
+    return {
+      name: searchConfig.name,
+      webhookUrl: searchConfig.webhookUrl,
+      botToken: defaultBotToken
+    };
+  }
+  
+  const destination = searchConfig.channel && (config.destinations || {})[searchConfig.channel];
+  if (destination) {
+    return {
+      name: searchConfig.channel,
+      webhookUrl: destination.webhookUrl,
+      botToken: destination.botToken || defaultBotToken
+    };
+  }
+  
+  return {
+    name: 'default',
+    webhookUrl: config.discordWebhookUrl,
+    botToken: defaultBotToken
+  };
+}
+
 /**
  * Loads bot configuration from config.json file
  * @returns {Object} Bot configuration object
@@ -98,7 +291,99 @@ export function loadBotConfig() {
   return {
     pollingIntervalMinutes: config.pollingIntervalMinutes || 15,
     discordWebhookUrl: config.discordWebhookUrl,
-    discordBotToken: config.discordBotToken || null // Optional: needed for thread creation in text channels
+    discordBotToken: config.discordBotToken || null, // Optional: needed for thread creation in text channels
+    discordGuildId: config.discordGuildId || null, // Optional: registers slash commands in this guild only (instant)
+    discordSearchRoleId: config.discordSearchRoleId || null, // Optional: role allowed to change searches with /search
+    dashboard: config.dashboard || null, // Optional: { port, host } for the HTTP status dashboard
+    adminWebhookUrl: config.adminWebhookUrl || null, // Optional: webhook for alerts when the scraper looks broken
+    featureWords: config.featureWords || {}, // Feature names mapped to the patterns that detect them in descriptions
+    redFlags: config.redFlags || {}, // Red flag names mapped to { severity, patterns } matched against the advert text
+    // Retries for page loads, and how many polls a car's details may fail before it is given up on
+    retry: {
+      ...DEFAULT_RETRY_POLICY,
+      maxDetailFailures: 5,
+      ...config.retry
+    },
+    // How many detail pages are loaded at once, and the pause between page loads on each page
+    scraping: {
+      ...DEFAULT_SCRAPING_POLICY,
+      ...config.scraping
+    },
+    // Requests blocked while scraping, by resource type and domain
+    requests: {
+      ...DEFAULT_REQUEST_POLICY,
+      ...config.requests
+    }
   };
 }
 
+
+/**
+ * Applies a change to the searchConfigs in config.json and writes the file back
+ * Reads the file fresh so other settings are kept exactly as written
+ * @param {Function} updateSearches - Receives the searchConfigs array and returns the updated array
+ */
+function updateSearchConfigs(updateSearches) {
+  const configPath = getConfigPath();
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  
+  // Write back in the searchConfigs array format
+  if (!config.searchConfigs) {
+    config.searchConfigs = loadConfig().searchConfigs;
+    delete config.searchConfig;
+  }
+  
+  config.searchConfigs = updateSearches(config.searchConfigs);
+  // Don't write a config the bot can't load
+  checkConfig(config);
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+  
+  // Use the change straight away (the config watcher then sees nothing new), or after the running poll
+  const newConfig = readConfigFile();
+  if (configHolds > 0) {
+    pendingReload = { config: newConfig, onChange: pendingReload ? pendingReload.onChange : () => {} };
+  } else {
+    cachedConfig = newConfig;
+  }
+}
+
+/**
+ * Adds a search configuration and saves it to config.json
+ * @param {Object} searchConfig - Search configuration object (must have a unique name)
+ */
+export function addSearchConfig(searchConfig) {
+  if (getSearchConfigByName(searchConfig.name)) {
+    throw new Error(`A search named "${searchConfig.name}" already exists`);
+  }
+  updateSearchConfigs(searches => [...searches, searchConfig]);
+}
+
+/**
+ * Removes a search configuration by name and saves config.json
+ * @param {string} searchName - Name of the search configuration
+ */
+export function removeSearchConfig(searchName) {
+  if (!getSearchConfigByName(searchName)) {
+    throw new Error(`No search named "${searchName}"`);
+  }
+  updateSearchConfigs(searches => searches.filter(search => search.name !== searchName));
+}
+
+/**
+ * Pauses or resumes a search configuration and saves config.json
+ * Paused searches stay in config.json but are skipped when polling
+ * @param {string} searchName - Name of the search configuration
+ * @param {boolean} paused - Whether the search should be paused
+ */
+export function setSearchPaused(searchName, paused) {
+  if (!getSearchConfigByName(searchName)) {
+    throw new Error(`No search named "${searchName}"`);
+  }
+  updateSearchConfigs(searches => searches.map(search => {
+    if (search.name !== searchName) {
+      return search;
+    }
+    const { paused: _wasPaused, ...rest } = search;
+    return paused ? { ...rest, paused: true } : rest;
+  }));
+}
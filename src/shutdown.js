@@ -0,0 +1,90 @@
+/**
+ * Graceful shutdown on SIGINT and SIGTERM
+ * Modules register cleanup handlers with onShutdown. The first signal runs them, newest first (so the poller
+ * stops before the Discord bot it was started alongside), then exits; a second signal exits straight away
+ */
+
+import os from 'os';
+
+/**
+ * Signals that shut the bot down
+ */
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * Registered cleanup handlers ({ name, handler }), oldest first
+ */
+const shutdownHandlers = [];
+
+let shutdownSignal = null;
+let listening = false;
+
+/**
+ * Checks if the bot is shutting down
+ * Long-running work checks this to stop at the next safe point
+ * @returns {boolean} True once a shutdown signal has been received
+ */
+export function isShuttingDown() {
+  return shutdownSignal !== null;
+}
+
+/**
+ * Gets the conventional exit code for a process ended by a signal
+ * @param {string} signal - Signal name, e.g. "SIGINT"
+ * @returns {number} 128 plus the signal number (130 for SIGINT, 143 for SIGTERM)
+ */
+export function getSignalExitCode(signal) {
+  return 128 + os.constants.signals[signal];
+}
+
+/**
+ * Runs every cleanup handler, newest first
+ * A handler that fails is logged and the rest still run
+ * @param {string} signal - Signal that triggered the shutdown
+ * @returns {Promise<number>} Exit code: 0 if everything shut down cleanly, 1 if a handler failed
+ */
+export async function shutDown(signal) {
+  shutdownSignal = signal;
+  console.log(`\n🛑 Received ${signal} - shutting down (send it again to exit immediately)...`);
+
+  let exitCode = 0;
+  for (const { name, handler } of [...shutdownHandlers].reverse()) {
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`❌ Error shutting down ${name}:`, error.message);
+      exitCode = 1;
+    }
+  }
+
+  console.log(exitCode === 0 ? '👋 Shut down cleanly' : '⚠️  Shut down with errors');
+  return exitCode;
+}
+
+/**
+ * Handles a shutdown signal
+ * @param {string} signal - Signal received
+ */
+async function handleSignal(signal) {
+  if (shutdownSignal) {
+    console.log(`\n🛑 Received ${signal} again - exiting immediately`);
+    process.exit(getSignalExitCode(signal));
+  }
+  process.exit(await shutDown(signal));
+}
+
+/**
+ * Registers a cleanup handler to run on SIGINT or SIGTERM
+ * The first registration starts listening for the signals, replacing Node's default of exiting immediately
+ * @param {string} name - What the handler shuts down, for log messages
+ * @param {Function} handler - Async function that stops work and releases resources
+ */
+export function onShutdown(name, handler) {
+  shutdownHandlers.push({ name, handler });
+  if (!listening) {
+    listening = true;
+    for (const signal of SHUTDOWN_SIGNALS) {
+      process.on(signal, () => handleSignal(signal));
+    }
+  }
+}
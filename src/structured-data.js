@@ -0,0 +1,398 @@
+/**
+ * Car fields from the structured data embedded in Autotrader pages (JSON state blobs and JSON-LD)
+ * Structured data is read before the page markup, whose generated class names change whenever Autotrader redeploys
+ */
+
+/**
+ * Where a field can come from, most reliable first
+ */
+export const FIELD_SOURCES = ['json-state', 'json-ld', 'data-testid', 'css'];
+
+/**
+ * Schema.org types describing a car advert in JSON-LD
+ */
+const JSON_LD_CAR_TYPES = ['Car', 'Vehicle', 'MotorVehicle', 'Product'];
+
+/**
+ * Gets the advert ID from a car-details URL
+ * @param {string} url - Car details URL
+ * @returns {string|null} Advert ID or null if the URL has none
+ */
+export function getAdvertIdFromUrl(url) {
+  const match = typeof url === 'string' ? url.match(/\/car-details\/(\d+)/) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Formats a price the way Autotrader shows it, so it parses like a price read from the page
+ * @param {number|string|Object} value - Price as a number, text or { amount } / { value } object
+ * @returns {string|null} Price such as "£3,250", or null if unknown
+ */
+function formatPrice(value) {
+  if (value && typeof value === 'object') {
+    return formatPrice(value.amount ?? value.value ?? value.price);
+  }
+  if (typeof value === 'number' || (typeof value === 'string' && /^\d+(?:\.\d+)?$/.test(value))) {
+    return `£${Number(value).toLocaleString('en-GB')}`;
+  }
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Formats a mileage the way Autotrader shows it
+ * @param {number|string|Object} value - Mileage as a number, text or schema.org QuantitativeValue
+ * @returns {string|null} Mileage such as "68,400 miles", or null if unknown
+ */
+function formatMileage(value) {
+  if (value && typeof value === 'object') {
+    return formatMileage(value.value ?? value.mileage);
+  }
+  if (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value))) {
+    return `${Number(value).toLocaleString('en-GB')} miles`;
+  }
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Formats an engine size from schema.org's engineDisplacement
+ * @param {Object|string} displacement - QuantitativeValue ({ value, unitCode }) or text
+ * @returns {string|null} Engine size such as "1.2L" or "1390cc"
+ */
+function formatEngine(displacement) {
+  if (displacement && typeof displacement === 'object') {
+    if (displacement.value === undefined || displacement.value === null) {
+      return null;
+    }
+    // UN/CEFACT unit codes: LTR is litres, CMQ is cubic centimetres
+    return displacement.unitCode === 'CMQ' ? `${displacement.value}cc` : `${displacement.value}L`;
+  }
+  return typeof displacement === 'string' && displacement.trim() ? displacement.trim() : null;
+}
+
+/**
+ * Gets a four-digit year from a year or date
+ * @param {number|string} value - Year, or a date such as "2012-09-01"
+ * @returns {string|null} Year or null if unknown
+ */
+function formatYear(value) {
+  const match = value !== undefined && value !== null ? String(value).match(/\b(?:19|20)\d{2}\b/) : null;
+  return match ? match[0] : null;
+}
+
+/**
+ * Gets text from a value that may be a string or a schema.org object with a name
+ * @param {*} value - Value to read
+ * @returns {string|null} Text or null if there is none
+ */
+function getText(value) {
+  if (value && typeof value === 'object') {
+    return getText(value.name ?? value.value);
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Gets a list of image URLs from an image field
+ * @param {*} value - Image URL, object with a url, or an array of either
+ * @returns {Array<string>} Image URLs
+ */
+function getImageUrls(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map(image => (image && typeof image === 'object' ? image.url || image.src || image.contentUrl : image))
+    .filter(url => typeof url === 'string' && url.length > 0);
+}
+
+/**
+ * Builds a location with its distance, as the contact section shows it
+ * @param {string|null} town - Seller's town
+ * @param {number|string|null} distance - Distance in miles
+ * @returns {string|null} Location such as "Leeds (12 miles)", or null without a distance
+ */
+function formatLocation(town, distance) {
+  if (distance === undefined || distance === null || distance === '') {
+    return null;
+  }
+  return town ? `${town} (${distance} miles)` : `${distance} miles`;
+}
+
+/**
+ * Maps an advert object from a JSON state blob to car fields
+ * @param {Object} advert - Advert object (has an advertId)
+ * @returns {Object} Car fields (null when unknown)
+ */
+function getStateAdvertFields(advert) {
+  const seller = advert.seller && typeof advert.seller === 'object' ? advert.seller : {};
+  const town = getText(advert.location ?? advert.sellerLocation ?? seller.location ?? seller.town);
+  const images = getImageUrls(advert.images ?? advert.imageList ?? advert.image);
+
+  return {
+    title: getText(advert.title ?? advert.name),
+    subtitle: getText(advert.subtitle ?? advert.subTitle),
+    price: formatPrice(advert.price ?? advert.formattedPrice),
+    mileage: formatMileage(advert.mileage),
+    year: formatYear(advert.year ?? advert.registrationYear),
+    registration: getText(advert.registration),
+    fuelType: getText(advert.fuelType),
+    bodyType: getText(advert.bodyType),
+    engine: typeof advert.engineSize === 'number' ? `${advert.engineSize}L` : getText(advert.engineSize ?? advert.engine),
+    gearbox: getText(advert.transmission ?? advert.gearbox),
+    doors: getText(advert.doors),
+    seats: getText(advert.seats),
+    owners: getText(advert.owners ?? advert.previousOwners),
+    bodyColour: getText(advert.colour ?? advert.color),
+    description: getText(advert.description),
+    images,
+    sellerName: getText(advert.sellerName ?? seller.name),
+    sellerLocation: town,
+    phoneNumber: getText(advert.phoneNumber ?? seller.phoneNumber),
+    location: formatLocation(town, advert.distance ?? advert.distanceMiles ?? seller.distance)
+  };
+}
+
+/**
+ * Maps a JSON-LD car to car fields
+ * @param {Object} node - JSON-LD node of a car type
+ * @returns {Object} Car fields (null when unknown)
+ */
+function getJsonLdCarFields(node) {
+  const offers = Array.isArray(node.offers) ? node.offers[0] : node.offers || {};
+  const seller = offers.seller || offers.offeredBy || {};
+  const engine = Array.isArray(node.vehicleEngine) ? node.vehicleEngine[0] : node.vehicleEngine || {};
+  const address = seller.address && typeof seller.address === 'object' ? seller.address : {};
+
+  return {
+    title: getText(node.name),
+    price: formatPrice(offers.price),
+    mileage: formatMileage(node.mileageFromOdometer),
+    year: formatYear(node.vehicleModelDate ?? node.productionDate ?? node.dateVehicleFirstRegistered),
+    fuelType: getText(node.fuelType ?? engine.fuelType),
+    bodyType: getText(node.bodyType),
+    engine: formatEngine(engine.engineDisplacement),
+    gearbox: getText(node.vehicleTransmission),
+    doors: getText(node.numberOfDoors),
+    seats: getText(node.seatingCapacity),
+    owners: getText(node.numberOfPreviousOwners),
+    bodyColour: getText(node.color),
+    description: getText(node.description),
+    images: getImageUrls(node.image),
+    sellerName: getText(seller.name),
+    sellerLocation: getText(address.addressLocality)
+  };
+}
+
+/**
+ * Finds every advert object (one with an advertId) in a JSON state blob
+ * The same advert can appear several times in the state; the copies are merged, earliest first
+ * @param {*} value - Parsed JSON
+ * @param {Map<string, Object>} adverts - Adverts found so far, by ID
+ * @returns {Map<string, Object>} Adverts by ID
+ */
+function findStateAdverts(value, adverts = new Map()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findStateAdverts(item, adverts));
+    return adverts;
+  }
+  if (!value || typeof value !== 'object') {
+    return adverts;
+  }
+
+  const id = value.advertId ?? value.advertID;
+  if (typeof id === 'string' || typeof id === 'number') {
+    adverts.set(String(id), { ...value, ...adverts.get(String(id)) });
+  }
+  Object.values(value).forEach(child => findStateAdverts(child, adverts));
+  return adverts;
+}
+
+/**
+ * Finds every car in JSON-LD blobs, including cars listed in an ItemList or @graph
+ * @param {*} value - Parsed JSON-LD
+ * @param {Array<Object>} cars - Cars found so far
+ * @returns {Array<Object>} JSON-LD car nodes
+ */
+function findJsonLdCars(value, cars = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findJsonLdCars(item, cars));
+    return cars;
+  }
+  if (!value || typeof value !== 'object') {
+    return cars;
+  }
+
+  const types = Array.isArray(value['@type']) ? value['@type'] : [value['@type']];
+  if (types.some(type => JSON_LD_CAR_TYPES.includes(type))) {
+    cars.push(value);
+  }
+  findJsonLdCars(value['@graph'], cars);
+  findJsonLdCars(value.itemListElement, cars);
+  findJsonLdCars(value.item, cars);
+  return cars;
+}
+
+/**
+ * Gets the car fields each kind of embedded data holds, by advert ID
+ * @param {Object} embedded - Result of readEmbeddedData
+ * @returns {Object} { 'json-state': Map, 'json-ld': Map } - car fields by advert ID for each source
+ */
+function getEmbeddedCarFields(embedded) {
+  const stateAdverts = new Map();
+  embedded.states.forEach(state => findStateAdverts(state, stateAdverts));
+
+  const jsonLdCars = new Map();
+  embedded.jsonLd.forEach(blob => {
+    findJsonLdCars(blob).forEach(node => {
+      // A detail page's own car often has no URL, so fall back to the page's
+      const id = getAdvertIdFromUrl(node.url || (node.offers && node.offers.url)) ||
+        String(node.sku || node.productID || '') ||
+        getAdvertIdFromUrl(embedded.pageUrl);
+      if (id && !jsonLdCars.has(id)) {
+        jsonLdCars.set(id, getJsonLdCarFields(node));
+      }
+    });
+  });
+
+  return {
+    'json-state': new Map([...stateAdverts].map(([id, advert]) => [id, getStateAdvertFields(advert)])),
+    'json-ld': jsonLdCars
+  };
+}
+
+/**
+ * Fills a car's fields from structured data, keeping the markup's value only where no structured source has one
+ * @param {Object} car - Car parsed from the markup, with its fieldSources
+ * @param {Array<Array>} sources - [source, fields] pairs, most reliable first
+ * @param {Array<string>} fields - Fields to fill
+ * @returns {Object} Car with the merged fields and fieldSources
+ */
+function mergeFields(car, sources, fields) {
+  const merged = { ...car, fieldSources: { ...car.fieldSources } };
+
+  fields.forEach(field => {
+    for (const [source, values] of sources) {
+      const value = values ? values[field] : null;
+      if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+        merged[field] = value;
+        merged.fieldSources[field] = source;
+        return;
+      }
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Fills in listings parsed from a results page with the page's structured data
+ * Listings only found in the structured data (e.g. if the markup has changed) are added
+ * @param {Array<Object>} listings - Listings from parseSearchResults
+ * @param {Object} embedded - Result of readEmbeddedData for the same page
+ * @returns {Array<Object>} Listings, each with fieldSources showing which strategy produced each field
+ */
+export function mergeEmbeddedListings(listings, embedded) {
+  const carFields = getEmbeddedCarFields(embedded);
+  const listingFields = ['title', 'price', 'mileage', 'year', 'location', 'imageUrl'];
+
+  const getFields = (source, id) => {
+    const fields = carFields[source].get(id);
+    return fields ? { ...fields, imageUrl: fields.images[0] || null } : null;
+  };
+  const mergeListing = listing => mergeFields(listing, [
+    ['json-state', getFields('json-state', listing.id)],
+    ['json-ld', getFields('json-ld', listing.id)]
+  ], listingFields);
+
+  const markupIds = new Set(listings.map(listing => listing.id));
+  const structuredIds = new Set([...carFields['json-state'].keys(), ...carFields['json-ld'].keys()]);
+  const structuredOnly = [...structuredIds]
+    .filter(id => !markupIds.has(id))
+    .map(id => ({
+      id,
+      title: 'Unknown',
+      price: 'Price not available',
+      mileage: 'Unknown',
+      year: 'Unknown',
+      location: 'Unknown',
+      link: `https://www.autotrader.co.uk/car-details/${id}`,
+      imageUrl: null,
+      fieldSources: {},
+      extractedAt: new Date().toISOString()
+    }));
+
+  // Structured data can hold adverts that aren't results (e.g. a featured dealer's stock),
+  // so only add them when the markup found nothing at all
+  return (listings.length > 0 ? listings : structuredOnly).map(mergeListing);
+}
+
+/**
+ * Fills in details parsed from a car's detail page with the page's structured data
+ * @param {Object} details - Details from parseCarDetails
+ * @param {Object} embedded - Result of readEmbeddedData for the same page
+ * @param {string} carId - Advert ID of the car the page is for
+ * @returns {Object} Details with fieldSources showing which strategy produced each field
+ */
+export function mergeEmbeddedDetails(details, embedded, carId) {
+  const carFields = getEmbeddedCarFields(embedded);
+  const detailFields = [
+    'title', 'subtitle', 'price', 'mileage', 'registration', 'fuelType', 'bodyType', 'engine', 'gearbox',
+    'doors', 'seats', 'owners', 'bodyColour', 'description', 'images', 'sellerName', 'sellerLocation',
+    'phoneNumber', 'contactLocation', 'year'
+  ];
+
+  const getFields = source => {
+    const fields = carFields[source].get(String(carId));
+    return fields ? {
+      ...fields,
+      images: fields.images.map(url => ({ thumbnail: url, full: url })),
+      contactLocation: fields.location
+    } : null;
+  };
+
+  return mergeFields(details, [
+    ['json-state', getFields('json-state')],
+    ['json-ld', getFields('json-ld')]
+  ], detailFields);
+}
+
+/**
+ * Counts which strategy produced each field across some cars
+ * @param {Array<Object>} cars - Cars with fieldSources
+ * @returns {Object} Counts by field, then by source (e.g. { price: { 'json-ld': 18, css: 2 } })
+ */
+export function summariseFieldSources(cars) {
+  const summary = {};
+  cars.forEach(car => {
+    Object.entries(car.fieldSources || {}).forEach(([field, source]) => {
+      summary[field] = summary[field] || {};
+      summary[field][source] = (summary[field][source] || 0) + 1;
+    });
+  });
+  return summary;
+}
+
+/**
+ * Logs which strategies produced the fields of some cars, warning about fields read from generated CSS classes
+ * @param {string} label - What the cars are (e.g. "Page 1")
+ * @param {Array<Object>} cars - Cars with fieldSources
+ */
+export function logFieldSources(label, cars) {
+  const summary = summariseFieldSources(cars);
+  const fields = Object.keys(summary);
+  if (fields.length === 0) {
+    return;
+  }
+
+  const formatCounts = counts => FIELD_SOURCES
+    .filter(source => counts[source])
+    .map(source => `${source} ${counts[source]}`)
+    .join(', ');
+  console.log(`🧭 ${label} field sources: ${fields.map(field => `${field} (${formatCounts(summary[field])})`).join('; ')}`);
+
+  const cssFields = fields.filter(field => summary[field].css);
+  if (cssFields.length > 0) {
+    console.log(`⚠️  ${label}: ${cssFields.map(field => `${field} ${summary[field].css}/${cars.length}`).join(', ')} only found via CSS class fallback - the page structure may be changing`);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Checks config.json against the schema without starting the bot
+ * Usage: npm run validate-config [-- path/to/config.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfigPath } from './search-config.js';
+import { validateConfig, formatConfigIssues } from './config-schema.js';
+
+/**
+ * Works out the line and column of a JSON.parse error
+ * @param {string} text - JSON text
+ * @param {Error} error - Error thrown by JSON.parse
+ * @returns {string} Location such as " (line 4, column 12)", or an empty string if unknown
+ */
+function getParseErrorLocation(text, error) {
+  const match = error.message.match(/position (\d+)/);
+  if (!match) {
+    return '';
+  }
+  const lines = text.substring(0, parseInt(match[1], 10)).split('\n');
+  return ` (line ${lines.length}, column ${lines[lines.length - 1].length + 1})`;
+}
+
+/**
+ * Validates a config file and prints the result
+ * @param {string} configPath - Path of the config file
+ * @returns {boolean} True if the config has no errors
+ */
+function validateConfigFile(configPath) {
+  console.log(`🔍 Checking ${configPath}`);
+
+  let text;
+  try {
+    text = fs.readFileSync(configPath, 'utf-8');
+  } catch (error) {
+    console.error(`❌ Could not read config file: ${error.message}`);
+    return false;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    console.error(`❌ Invalid JSON${getParseErrorLocation(text, error)}: ${error.message}`);
+    return false;
+  }
+
+  const { errors, warnings } = validateConfig(config);
+
+  if (warnings.length > 0) {
+    console.log(`\n⚠️  ${warnings.length} warning(s):\n${formatConfigIssues(warnings)}`);
+  }
+  if (errors.length > 0) {
+    console.error(`\n❌ ${errors.length} error(s):\n${formatConfigIssues(errors)}`);
+    return false;
+  }
+
+  console.log(`\n✅ Config is valid`);
+  return true;
+}
+
+const configPath = process.argv[2] ? path.resolve(process.argv[2]) : getConfigPath();
+process.exit(validateConfigFile(configPath) ? 0 : 1);
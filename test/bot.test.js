@@ -0,0 +1,95 @@
+import { describe, it, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir } from './temp-dir.js';
+
+const tempDir = enterTempDir({
+  discordWebhookUrl: 'https://discord.com/api/webhooks/123/token',
+  searchConfigs: [{ name: 'Paused search', make: 'Skoda', paused: true }]
+});
+
+const { handlePollCommand, canManageSearches } = await import('../src/bot.js');
+const { PermissionFlagsBits } = await import('discord.js');
+const { runPoll } = await import('../src/poller.js');
+const { closeListingStore } = await import('../src/listing-store.js');
+
+/**
+ * Creates a /poll now interaction recording its replies
+ * @returns {Object} Fake interaction
+ */
+function createInteraction() {
+  return {
+    replies: [],
+    deferred: false,
+    async reply(content) {
+      this.replies.push(content);
+    },
+    async deferReply() {
+      this.deferred = true;
+    },
+    async editReply(content) {
+      this.replies.push(content);
+    }
+  };
+}
+
+describe('handlePollCommand', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  after(() => {
+    closeListingStore();
+    tempDir.leave();
+  });
+
+  it('says a poll is already running instead of starting another', async () => {
+    mock.method(console, 'log', () => {});
+    const running = runPoll('scheduled');
+
+    const interaction = createInteraction();
+    await handlePollCommand(interaction);
+    await running;
+
+    assert.equal(interaction.deferred, false);
+    assert.deepEqual(interaction.replies, ['⏳ A poll is already running - results will be posted when it finishes.']);
+  });
+
+  it('runs a poll and reports the results', async () => {
+    mock.method(console, 'log', () => {});
+
+    const interaction = createInteraction();
+    await handlePollCommand(interaction);
+
+    assert.equal(interaction.deferred, true);
+    assert.deepEqual(interaction.replies, ['✅ Poll complete - no active searches ran.']);
+  });
+});
+
+describe('canManageSearches', () => {
+  /**
+   * Creates an interaction from a member with the given permissions and roles
+   * @param {Array<bigint>} permissions - Permission flags the member has
+   * @param {Array<string>|Object} roles - Role IDs, as an array or a cached role manager
+   * @returns {Object} Fake interaction
+   */
+  function interactionFrom(permissions, roles) {
+    return {
+      memberPermissions: { has: flag => permissions.includes(flag) },
+      member: { roles }
+    };
+  }
+
+  it('lets server managers change searches', () => {
+    assert.equal(canManageSearches(interactionFrom([PermissionFlagsBits.ManageGuild], []), null), true);
+  });
+
+  it('lets members with the search role change searches', () => {
+    assert.equal(canManageSearches(interactionFrom([], ['111', '222']), '222'), true);
+    assert.equal(canManageSearches(interactionFrom([], { cache: new Map([['222', {}]]) }), '222'), true);
+  });
+
+  it('turns away other members', () => {
+    assert.equal(canManageSearches(interactionFrom([], ['111']), '222'), false);
+    assert.equal(canManageSearches(interactionFrom([], ['111']), null), false);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { enterTempDir } from './temp-dir.js';
+
+const tempDir = enterTempDir();
+
+const {
+  isMostlyEmpty,
+  describeMissingFields,
+  findListingProblems,
+  findDetailProblems,
+  buildFieldReport,
+  buildBreakageAlert,
+  createBreakageReport,
+  sendBreakageAlert
+} = await import('../src/breakage.js');
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/123/admin-token';
+
+describe('findListingProblems', () => {
+  it('flags a first page without listings', () => {
+    assert.deepEqual(findListingProblems([{ page: 1, listings: 0, newListings: 0 }]), [
+      'No listings found on the first results page'
+    ]);
+    assert.equal(findListingProblems([]).length, 1);
+  });
+
+  it('only flags an empty first page when the previous run found listings', () => {
+    const emptyPages = [{ page: 1, listings: 0, newListings: 0 }];
+    assert.equal(findListingProblems(emptyPages, [20, 21, 19], 20).length, 1);
+    assert.deepEqual(findListingProblems(emptyPages, [20, 21, 19], 0), []);
+  });
+
+  it('flags a sudden drop compared with recent runs', () => {
+    const problems = findListingProblems([{ page: 1, listings: 4, newListings: 0 }], [20, 21, 19]);
+    assert.deepEqual(problems, [
+      'Only 4 listing(s) on the first results page, down from an average of 20 over the last 3 runs'
+    ]);
+  });
+
+  it('allows normal variation', () => {
+    assert.deepEqual(findListingProblems([{ page: 1, listings: 12, newListings: 0 }], [20, 21, 19]), []);
+  });
+
+  it('needs a few recent runs before checking for a drop', () => {
+    assert.deepEqual(findListingProblems([{ page: 1, listings: 2, newListings: 0 }], [20, 20]), []);
+  });
+});
+
+describe('isMostlyEmpty', () => {
+  it('spots details missing most fields', () => {
+    assert.equal(isMostlyEmpty({ title: null, price: null, images: [], mileage: '68,400 miles' }), true);
+  });
+
+  it('accepts details missing a few fields', () => {
+    assert.equal(isMostlyEmpty({ title: 'Skoda Fabia', price: '£3,250', mileage: '68,400 miles', images: [] }), false);
+  });
+});
+
+describe('findDetailProblems', () => {
+  const emptyPage = { title: null, price: null, images: [] };
+  const fullPage = { title: 'Skoda Fabia', price: '£3,250', mileage: '68,400 miles', year: '2012', images: [{}] };
+
+  it('flags most detail pages coming back empty', () => {
+    assert.deepEqual(findDetailProblems([emptyPage, emptyPage, fullPage]), [
+      'Most detail fields missing on 2/3 detail page(s)'
+    ]);
+  });
+
+  it('allows the odd sparse advert', () => {
+    assert.deepEqual(findDetailProblems([emptyPage, fullPage, fullPage]), []);
+  });
+
+  it('ignores pages that failed to load or were removed', () => {
+    assert.deepEqual(findDetailProblems([{ error: 'timeout' }, { unavailable: true }, fullPage]), []);
+    assert.deepEqual(findDetailProblems([{ error: 'timeout' }]), []);
+  });
+});
+
+describe('describeMissingFields', () => {
+  it('counts the cars missing each field', () => {
+    const lines = describeMissingFields([
+      { title: 'Skoda Fabia', price: 'Price not available' },
+      { title: 'Unknown', price: '£3,250' },
+      { title: 'Skoda Fabia', price: null }
+    ], ['title', 'price', 'mileage']);
+
+    assert.deepEqual(lines, [
+      'title: not found on 1/3',
+      'price: not found on 2/3',
+      'mileage: not found on 3/3'
+    ]);
+  });
+});
+
+describe('buildFieldReport', () => {
+  it('reports results and detail fields separately', () => {
+    const report = buildFieldReport(
+      [{ title: 'Skoda Fabia', price: '£3,250', mileage: 'Unknown', year: '2012', location: 'Leeds', link: '/car-details/1', imageUrl: 'x' }],
+      [{ title: null, price: '£3,250', mileage: '68,400 miles', year: '2012', images: [{}] }, { error: 'timeout' }]
+    );
+
+    assert.deepEqual(report, ['results mileage: not found on 1/1', 'details title: not found on 1/1']);
+  });
+});
+
+describe('createBreakageReport', () => {
+  after(() => {
+    tempDir.leave();
+  });
+
+  it('archives the artifacts in a timestamped directory', async () => {
+    mock.method(console, 'log', () => {});
+    const artifacts = { url: 'https://www.autotrader.co.uk/car-search?page=1', screenshot: Buffer.from('png'), html: '<html></html>' };
+    const report = await createBreakageReport({
+      searchName: 'Skoda Fabia Estate',
+      problems: ['No listings found on the first results page'],
+      listings: [],
+      artifacts
+    });
+    mock.restoreAll();
+
+    assert.match(path.basename(report.archiveDir), /^\d{4}-\d{2}-\d{2}T.*-skoda-fabia-estate$/);
+    assert.equal(fs.readFileSync(path.join(report.archiveDir, 'page.html'), 'utf-8'), '<html></html>');
+    assert.equal(fs.readFileSync(path.join(report.archiveDir, 'screenshot.png'), 'utf-8'), 'png');
+
+    const saved = JSON.parse(fs.readFileSync(path.join(report.archiveDir, 'report.json'), 'utf-8'));
+    assert.deepEqual(saved.problems, ['No listings found on the first results page']);
+    assert.equal(saved.pageUrl, artifacts.url);
+    assert.equal(report.screenshot, artifacts.screenshot);
+  });
+
+  it('keeps earlier archives', async () => {
+    mock.method(console, 'log', () => {});
+    await createBreakageReport({ searchName: 'Another', problems: ['x'], listings: [] });
+    await createBreakageReport({ searchName: 'Another', problems: ['y'], listings: [] });
+    mock.restoreAll();
+
+    assert.ok(fs.readdirSync(path.join(tempDir.dir, 'debug')).length >= 2);
+  });
+});
+
+describe('buildBreakageAlert', () => {
+  const report = {
+    searchName: 'Skoda Fabia Estate',
+    problems: ['No listings found on the first results page'],
+    fieldReport: ['results price: not found on 20/20'],
+    detectedAt: '2024-09-15T10:00:00.000Z',
+    pageUrl: 'https://www.autotrader.co.uk/car-search?page=1',
+    archiveDir: '/srv/bot/debug/2024-09-15T10-00-00-000Z-skoda-fabia-estate'
+  };
+
+  it('describes the problems and where the debug files are', () => {
+    const [embed] = buildBreakageAlert(report, true).embeds;
+
+    assert.equal(embed.title, '🚨 Scraper may be broken: Skoda Fabia Estate');
+    assert.equal(embed.description, '• No listings found on the first results page');
+    assert.deepEqual(embed.fields.map(field => field.name), ['Fields whose selectors found nothing', 'Page', 'Debug files']);
+    assert.equal(embed.image.url, 'attachment://screenshot.png');
+  });
+
+  it('leaves out the image without a screenshot', () => {
+    const payload = buildBreakageAlert(report, false);
+    assert.equal(payload.embeds[0].image, undefined);
+    assert.deepEqual(payload.attachments, []);
+  });
+});
+
+describe('sendBreakageAlert', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const report = searchName => ({
+    searchName,
+    problems: ['No listings found on the first results page'],
+    fieldReport: [],
+    detectedAt: new Date().toISOString()
+  });
+
+  it('posts the alert with the screenshot attached', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+
+    assert.equal(await sendBreakageAlert(WEBHOOK_URL, report('Attached'), Buffer.from('png')), true);
+
+    const [url, options] = fetchMock.mock.calls[0].arguments;
+    assert.equal(url, WEBHOOK_URL);
+    assert.equal(options.method, 'POST');
+    const payload = JSON.parse(options.body.get('payload_json'));
+    assert.equal(payload.embeds[0].title, '🚨 Scraper may be broken: Attached');
+    const file = options.body.get('files[0]');
+    assert.equal(file.name, 'screenshot.png');
+    assert.equal(await file.text(), 'png');
+  });
+
+  it('only alerts about a search once in a while', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+
+    assert.equal(await sendBreakageAlert(WEBHOOK_URL, report('Repeated')), true);
+    assert.equal(await sendBreakageAlert(WEBHOOK_URL, report('Repeated')), false);
+    assert.equal(fetchMock.mock.calls.length, 1);
+  });
+
+  it('tries again next time if the alert fails', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response('nope', { status: 500 }));
+
+    assert.equal(await sendBreakageAlert(WEBHOOK_URL, report('Failing')), false);
+    assert.equal(await sendBreakageAlert(WEBHOOK_URL, report('Failing')), false);
+    assert.equal(fetchMock.mock.calls.length, 2);
+  });
+
+  it('only logs without an admin webhook', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMock = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+
+    assert.equal(await sendBreakageAlert(null, report('No webhook')), false);
+    assert.equal(fetchMock.mock.calls.length, 0);
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { validateConfig, formatConfigIssues, suggestName } from '../src/config-schema.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/123/abc-DEF';
+
+/**
+ * Builds a valid config, with one search changed or settings added
+ * @param {Object} searchChanges - Fields to set on the search
+ * @param {Object} configChanges - Top-level settings to set
+ * @returns {Object} Configuration object
+ */
+function makeConfig(searchChanges = {}, configChanges = {}) {
+  return {
+    discordWebhookUrl: WEBHOOK_URL,
+    pollingIntervalMinutes: 15,
+    featureWords: { bluetooth: ['/bluetooth/i'], 'cruise control': ['cruise control'] },
+    searchConfigs: [{ name: 'Golfs', postcode: 'SW1A 1AA', make: 'Volkswagen', ...searchChanges }],
+    ...configChanges
+  };
+}
+
+/**
+ * Finds the message for a path among validation issues
+ * @param {Array<Object>} issues - Issues ({ path, message })
+ * @param {string} path - JSON path
+ * @returns {string|undefined} Message for the path
+ */
+function messageFor(issues, path) {
+  return issues.find(issue => issue.path === path)?.message;
+}
+
+describe('validateConfig', () => {
+  it('accepts a valid config', () => {
+    assert.deepEqual(validateConfig(makeConfig()), { errors: [], warnings: [] });
+  });
+
+  it('accepts the example config, warning about its placeholders', () => {
+    const config = JSON.parse(readFileSync(new URL('../config.example.json', import.meta.url), 'utf8'));
+    const { errors, warnings } = validateConfig(config);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings.map(warning => warning.path), [
+      'discordWebhookUrl',
+      'adminWebhookUrl',
+      'discordBotToken',
+      'discordGuildId',
+      'discordSearchRoleId',
+      'destinations.cars.webhookUrl',
+      'searchConfigs[0].postcode'
+    ]);
+    assert.equal(messageFor(warnings, 'discordWebhookUrl'), 'is not set up yet (still has "YOUR_WEBHOOK_ID" from config.example.json)');
+  });
+
+  it('accepts a legacy single searchConfig without a name', () => {
+    const { searchConfigs, ...config } = makeConfig();
+    const { name, ...search } = searchConfigs[0];
+    assert.deepEqual(validateConfig({ ...config, searchConfig: search }).errors, []);
+  });
+
+  it('stops at a config that is not an object', () => {
+    assert.deepEqual(validateConfig([]).errors, [{ path: '', message: 'must be an object, got an array' }]);
+  });
+
+  it('reports values of the wrong type', () => {
+    const { errors } = validateConfig(makeConfig({ maxPages: '3', stopAtSeenPage: 'yes', 'max-price': 'cheap' }, { pollingIntervalMinutes: null }));
+    assert.equal(messageFor(errors, 'pollingIntervalMinutes'), 'must be a number, got null');
+    assert.equal(messageFor(errors, 'searchConfigs[0].maxPages'), 'must be a whole number, got "3"');
+    assert.equal(messageFor(errors, 'searchConfigs[0].stopAtSeenPage'), 'must be true or false, got "yes"');
+    assert.equal(messageFor(errors, 'searchConfigs[0].max-price'), 'must be a number (or numeric string), got "cheap"');
+  });
+
+  it('accepts numeric strings for search values', () => {
+    assert.deepEqual(validateConfig(makeConfig({ 'max-price': '5000', radius: 50 })).errors, []);
+  });
+
+  it('reports values outside their range', () => {
+    const { errors } = validateConfig(makeConfig({ 'year-from': '1850' }, {
+      pollingIntervalMinutes: 0,
+      dashboard: { port: 70000 },
+      scraping: { detailConcurrency: 11, delayMs: -1 }
+    }));
+    assert.equal(messageFor(errors, 'pollingIntervalMinutes'), 'must be at least 1, got 0');
+    assert.equal(messageFor(errors, 'dashboard.port'), 'must be at most 65535, got 70000');
+    assert.equal(messageFor(errors, 'scraping.detailConcurrency'), 'must be at most 10, got 11');
+    assert.equal(messageFor(errors, 'scraping.delayMs'), 'must be at least 0, got -1');
+    assert.equal(messageFor(errors, 'searchConfigs[0].year-from'), 'must be at least 1900, got 1850');
+  });
+
+  it('reports values not matching their pattern', () => {
+    const { errors } = validateConfig(makeConfig({ relisted: 'ignore' }, {
+      adminWebhookUrl: 'https://example.com/hook',
+      discordGuildId: 'my server',
+      redFlags: { 'cat s': { severity: 'severe', patterns: ['cat s'] } },
+      requests: { blockResourceTypes: ['image', 'video'] }
+    }));
+    assert.match(messageFor(errors, 'adminWebhookUrl'), /^must be a Discord webhook URL/);
+    assert.equal(messageFor(errors, 'discordGuildId'), 'must be a numeric server ID');
+    assert.equal(messageFor(errors, 'searchConfigs[0].relisted'), 'must be "post" or "suppress"');
+    assert.match(messageFor(errors, 'redFlags["cat s"].severity'), /^must be one of "/);
+    assert.match(messageFor(errors, 'requests.blockResourceTypes[1]'), /^must be one of .*image/);
+    assert.equal(messageFor(errors, 'requests.blockResourceTypes[0]'), undefined);
+  });
+
+  it('reports missing required settings', () => {
+    const { errors } = validateConfig(makeConfig({}, { redFlags: { 'cat s': { patterns: ['cat s'] } } }));
+    assert.equal(messageFor(errors, 'redFlags["cat s"].severity'), 'is required');
+
+    const { searchConfigs, ...config } = makeConfig();
+    assert.equal(messageFor(validateConfig(config).errors, 'searchConfigs'), 'is required');
+
+    const { name, ...search } = searchConfigs[0];
+    assert.equal(messageFor(validateConfig({ ...config, searchConfigs: [search] }).errors, 'searchConfigs[0].name'), 'is required');
+  });
+
+  it('reports invalid regular expressions', () => {
+    const { errors } = validateConfig(makeConfig({ filters: { sellerName: { deny: ['/(motors/i'] } } }, {
+      featureWords: { bluetooth: ['/[bluetooth/i'] }
+    }));
+    assert.match(messageFor(errors, 'featureWords.bluetooth[0]'), /^is not a valid regular expression: /);
+    assert.match(messageFor(errors, 'searchConfigs[0].filters.sellerName.deny[0]'), /^is not a valid regular expression: /);
+  });
+
+  it('checks filter rules against the form they are written in', () => {
+    const { errors } = validateConfig(makeConfig({
+      filters: { price: { min: 'cheap' }, mileage: [1000, 'lots'], colour: { allow: 'blue', deny: { pattern: 'yellow' } } }
+    }));
+    assert.equal(messageFor(errors, 'searchConfigs[0].filters.price.min'), 'must be a number (or numeric string), got "cheap"');
+    assert.equal(messageFor(errors, 'searchConfigs[0].filters.mileage[1]'), 'must be a number (or numeric string), got "lots"');
+    assert.equal(messageFor(errors, 'searchConfigs[0].filters.colour.allow'), undefined);
+    assert.equal(messageFor(errors, 'searchConfigs[0].filters.colour.deny'), 'must be a pattern or a list of patterns, got an object');
+  });
+
+  it('warns about unknown keys, suggesting the closest known one', () => {
+    const { errors, warnings } = validateConfig(makeConfig({ maxPage: 3 }, { pollingIntervalMinute: 10, scraping: { delay: 500 } }));
+    assert.deepEqual(errors, []);
+    assert.equal(messageFor(warnings, 'pollingIntervalMinute'), 'unknown key (did you mean "pollingIntervalMinutes"?) - it will be ignored');
+    assert.equal(messageFor(warnings, 'scraping.delay'), 'unknown key (did you mean "delayMs"?) - it will be ignored');
+    assert.equal(messageFor(warnings, 'searchConfigs[0].maxPage'), 'unknown key (did you mean "maxPages"?) - it will be sent to Autotrader as a search parameter');
+  });
+
+  it('warns about a channel missing from destinations, falling back to the global webhook', () => {
+    const { errors, warnings } = validateConfig(makeConfig({ channel: 'hatchbacks' }, {
+      destinations: { hatchback: { webhookUrl: WEBHOOK_URL } }
+    }));
+    assert.deepEqual(errors, []);
+    assert.equal(
+      messageFor(warnings, 'searchConfigs[0].channel'),
+      '"hatchbacks" is not defined in destinations, so discordWebhookUrl is used (did you mean "hatchback"?)'
+    );
+  });
+
+  it('only requires discordWebhookUrl when a search posts to it', () => {
+    const { discordWebhookUrl, ...config } = makeConfig({ channel: 'hatchbacks' }, {
+      destinations: { hatchbacks: { webhookUrl: WEBHOOK_URL } }
+    });
+    assert.deepEqual(validateConfig(config).errors, []);
+
+    config.searchConfigs.push({ name: 'Polos', make: 'Volkswagen' });
+    assert.equal(
+      messageFor(validateConfig(config).errors, 'discordWebhookUrl'),
+      'is required unless every search sets a webhookUrl or a channel defined in destinations'
+    );
+  });
+
+  it('reports features missing from featureWords', () => {
+    const { errors } = validateConfig(makeConfig({ requiredFeatures: ['bluetooth', 'Bluetoth'], excludedFeatures: ['sunroof'] }));
+    assert.equal(messageFor(errors, 'searchConfigs[0].requiredFeatures[0]'), undefined);
+    assert.equal(
+      messageFor(errors, 'searchConfigs[0].requiredFeatures[1]'),
+      '"Bluetoth" is not defined in featureWords (did you mean "bluetooth"?)'
+    );
+    assert.equal(messageFor(errors, 'searchConfigs[0].excludedFeatures[0]'), '"sunroof" is not defined in featureWords');
+  });
+
+  it('reports searches sharing a name', () => {
+    const config = makeConfig();
+    config.searchConfigs.push({ ...config.searchConfigs[0] });
+    assert.equal(messageFor(validateConfig(config).errors, 'searchConfigs[1].name'), '"Golfs" is used by more than one search');
+  });
+
+  it('checks search schedules', () => {
+    assert.deepEqual(validateConfig(makeConfig({ cron: '0 8,20 * * 1-5', activeHours: '22:00-06:00' })).errors, []);
+
+    const { errors } = validateConfig(makeConfig({ cron: '0 25 * * *', activeHours: '7am-10pm', intervalMinutes: 0.5 }));
+    assert.equal(messageFor(errors, 'searchConfigs[0].intervalMinutes'), 'must be at least 1, got 0.5');
+    assert.equal(messageFor(errors, 'searchConfigs[0].activeHours'), 'is not a valid time range: expected a time range like "07:00-22:00", got "7am-10pm"');
+    assert.deepEqual(
+      errors.filter(error => error.path === 'searchConfigs[0].cron').map(error => error.message),
+      ['is not a valid cron expression: hour "25" is outside 0-23', 'cannot be set along with intervalMinutes']
+    );
+  });
+});
+
+describe('suggestName', () => {
+  it('suggests close names, ignoring case', () => {
+    assert.equal(suggestName('Bluetoth', ['bluetooth', 'USB']), 'bluetooth');
+    assert.equal(suggestName('sunroof', ['bluetooth', 'USB']), null);
+  });
+});
+
+describe('formatConfigIssues', () => {
+  it('lists issues one per line', () => {
+    assert.equal(
+      formatConfigIssues([{ path: '', message: 'must be an object, got null' }, { path: 'dashboard.port', message: 'must be at most 65535, got 70000' }]),
+      '  - (root): must be an object, got null\n  - dashboard.port: must be at most 65535, got 70000'
+    );
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { enterTempDir } from './temp-dir.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/123/secret-token';
+
+const tempDir = enterTempDir({
+  discordWebhookUrl: WEBHOOK_URL,
+  searchConfigs: [{ name: 'Fabias', make: 'Skoda' }]
+});
+
+const { startDashboard } = await import('../src/dashboard.js');
+const { saveListing, closeListingStore } = await import('../src/listing-store.js');
+
+describe('dashboard', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    saveListing(
+      { id: '202401010000001', title: 'Skoda Fabia', link: 'https://www.autotrader.co.uk/car-details/202401010000001' },
+      { searchName: 'Fabias', filterResult: 'posted', price: 3250, webhookUrl: WEBHOOK_URL, message: { messageId: '900', channelId: '800', threadId: null } }
+    );
+    server = startDashboard({ port: 0 }, () => ({}));
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    closeListingStore();
+    tempDir.leave();
+  });
+
+  it('serves cars as JSON without webhook URLs or Discord IDs', async () => {
+    const response = await fetch(`${baseUrl}/cars?format=json`);
+    const body = await response.text();
+
+    assert.equal(response.status, 200);
+    const [listing] = JSON.parse(body);
+    assert.equal(listing.id, '202401010000001');
+    assert.equal(listing.searchName, 'Fabias');
+    assert.deepEqual(listing.priceHistory.map(entry => entry.price), [3250]);
+    for (const key of ['webhookUrl', 'messageId', 'channelId', 'threadId']) {
+      assert.equal(key in listing, false, `${key} should not be served`);
+    }
+    assert.doesNotMatch(body, /webhooks|secret-token/);
+  });
+
+  it('keeps webhook URLs out of the cars page', async () => {
+    const body = await (await fetch(`${baseUrl}/cars`)).text();
+    assert.match(body, /Skoda Fabia/);
+    assert.doesNotMatch(body, /webhooks|secret-token/);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir } from './temp-dir.js';
+
+const tempDir = enterTempDir({
+  discordWebhookUrl: 'https://discord.com/api/webhooks/123/token',
+  searchConfigs: [{ name: 'Golfs', make: 'Volkswagen' }]
+});
+
+const { queueCarsForDelivery, deliverQueuedCars } = await import('../src/delivery-queue.js');
+const {
+  saveListing,
+  getListing,
+  getDueDeliveries,
+  countQueuedDeliveries,
+  recordDeliveryFailure,
+  closeListingStore
+} = await import('../src/listing-store.js');
+
+const DESTINATION = { name: 'cars', webhookUrl: 'https://discord.com/api/webhooks/456/cars-token', botToken: null };
+
+/**
+ * Saves a car found by a search and queues it for delivery
+ * @param {string} id - Car ID
+ * @param {string} searchName - Search that found the car
+ */
+function queueCar(id, searchName = 'Golfs') {
+  const car = { id, title: 'Volkswagen Golf', subtitle: '1.4 TSI', link: `https://www.autotrader.co.uk/car-details/${id}`, price: '£4,995' };
+  saveListing(car, { searchName, filterResult: 'queued', webhookUrl: DESTINATION.webhookUrl });
+  queueCarsForDelivery([car], DESTINATION);
+}
+
+/**
+ * Mocks Discord accepting or rejecting every post
+ * @param {boolean} ok - Whether posts succeed
+ * @returns {Object} The fetch mock
+ */
+function mockDiscord(ok) {
+  return mock.method(globalThis, 'fetch', async () => ok
+    ? new Response(JSON.stringify({ id: '900', channel_id: '800' }), { status: 200 })
+    : new Response('Internal Server Error', { status: 500 }));
+}
+
+describe('deliverQueuedCars', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  after(() => {
+    closeListingStore();
+    tempDir.leave();
+  });
+
+  it('posts queued cars and marks them posted', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMock = mockDiscord(true);
+    queueCar('202401010000001');
+
+    const delivered = await deliverQueuedCars();
+
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].car.id, '202401010000001');
+    assert.equal(fetchMock.mock.calls[0].arguments[0], `${DESTINATION.webhookUrl}?wait=true`);
+    const listing = getListing('202401010000001');
+    assert.equal(listing.filterResult, 'posted');
+    assert.equal(listing.messageId, '900');
+    assert.equal(countQueuedDeliveries(), 0);
+  });
+
+  it('keeps a failed car queued until its backoff has passed', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(Math, 'random', () => 1);
+    mockDiscord(false);
+    queueCar('202401010000002');
+
+    assert.deepEqual(await deliverQueuedCars(), []);
+
+    assert.equal(countQueuedDeliveries(), 1);
+    assert.deepEqual(getDueDeliveries(), []);
+    assert.equal(getListing('202401010000002').filterResult, 'queued');
+  });
+
+  it('gives up on a car after 10 failed attempts', async () => {
+    mock.method(console, 'log', () => {});
+    const error = mock.method(console, 'error', () => {});
+    mockDiscord(false);
+    queueCar('202401010000003');
+    for (let attempt = 1; attempt < 10; attempt++) {
+      recordDeliveryFailure('202401010000003', 'Discord post failed', new Date(0).toISOString());
+    }
+
+    await deliverQueuedCars();
+
+    assert.equal(getListing('202401010000003').filterResult, 'delivery-failed');
+    assert.deepEqual(getDueDeliveries(), []);
+    const lines = error.mock.calls.map(call => call.arguments[0]);
+    assert.ok(lines.includes('   ❌ Giving up on posting car 202401010000003 after 10 attempts'));
+  });
+
+  it('holds back cars from searches outside their active hours', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMock = mockDiscord(true);
+    queueCar('202401010000004', 'Quiet search');
+
+    assert.deepEqual(await deliverQueuedCars(null, ['Quiet search']), []);
+    assert.equal(fetchMock.mock.calls.length, 0);
+
+    assert.equal((await deliverQueuedCars('Quiet search')).length, 1);
+  });
+});
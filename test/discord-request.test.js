@@ -0,0 +1,92 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { discordFetch } from '../src/discord-request.js';
+
+/**
+ * Builds a Discord rate limit response
+ * @param {number} retryAfter - Seconds to wait, as sent in the body
+ * @param {boolean} global - Whether the limit is global
+ * @returns {Response} 429 response
+ */
+function rateLimited(retryAfter, global = false) {
+  return new Response(JSON.stringify({ message: 'You are being rate limited.', retry_after: retryAfter, global }), {
+    status: 429,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Mocks fetch to return the given responses in turn
+ * @param {Array<Function>} responses - Functions creating each response
+ * @returns {Object} The fetch mock
+ */
+function mockFetch(responses) {
+  let call = 0;
+  return mock.method(globalThis, 'fetch', async () => responses[Math.min(call++, responses.length - 1)]());
+}
+
+// Rate limit state is kept per webhook, so each test uses its own
+describe('discordFetch', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('retries a 429 after retry_after', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const fetchMock = mockFetch([() => rateLimited(0.05), () => new Response(null, { status: 204 })]);
+
+    const startedAt = Date.now();
+    const response = await discordFetch('https://discord.com/api/webhooks/1/token', { method: 'POST' });
+
+    assert.equal(response.status, 204);
+    assert.equal(fetchMock.mock.calls.length, 2);
+    assert.ok(Date.now() - startedAt >= 45);
+    assert.match(log.mock.calls[0].arguments[0], /Rate limited by Discord - retrying in 0\.1s/);
+  });
+
+  it('gives up after being rate limited too many times', async () => {
+    mock.method(console, 'log', () => {});
+    const fetchMock = mockFetch([() => rateLimited(0)]);
+
+    const response = await discordFetch('https://discord.com/api/webhooks/2/token', { method: 'POST' });
+
+    assert.equal(response.status, 429);
+    assert.equal(fetchMock.mock.calls.length, 6);
+  });
+
+  it('waits for an exhausted bucket to reset', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const fetchMock = mockFetch([() => new Response(null, {
+      status: 204,
+      headers: { 'X-RateLimit-Bucket': 'webhook', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '0.05' }
+    })]);
+
+    await discordFetch('https://discord.com/api/webhooks/3/token', { method: 'POST' });
+    assert.equal(log.mock.calls.length, 0);
+
+    const startedAt = Date.now();
+    await discordFetch('https://discord.com/api/webhooks/3/token', { method: 'POST' });
+    // Other webhooks have their own limit
+    await discordFetch('https://discord.com/api/webhooks/4/token', { method: 'POST' });
+
+    assert.equal(fetchMock.mock.calls.length, 3);
+    assert.ok(Date.now() - startedAt >= 45);
+    assert.equal(log.mock.calls.length, 1);
+    assert.match(log.mock.calls[0].arguments[0], /Waiting 0\.\ds for Discord's rate limit to reset/);
+  });
+
+  it('holds requests to other routes after a global rate limit', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const fetchMock = mockFetch([() => rateLimited(0.05, true), () => new Response(null, { status: 204 })]);
+
+    const first = discordFetch('https://discord.com/api/webhooks/5/token', { method: 'POST' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const second = discordFetch('https://discord.com/api/webhooks/6/token', { method: 'POST' });
+    await Promise.all([first, second]);
+
+    assert.equal(fetchMock.mock.calls.length, 3);
+    const lines = log.mock.calls.map(call => call.arguments[0]);
+    assert.match(lines[0], /Rate limited by Discord \(global\)/);
+    assert.match(lines[1], /Waiting 0\.\ds for Discord's global rate limit/);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFeaturePattern, detectFeatures } from '../src/features.js';
+
+const FEATURE_WORDS = {
+  bluetooth: ['/bluetooth/i', '/BT/'],
+  AUX: ['/aux/i'],
+  'cruise control': ['cruise control'],
+  'Parking Sensors': ['/Parking Sensors/i', '/P-Sensors/i']
+};
+
+describe('compileFeaturePattern', () => {
+  it('compiles /pattern/flags as a regex', () => {
+    assert.deepEqual(compileFeaturePattern('/BT/'), /BT/i);
+    assert.deepEqual(compileFeaturePattern('/BT/g'), /BT/g);
+  });
+
+  it('matches plain text literally, ignoring case', () => {
+    assert.equal(compileFeaturePattern('a.c').test('A.C'), true);
+    assert.equal(compileFeaturePattern('a.c').test('abc'), false);
+  });
+});
+
+describe('detectFeatures', () => {
+  it('finds each feature mentioned', () => {
+    assert.deepEqual(
+      detectFeatures('Bluetooth, cruise control and rear parking sensors. Two keys.', FEATURE_WORDS),
+      ['bluetooth', 'cruise control', 'Parking Sensors']
+    );
+  });
+
+  it('ignores features that are said to be missing', () => {
+    assert.deepEqual(detectFeatures('No bluetooth. Cruise control.', FEATURE_WORDS), ['cruise control']);
+    assert.deepEqual(detectFeatures('Comes without cruise control or bluetooth', FEATURE_WORDS), []);
+    assert.deepEqual(detectFeatures('Not fitted with parking sensors', FEATURE_WORDS), []);
+  });
+
+  it('ignores features that are said not to work', () => {
+    assert.deepEqual(detectFeatures('AUX not working, bluetooth is faulty', FEATURE_WORDS), []);
+    assert.deepEqual(detectFeatures("Cruise control doesn't work", FEATURE_WORDS), []);
+    assert.deepEqual(detectFeatures('AUX port needs repair', FEATURE_WORDS), []);
+  });
+
+  it('only applies a negation to its own clause', () => {
+    assert.deepEqual(detectFeatures('No rust, bluetooth and AUX', FEATURE_WORDS), ['bluetooth', 'AUX']);
+    assert.deepEqual(detectFeatures('Bluetooth works. No AUX.', FEATURE_WORDS), ['bluetooth']);
+  });
+
+  it('counts a feature mentioned positively elsewhere', () => {
+    assert.deepEqual(detectFeatures('AUX not working but has a second AUX socket in the boot', FEATURE_WORDS), ['AUX']);
+  });
+
+  it('returns nothing without a description', () => {
+    assert.deepEqual(detectFeatures(undefined, FEATURE_WORDS), []);
+    assert.deepEqual(detectFeatures('Bluetooth'), []);
+  });
+});
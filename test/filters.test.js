@@ -0,0 +1,234 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getFilterRules,
+  getFilterFailures,
+  getFilterReasons,
+  countFilterFailures,
+  formatFilterCounts
+} from '../src/filters.js';
+import { normaliseCar } from '../src/normalise.js';
+
+/**
+ * Builds a normalised car
+ * @param {Object} fields - Extracted car fields
+ * @returns {Object} Normalised car
+ */
+function makeCar(fields) {
+  return normaliseCar({ id: '1', title: 'Skoda Fabia', ...fields });
+}
+
+describe('getFilterReasons', () => {
+  const searchConfig = {
+    name: 'Fabia',
+    'max-price': '3000',
+    'max-milage': '100000',
+    'max-distance': '25',
+    minDealScore: 10
+  };
+
+  it('passes a car within every limit', () => {
+    const car = makeCar({ price: '£2,500', mileage: '68,400 miles', location: 'Leeds (12 miles)' });
+    assert.deepEqual(getFilterReasons(car, searchConfig), []);
+  });
+
+  it('lists every limit a car fails', () => {
+    const car = {
+      ...makeCar({ price: '£3,500', mileage: '112,750 miles', location: 'Harrogate (29 miles)' }),
+      deal: { score: 4 }
+    };
+
+    assert.deepEqual(getFilterReasons(car, searchConfig), [
+      'price £3,500 over max £3,000',
+      'mileage 112,750 miles over max 100,000 miles',
+      'distance 29 miles over max 25 miles',
+      'deal score 4 below min 10'
+    ]);
+  });
+
+  it('passes cars without a deal score', () => {
+    const car = makeCar({ price: '£2,500' });
+    assert.deepEqual(getFilterReasons(car, { minDealScore: 10 }), []);
+  });
+
+  it('passes everything for a search without limits', () => {
+    const car = makeCar({ price: '£30,000', mileage: '200,000 miles', location: 'Truro (400 miles)' });
+    assert.deepEqual(getFilterReasons(car, { name: 'Anything' }), []);
+  });
+});
+
+describe('max-price, max-milage and max-distance', () => {
+  it('allow values up to the maximum', () => {
+    assert.deepEqual(getFilterReasons(makeCar({ price: '£3,000' }), { 'max-price': 3000 }), []);
+    assert.deepEqual(getFilterReasons(makeCar({ price: '£3,001' }), { 'max-price': 3000 }), ['price £3,001 over max £3,000']);
+  });
+
+  it('read the distance from the contact location', () => {
+    assert.deepEqual(getFilterReasons(makeCar({ contactLocation: 'Harrogate (29 miles)' }), { 'max-distance': '20' }), [
+      'distance 29 miles over max 20 miles'
+    ]);
+  });
+
+  it('are ignored when empty or not a number', () => {
+    assert.deepEqual(getFilterRules({ 'max-price': '', 'max-milage': 0 }), []);
+    assert.deepEqual(getFilterReasons(makeCar({ price: '£3,500' }), { 'max-price': 'lots' }), []);
+  });
+
+  it('allow cars missing the value', () => {
+    assert.deepEqual(getFilterReasons(makeCar({ price: 'Price not available', mileage: 'Unknown', location: 'Leeds' }), {
+      'max-price': 3000,
+      'max-milage': 80000,
+      'max-distance': 20
+    }), []);
+  });
+});
+
+describe('filters block', () => {
+  const car = makeCar({
+    price: '£3,250',
+    mileage: '68,400 miles',
+    year: '2012',
+    engine: '1.2L',
+    gearbox: 'Manual',
+    fuelType: 'Petrol',
+    bodyType: 'Estate',
+    bodyColour: 'Yellow',
+    doors: '5',
+    seats: '5',
+    owners: '4',
+    sellerName: 'Cheap Cars Direct'
+  });
+
+  /**
+   * Gets the failures for a single filters block
+   * @param {Object} filters - Filters block
+   * @returns {Array<Object>} Failed rules
+   */
+  function check(filters) {
+    return getFilterFailures(car, { filters });
+  }
+
+  it('checks numeric ranges', () => {
+    assert.deepEqual(check({ year: { min: 2010, max: 2016 }, engineSize: { min: 1.0, max: '1.6' } }), []);
+    assert.deepEqual(check({ year: { min: 2014 }, owners: { max: 3 } }), [
+      { rule: 'filters.year', reason: 'year 2012 under min 2014' },
+      { rule: 'filters.owners', reason: 'owners 4 over max 3' }
+    ]);
+    assert.deepEqual(check({ engineSize: { min: 1.4 } }), [
+      { rule: 'filters.engineSize', reason: 'engine size 1.2L under min 1.4L' }
+    ]);
+  });
+
+  it('checks exact numbers and lists of numbers', () => {
+    assert.deepEqual(check({ doors: 5, seats: [5, 7] }), []);
+    assert.deepEqual(check({ doors: [3], seats: '7' }), [
+      { rule: 'filters.doors', reason: 'doors 5 not one of 3' },
+      { rule: 'filters.seats', reason: 'seats 5 not one of 7' }
+    ]);
+  });
+
+  it('matches plain text against the whole value, ignoring case', () => {
+    assert.deepEqual(check({ gearbox: 'manual', fuelType: ['Diesel', 'Petrol'] }), []);
+    assert.deepEqual(check({ gearbox: 'Automatic', fuelType: 'Petrol Hybrid' }), [
+      { rule: 'filters.gearbox', reason: 'gearbox "Manual" not in allowed list (Automatic)' },
+      { rule: 'filters.fuelType', reason: 'fuel type "Petrol" not in allowed list (Petrol Hybrid)' }
+    ]);
+  });
+
+  it('matches regexes', () => {
+    assert.deepEqual(check({ bodyType: '/estate|tourer/i' }), []);
+    assert.deepEqual(check({ bodyType: ['/hatch/'] }), [
+      { rule: 'filters.bodyType', reason: 'body type "Estate" not in allowed list (/hatch/)' }
+    ]);
+  });
+
+  it('checks allow and deny lists', () => {
+    assert.deepEqual(check({ colour: { deny: ['Yellow', '/orange/'] } }), [
+      { rule: 'filters.colour', reason: 'colour "Yellow" is denied (Yellow)' }
+    ]);
+    assert.deepEqual(check({ sellerName: { deny: '/cars? direct/i' } }), [
+      { rule: 'filters.sellerName', reason: 'seller "Cheap Cars Direct" is denied (/cars? direct/i)' }
+    ]);
+    assert.deepEqual(check({ colour: { allow: ['Silver', 'Black'] } }), [
+      { rule: 'filters.colour', reason: 'colour "Yellow" not in allowed list (Silver, Black)' }
+    ]);
+    assert.deepEqual(check({ colour: { allow: '/yellow/', deny: ['Red'] } }), []);
+  });
+
+  it('allows cars missing the value', () => {
+    const listingOnly = makeCar({ price: '£3,250' });
+    assert.deepEqual(getFilterFailures(listingOnly, { filters: { gearbox: 'Automatic', owners: { max: 1 } } }), []);
+  });
+
+  it('ignores unknown fields', () => {
+    assert.deepEqual(check({ wheels: 3 }), []);
+  });
+});
+
+describe('countFilterFailures', () => {
+  it('counts each rule once per car', () => {
+    const counts = countFilterFailures([
+      { filterFailures: [{ rule: 'max-price' }, { rule: 'filters.gearbox' }] },
+      { filterFailures: [{ rule: 'filters.gearbox' }, { rule: 'filters.gearbox' }] },
+      {}
+    ]);
+
+    assert.deepEqual(counts, { 'max-price': 1, 'filters.gearbox': 2 });
+    assert.equal(formatFilterCounts(counts), 'filters.gearbox 2, max-price 1');
+  });
+});
+
+describe('requiredFeatures and excludedFeatures', () => {
+  const searchConfig = { requiredFeatures: ['cruise control', 'bluetooth'], excludedFeatures: ['towbar'] };
+
+  it('passes a car with every required feature', () => {
+    const car = { ...makeCar({ description: 'Cruise control, bluetooth' }), features: ['cruise control', 'bluetooth'] };
+    assert.deepEqual(getFilterFailures(car, searchConfig), []);
+  });
+
+  it('rejects a car missing a required feature or with an excluded one', () => {
+    const car = { ...makeCar({ description: 'Bluetooth, towbar' }), features: ['bluetooth', 'towbar'] };
+    assert.deepEqual(getFilterFailures(car, searchConfig), [
+      { rule: 'requiredFeatures', reason: 'missing required feature cruise control' },
+      { rule: 'excludedFeatures', reason: 'has excluded feature towbar' }
+    ]);
+  });
+
+  it('passes cars without a description', () => {
+    const car = { ...makeCar({}), features: [] };
+    assert.deepEqual(getFilterFailures(car, searchConfig), []);
+  });
+});
+
+describe('red flags', () => {
+  it('rejects cars with a high severity red flag', () => {
+    const car = {
+      ...makeCar({ price: '£900' }),
+      redFlags: [{ name: 'non runner', severity: 'high' }, { name: 'needs clutch', severity: 'medium' }]
+    };
+    assert.deepEqual(getFilterFailures(car, { name: 'Fabia' }), [{ rule: 'redFlags', reason: 'red flag: non runner' }]);
+  });
+
+  it('passes cars with only lower severity red flags', () => {
+    const car = { ...makeCar({ price: '£900' }), redFlags: [{ name: 'needs clutch', severity: 'medium' }] };
+    assert.deepEqual(getFilterFailures(car, { name: 'Fabia' }), []);
+  });
+});
+
+describe('relisted', () => {
+  const car = {
+    ...makeCar({ price: '£2,995' }),
+    relist: { originalId: '202409150012345', daysSinceFirstSeen: 12, previousPrice: 3250 }
+  };
+
+  it('rejects relisted cars when the search suppresses them', () => {
+    assert.deepEqual(getFilterFailures(car, { relisted: 'suppress' }), [
+      { rule: 'relisted', reason: 'relisted (was £3,250, first seen 12 days ago) from 202409150012345' }
+    ]);
+  });
+
+  it('posts relisted cars by default', () => {
+    assert.deepEqual(getFilterFailures(car, {}), []);
+    assert.deepEqual(getFilterFailures(car, { relisted: 'post' }), []);
+  });
+});
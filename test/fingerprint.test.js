@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCarFingerprint, getRelistDetails, describeRelist } from '../src/fingerprint.js';
+import { normaliseCar } from '../src/normalise.js';
+
+const CAR = {
+  id: '202409150012345',
+  title: 'Skoda Fabia',
+  price: '£3,250',
+  mileage: '68,400 miles',
+  registration: '2012 (62 reg)',
+  bodyColour: 'Silver',
+  sellerName: 'Northern Car Centre',
+  description: 'Full service history, cambelt changed at 60k. Two keys, long MOT.',
+  images: [{ thumbnail: 'https://m.atcdn.co.uk/a/media/w480/5b1c3f0a9e.jpg', full: 'https://m.atcdn.co.uk/a/media/w800/5b1c3f0a9e.jpg' }]
+};
+
+describe('getCarFingerprint', () => {
+  it('gives a relisted advert the same fingerprint', () => {
+    const relisted = {
+      ...CAR,
+      id: '202409290098765',
+      price: '£2,995',
+      description: 'Full service history,  cambelt changed at 60k.\nTwo keys - long MOT!',
+      images: [{ full: 'https://m.atcdn.co.uk/a/media/w1024/5b1c3f0a9e.jpg?v=2' }]
+    };
+
+    assert.equal(getCarFingerprint(normaliseCar(relisted)), getCarFingerprint(normaliseCar(CAR)));
+  });
+
+  it('tells different cars apart', () => {
+    const other = { ...CAR, mileage: '71,200 miles', description: 'Spotless inside and out.' };
+    assert.notEqual(getCarFingerprint(normaliseCar(other)), getCarFingerprint(normaliseCar(CAR)));
+  });
+
+  it('needs the year, mileage and two other details', () => {
+    assert.equal(getCarFingerprint(normaliseCar({ ...CAR, mileage: 'Unknown' })), null);
+    assert.equal(getCarFingerprint(normaliseCar({ id: '1', year: '2012', mileage: '68,400 miles', bodyColour: 'Silver' })), null);
+    assert.ok(getCarFingerprint(normaliseCar({ id: '1', year: '2012', mileage: '68,400 miles', bodyColour: 'Silver', sellerName: 'A Dealer' })));
+  });
+});
+
+describe('getRelistDetails', () => {
+  it('describes the first advert', () => {
+    const original = {
+      id: '202409150012345',
+      link: 'https://www.autotrader.co.uk/car-details/202409150012345',
+      firstSeenAt: '2024-09-15T10:00:00.000Z',
+      priceHistory: [{ price: 3450, seenAt: '2024-09-15T10:00:00.000Z' }, { price: 3250, seenAt: '2024-09-20T10:00:00.000Z' }]
+    };
+
+    assert.deepEqual(getRelistDetails(original, new Date('2024-09-27T09:00:00.000Z')), {
+      originalId: '202409150012345',
+      originalLink: 'https://www.autotrader.co.uk/car-details/202409150012345',
+      firstSeenAt: '2024-09-15T10:00:00.000Z',
+      daysSinceFirstSeen: 11,
+      previousPrice: 3250
+    });
+  });
+});
+
+describe('describeRelist', () => {
+  it('includes the previous price and age', () => {
+    assert.equal(describeRelist({ daysSinceFirstSeen: 12, previousPrice: 3250 }), 'relisted (was £3,250, first seen 12 days ago)');
+    assert.equal(describeRelist({ daysSinceFirstSeen: 1, previousPrice: null }), 'relisted (first seen 1 day ago)');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { enterTempDir } from './temp-dir.js';
+
+/**
+ * Opens a fresh listing store next to a legacy posted-cars.json
+ * The store reads its file paths when loaded, so each call loads its own copy of the module
+ * @param {*} postedCars - Contents of posted-cars.json
+ * @returns {Promise<Object>} { store, tempDir } - the listing store module and the directory it works in
+ */
+async function openStoreWithLegacyFile(postedCars) {
+  const tempDir = enterTempDir();
+  fs.writeFileSync('posted-cars.json', JSON.stringify(postedCars));
+  const store = await import(`../src/listing-store.js?dir=${encodeURIComponent(tempDir.dir)}`);
+  return { store, tempDir };
+}
+
+describe('migrating posted-cars.json', () => {
+  let opened = null;
+
+  afterEach(() => {
+    mock.restoreAll();
+    opened.store.closeListingStore();
+    opened.tempDir.leave();
+  });
+
+  it('imports a flat array of IDs', async () => {
+    mock.method(console, 'log', () => {});
+    opened = await openStoreWithLegacyFile(['202401010000001', 202401010000002]);
+    const { store } = opened;
+
+    assert.deepEqual([...store.getSeenIds()].sort(), ['202401010000001', '202401010000002']);
+    const listing = store.getListing('202401010000002');
+    assert.equal(listing.status, 'active');
+    assert.equal(listing.searchName, null);
+    assert.equal(listing.filterResult, null);
+  });
+
+  it('imports IDs grouped by search', async () => {
+    mock.method(console, 'log', () => {});
+    opened = await openStoreWithLegacyFile({ Fabias: ['202401010000001'], Golfs: ['202401010000002', '202401010000003'] });
+    const { store } = opened;
+
+    assert.equal(store.getListing('202401010000001').searchName, 'Fabias');
+    assert.deepEqual(store.getActiveListingsForSearch('Golfs').map(listing => listing.id).sort(), ['202401010000002', '202401010000003']);
+  });
+
+  it('imports version 2 records with their messages and price history', async () => {
+    mock.method(console, 'log', () => {});
+    opened = await openStoreWithLegacyFile({
+      version: 2,
+      cars: {
+        202401010000001: {
+          searchName: 'Fabias',
+          link: 'https://www.autotrader.co.uk/car-details/202401010000001',
+          messageId: '900',
+          channelId: '800',
+          postedAt: '2024-01-01T09:00:00.000Z',
+          priceHistory: [{ price: 3500, seenAt: '2024-01-01T09:00:00.000Z' }, { price: 3250, seenAt: '2024-01-05T09:00:00.000Z' }]
+        },
+        202401010000002: {
+          searchName: 'Fabias',
+          status: 'sold',
+          soldAt: '2024-01-10T09:00:00.000Z',
+          listedDays: 9
+        }
+      }
+    });
+    const { store } = opened;
+
+    const listing = store.getListing('202401010000001');
+    assert.equal(listing.messageId, '900');
+    assert.equal(listing.channelId, '800');
+    assert.equal(listing.firstSeenAt, '2024-01-01T09:00:00.000Z');
+    assert.deepEqual(listing.priceHistory.map(entry => entry.price), [3500, 3250]);
+
+    const sold = store.getListing('202401010000002');
+    assert.equal(sold.status, 'sold');
+    assert.equal(sold.listedDays, 9);
+  });
+
+  it('renames the old file so it is only imported once', async () => {
+    const log = mock.method(console, 'log', () => {});
+    opened = await openStoreWithLegacyFile(['202401010000001']);
+    const { store } = opened;
+
+    store.getSeenIds();
+
+    assert.equal(fs.existsSync('posted-cars.json'), false);
+    assert.deepEqual(JSON.parse(fs.readFileSync('posted-cars.json.migrated', 'utf-8')), ['202401010000001']);
+    assert.match(log.mock.calls[0].arguments[0], /Migrated 1 car\(s\) from posted-cars\.json to listings\.db/);
+
+    // A later start finds only the renamed file and imports nothing more
+    store.closeListingStore();
+    fs.writeFileSync('posted-cars.json.migrated', JSON.stringify(['202401010000009']));
+    assert.deepEqual([...store.getSeenIds()], ['202401010000001']);
+  });
+});
+
+describe('search runs', () => {
+  let opened = null;
+
+  afterEach(() => {
+    opened.store.closeListingStore();
+    opened.tempDir.leave();
+  });
+
+  it('keeps broken runs out of the baseline but counts them as the last run', async () => {
+    const tempDir = enterTempDir();
+    opened = { store: await import(`../src/listing-store.js?dir=${encodeURIComponent(tempDir.dir)}`), tempDir };
+    const { store } = opened;
+
+    store.recordSearchRun('Fabias', 20, 60);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    store.recordSearchRun('Fabias', 0, 0, true);
+
+    assert.deepEqual(store.getRecentFirstPageCounts('Fabias', 5), [20]);
+    assert.equal(store.getLastFirstPageCount('Fabias'), 0);
+    assert.equal(store.getLastFirstPageCount('Golfs'), null);
+    assert.ok(Date.now() - new Date(store.getLastSearchRunAt('Fabias')).getTime() < 1000);
+  });
+
+  it('adds the broken flag to an older database', async () => {
+    const tempDir = enterTempDir();
+    const oldDb = new Database('listings.db');
+    oldDb.exec('CREATE TABLE search_runs (search_name TEXT NOT NULL, ran_at TEXT NOT NULL, first_page_listings INTEGER NOT NULL, total_listings INTEGER NOT NULL)');
+    oldDb.prepare('INSERT INTO search_runs VALUES (?, ?, ?, ?)').run('Fabias', '2024-01-01T09:00:00.000Z', 20, 60);
+    oldDb.close();
+    opened = { store: await import(`../src/listing-store.js?dir=${encodeURIComponent(tempDir.dir)}`), tempDir };
+    const { store } = opened;
+
+    store.recordSearchRun('Fabias', 0, 0, true);
+
+    assert.deepEqual(store.getRecentFirstPageCounts('Fabias', 5), [20]);
+  });
+});
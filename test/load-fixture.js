@@ -0,0 +1,28 @@
+/**
+ * Loads saved Autotrader pages from test/fixtures as DOM documents
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Parses an HTML string into a document, as if served from autotrader.co.uk
+ * @param {string} html - Page HTML
+ * @returns {Document} Parsed document
+ */
+export function parseHtml(html) {
+  return new JSDOM(html, { url: 'https://www.autotrader.co.uk/' }).window.document;
+}
+
+/**
+ * Loads a fixture page
+ * @param {string} name - File name in test/fixtures
+ * @returns {Document} Parsed document
+ */
+export function loadFixture(name) {
+  return parseHtml(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf-8'));
+}
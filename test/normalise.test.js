@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePrice,
+  parseMileage,
+  parseDistance,
+  parseYear,
+  parseEngineSize,
+  parseCount,
+  parsePlateYear,
+  normaliseCar,
+  getCarSpecs
+} from '../src/normalise.js';
+import { parseSearchResults, parseCarDetails } from '../src/parsers.js';
+import { loadFixture } from './load-fixture.js';
+
+describe('parsePrice', () => {
+  it('parses prices with symbols and commas', () => {
+    assert.equal(parsePrice('£5,000'), 5000);
+    assert.equal(parsePrice('5000'), 5000);
+    assert.equal(parsePrice('£5,000.50'), 5000.5);
+    assert.equal(parsePrice('£3,250 or nearest offer'), 3250);
+  });
+
+  it('returns null when there is no price', () => {
+    assert.equal(parsePrice('Price not available'), null);
+    assert.equal(parsePrice(''), null);
+    assert.equal(parsePrice(null), null);
+    assert.equal(parsePrice(5000), null);
+  });
+});
+
+describe('parseMileage', () => {
+  it('parses mileages', () => {
+    assert.equal(parseMileage('68,400 miles'), 68400);
+    assert.equal(parseMileage('50000 mi'), 50000);
+    assert.equal(parseMileage('50,000'), 50000);
+  });
+
+  it('returns null when there is no mileage', () => {
+    assert.equal(parseMileage('Unknown'), null);
+    assert.equal(parseMileage(undefined), null);
+  });
+});
+
+describe('parseDistance', () => {
+  it('finds the distance in a location', () => {
+    assert.equal(parseDistance('Leeds (12 miles)'), 12);
+    assert.equal(parseDistance('25.5 miles away'), 25.5);
+    assert.equal(parseDistance('York 1 mile'), 1);
+    assert.equal(parseDistance('8 mi'), 8);
+  });
+
+  it('returns null when the location has no distance', () => {
+    assert.equal(parseDistance('Leeds'), null);
+    assert.equal(parseDistance('Leeds, West Yorkshire'), null);
+    assert.equal(parseDistance(null), null);
+  });
+});
+
+describe('parseYear', () => {
+  it('finds a four-digit year', () => {
+    assert.equal(parseYear('2012 (62 reg)'), 2012);
+    assert.equal(parseYear('1999'), 1999);
+  });
+
+  it('ignores other numbers', () => {
+    assert.equal(parseYear('62 reg'), null);
+    assert.equal(parseYear('Unknown'), null);
+  });
+});
+
+describe('parseEngineSize', () => {
+  it('parses litres', () => {
+    assert.equal(parseEngineSize('1.4L'), 1.4);
+    assert.equal(parseEngineSize('1.6 litres'), 1.6);
+  });
+
+  it('converts cc to litres', () => {
+    assert.equal(parseEngineSize('1,390cc'), 1.4);
+    assert.equal(parseEngineSize('999 cc'), 1);
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(parseEngineSize('Electric'), null);
+    assert.equal(parseEngineSize(null), null);
+  });
+});
+
+describe('parseCount', () => {
+  it('parses the first whole number', () => {
+    assert.equal(parseCount('5 doors'), 5);
+    assert.equal(parseCount('2'), 2);
+    assert.equal(parseCount(3), 3);
+  });
+
+  it('returns null without a number', () => {
+    assert.equal(parseCount('None'), null);
+    assert.equal(parseCount(null), null);
+  });
+});
+
+describe('parsePlateYear', () => {
+  it('parses March plates', () => {
+    assert.equal(parsePlateYear('2012 (12 reg)'), 2012);
+    assert.equal(parsePlateYear('(10 reg)'), 2010);
+  });
+
+  it('parses September plates', () => {
+    assert.equal(parsePlateYear('2012 (62 reg)'), 2012);
+    assert.equal(parsePlateYear('67 reg'), 2017);
+  });
+
+  it('returns null without a plate', () => {
+    assert.equal(parsePlateYear('2012'), null);
+    assert.equal(parsePlateYear(null), null);
+  });
+});
+
+describe('normaliseCar', () => {
+  it('normalises a parsed listing and its details', () => {
+    const [listing] = parseSearchResults(loadFixture('search-results.html'));
+    const details = parseCarDetails(loadFixture('detail-dealer.html'));
+    const car = normaliseCar({ ...listing, ...details, location: details.contactLocation });
+
+    assert.deepEqual(car.specs, {
+      price: 3250,
+      mileage: 68400,
+      year: 2012,
+      engineLitres: 1.2,
+      distanceMiles: 12,
+      doors: 5,
+      seats: 5,
+      owners: 3,
+      plateYear: 2012
+    });
+    assert.equal(car.price, '£3,250');
+  });
+
+  it('leaves unknown specs null', () => {
+    const details = parseCarDetails(loadFixture('detail-no-overview.html'));
+    const car = normaliseCar(details);
+
+    assert.equal(car.specs.price, 1295);
+    assert.equal(car.specs.mileage, null);
+    assert.equal(car.specs.year, null);
+    assert.equal(car.specs.distanceMiles, null);
+    assert.equal(car.specs.plateYear, null);
+  });
+
+  it('falls back to the registration year', () => {
+    const car = normaliseCar({ year: 'Unknown', registration: '2017 (67 reg)' });
+    assert.equal(car.specs.year, 2017);
+  });
+});
+
+describe('getCarSpecs', () => {
+  it('uses existing specs', () => {
+    const specs = { price: 1 };
+    assert.equal(getCarSpecs({ price: '£2', specs }), specs);
+  });
+
+  it('normalises cars stored without specs', () => {
+    assert.equal(getCarSpecs({ price: '£2,000' }).price, 2000);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import {
+  DEFAULT_REQUEST_POLICY,
+  shouldBlockRequest,
+  applyRequestPolicy,
+  takeBlockedRequestCount,
+  describeLoadTimes
+} from '../src/page-loading.js';
+
+/**
+ * Creates a request like the ones Puppeteer emits
+ * @param {string} resourceType - Resource type
+ * @param {string} url - Request URL
+ * @returns {Object} Fake request recording how it was handled
+ */
+function createRequest(resourceType, url) {
+  return {
+    handled: null,
+    resourceType: () => resourceType,
+    url: () => url,
+    isInterceptResolutionHandled() {
+      return this.handled !== null;
+    },
+    async abort() {
+      this.handled = 'aborted';
+    },
+    async continue() {
+      this.handled = 'continued';
+    }
+  };
+}
+
+describe('shouldBlockRequest', () => {
+  it('blocks fonts, media and images', () => {
+    assert.equal(shouldBlockRequest('font', 'https://www.autotrader.co.uk/fonts/a.woff2', DEFAULT_REQUEST_POLICY), true);
+    assert.equal(shouldBlockRequest('image', 'https://m.atcdn.co.uk/a/media/w480/5b1c3f0a9e.jpg', DEFAULT_REQUEST_POLICY), true);
+  });
+
+  it('blocks analytics on subdomains of blocked domains', () => {
+    assert.equal(shouldBlockRequest('script', 'https://www.google-analytics.com/analytics.js', DEFAULT_REQUEST_POLICY), true);
+    assert.equal(shouldBlockRequest('xhr', 'https://bat.bing.com/action/0', DEFAULT_REQUEST_POLICY), true);
+  });
+
+  it('lets the page and its scripts through', () => {
+    assert.equal(shouldBlockRequest('document', 'https://www.autotrader.co.uk/car-details/1', DEFAULT_REQUEST_POLICY), false);
+    assert.equal(shouldBlockRequest('script', 'https://www.autotrader.co.uk/app.js', DEFAULT_REQUEST_POLICY), false);
+    assert.equal(shouldBlockRequest('script', 'https://notgoogle-analytics.com/a.js', DEFAULT_REQUEST_POLICY), false);
+  });
+
+  it('never blocks the page itself', () => {
+    assert.equal(shouldBlockRequest('document', 'https://doubleclick.net/ad', DEFAULT_REQUEST_POLICY), false);
+  });
+
+  it('lets allowed domains win', () => {
+    const policy = { ...DEFAULT_REQUEST_POLICY, allowDomains: ['atcdn.co.uk'] };
+    assert.equal(shouldBlockRequest('image', 'https://m.atcdn.co.uk/a/media/w480/5b1c3f0a9e.jpg', policy), false);
+    assert.equal(shouldBlockRequest('image', 'https://example.com/a.jpg', policy), true);
+  });
+
+  it('judges unparseable URLs on their type', () => {
+    assert.equal(shouldBlockRequest('font', 'data:font/woff2;base64,AAAA', { blockResourceTypes: ['font'] }), true);
+    assert.equal(shouldBlockRequest('script', 'not a url', { blockDomains: ['example.com'] }), false);
+  });
+});
+
+describe('applyRequestPolicy', () => {
+  it('aborts blocked requests and counts them', async () => {
+    const page = new EventEmitter();
+    let intercepting = false;
+    page.setRequestInterception = async value => {
+      intercepting = value;
+    };
+
+    await applyRequestPolicy(page, DEFAULT_REQUEST_POLICY);
+    const font = createRequest('font', 'https://www.autotrader.co.uk/a.woff2');
+    const script = createRequest('script', 'https://www.autotrader.co.uk/app.js');
+    page.emit('request', font);
+    page.emit('request', script);
+
+    assert.equal(intercepting, true);
+    assert.equal(font.handled, 'aborted');
+    assert.equal(script.handled, 'continued');
+    assert.equal(takeBlockedRequestCount(page), 1);
+    assert.equal(takeBlockedRequestCount(page), 0);
+  });
+
+  it('leaves requests another handler dealt with', async () => {
+    const page = new EventEmitter();
+    page.setRequestInterception = async () => {};
+
+    await applyRequestPolicy(page, DEFAULT_REQUEST_POLICY);
+    const request = createRequest('font', 'https://www.autotrader.co.uk/a.woff2');
+    request.handled = 'continued';
+    page.emit('request', request);
+
+    assert.equal(request.handled, 'continued');
+    assert.equal(takeBlockedRequestCount(page), 0);
+  });
+});
+
+describe('takeBlockedRequestCount', () => {
+  it('is zero for pages without a policy', () => {
+    assert.equal(takeBlockedRequestCount({}), 0);
+  });
+});
+
+describe('describeLoadTimes', () => {
+  it('summarises the average and slowest load', () => {
+    assert.equal(describeLoadTimes('results page(s)', [1500, 2400, 1800]), '3 results page(s), avg 1.9s, slowest 2.4s');
+  });
+
+  it('returns null when no pages were loaded', () => {
+    assert.equal(describeLoadTimes('detail page(s)', []), null);
+  });
+});
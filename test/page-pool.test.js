@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWithPagePool } from '../src/page-pool.js';
+
+/**
+ * Builds a page opener that hands out fake pages
+ * @returns {Object} { openPage, pages } - the opener and every page it has opened
+ */
+function fakeBrowser() {
+  const browser = { connected: true };
+  const pages = [];
+  const openPage = async () => {
+    const page = {
+      id: pages.length + 1,
+      closed: false,
+      isClosed() {
+        return this.closed;
+      },
+      browser() {
+        return browser;
+      },
+      async close() {
+        this.closed = true;
+      }
+    };
+    pages.push(page);
+    return page;
+  };
+  return { openPage, pages, browser };
+}
+
+describe('runWithPagePool', () => {
+  it('returns the results in item order', async () => {
+    const { openPage } = fakeBrowser();
+    const results = await runWithPagePool([30, 10, 20], async (page, delay) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return delay * 2;
+    }, { openPage, concurrency: 3, delayMs: 0 });
+
+    assert.deepEqual(results, [60, 20, 40]);
+  });
+
+  it('keeps no more pages busy than the concurrency', async () => {
+    const { openPage, pages } = fakeBrowser();
+    let busy = 0;
+    let mostBusy = 0;
+    await runWithPagePool([1, 2, 3, 4, 5, 6, 7], async () => {
+      busy++;
+      mostBusy = Math.max(mostBusy, busy);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      busy--;
+    }, { openPage, concurrency: 2, delayMs: 0 });
+
+    assert.equal(mostBusy, 2);
+    assert.equal(pages.length, 2);
+    assert.ok(pages.every(page => page.closed));
+  });
+
+  it('opens only as many pages as there are items', async () => {
+    const { openPage, pages } = fakeBrowser();
+    await runWithPagePool(['only'], async () => null, { openPage, concurrency: 4, delayMs: 0 });
+    assert.equal(pages.length, 1);
+  });
+
+  it('pauses between items on each page', async () => {
+    const { openPage } = fakeBrowser();
+    const startedAt = [];
+    await runWithPagePool([1, 2, 3], async () => {
+      startedAt.push(Date.now());
+    }, { openPage, concurrency: 1, delayMs: 30 });
+
+    assert.ok(startedAt[1] - startedAt[0] >= 25);
+    assert.ok(startedAt[2] - startedAt[1] >= 25);
+  });
+
+  it('replaces a page lost to a browser crash', async () => {
+    const { openPage, pages } = fakeBrowser();
+    const usedPages = await runWithPagePool([1, 2, 3], async (page, item) => {
+      if (item === 1) {
+        page.closed = true;
+      }
+      return page.id;
+    }, { openPage, concurrency: 1, delayMs: 0 });
+
+    assert.deepEqual(usedPages, [1, 2, 2]);
+    assert.equal(pages.length, 2);
+  });
+
+  it('does nothing without items', async () => {
+    const { openPage, pages } = fakeBrowser();
+    assert.deepEqual(await runWithPagePool([], async () => 1, { openPage }), []);
+    assert.equal(pages.length, 0);
+  });
+});
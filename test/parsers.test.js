@@ -0,0 +1,290 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchResults, parseCarDetails, readEmbeddedData, isAdvertUnavailable, isDetailPageReady } from '../src/parsers.js';
+import { loadFixture, parseHtml } from './load-fixture.js';
+
+describe('parseSearchResults', () => {
+  beforeEach(() => {
+    // The parser logs which selector matched, for the browser console
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('parses every listing on a results page', () => {
+    const listings = parseSearchResults(loadFixture('search-results.html'));
+
+    assert.deepEqual(listings.map(listing => listing.id), [
+      '202409150012345',
+      '202409150023456',
+      '202409150034567',
+      '202409150045678'
+    ]);
+  });
+
+  it('reads the listing fields', () => {
+    const [listing] = parseSearchResults(loadFixture('search-results.html'));
+    const { extractedAt, ...fields } = listing;
+
+    assert.deepEqual(fields, {
+      id: '202409150012345',
+      title: 'Skoda Fabia 1.2 TSI SE Euro 5 5dr',
+      price: '£3,250',
+      mileage: '68,400 miles',
+      year: '2012 (62 reg)',
+      location: 'Leeds (12 miles)',
+      link: 'https://www.autotrader.co.uk/car-details/202409150012345?sort=most-recent&advertising-location=at_cars',
+      imageUrl: 'https://m.atcdn.co.uk/a/media/w480/5b1c3f0a9e.jpg',
+      fieldSources: {
+        title: 'data-testid',
+        price: 'css',
+        mileage: 'data-testid',
+        year: 'data-testid',
+        location: 'data-testid',
+        link: 'data-testid',
+        imageUrl: 'css'
+      }
+    });
+    assert.ok(!isNaN(Date.parse(extractedAt)));
+  });
+
+  it('keeps absolute links as they are', () => {
+    const listings = parseSearchResults(loadFixture('search-results.html'));
+    assert.equal(listings[1].link, 'https://www.autotrader.co.uk/car-details/202409150023456');
+  });
+
+  it('marks a listing without a price', () => {
+    const listings = parseSearchResults(loadFixture('search-results.html'));
+    assert.equal(listings[1].price, 'Price not available');
+    assert.equal(listings[1].fieldSources.price, undefined);
+  });
+
+  it('prefers the price test ID to class names', () => {
+    const [listing] = parseSearchResults(parseHtml(`
+      <ul>
+        <li data-advertid="202409170078901">
+          <span class="sc-1n64n0d-8">£1</span>
+          <span data-testid="search-listing-price">£2,000</span>
+        </li>
+      </ul>`));
+
+    assert.equal(listing.price, '£2,000');
+    assert.equal(listing.fieldSources.price, 'data-testid');
+  });
+
+  it('leaves the image empty for a listing without one', () => {
+    const listings = parseSearchResults(loadFixture('search-results.html'));
+    assert.equal(listings[2].imageUrl, null);
+  });
+
+  it('fills in unknowns for a sparse listing', () => {
+    const listing = parseSearchResults(loadFixture('search-results.html'))[3];
+
+    assert.equal(listing.title, 'Skoda Fabia 1.2 12V S 5dr');
+    assert.equal(listing.price, 'Price not available');
+    assert.equal(listing.mileage, 'Unknown');
+    assert.equal(listing.year, 'Unknown');
+    assert.equal(listing.location, 'Unknown');
+    assert.equal(listing.imageUrl, null);
+  });
+
+  it('falls back to data-testid IDs', () => {
+    const listings = parseSearchResults(loadFixture('search-results-testid.html'));
+
+    assert.deepEqual(listings.map(listing => listing.id), ['202409160056789', '202409160067890']);
+    assert.equal(listings[0].price, '£6,995');
+    assert.equal(listings[1].imageUrl, null);
+  });
+
+  it('returns nothing for a page without listings', () => {
+    assert.deepEqual(parseSearchResults(loadFixture('search-results-empty.html')), []);
+  });
+
+  it('takes the ID from the link when the listing has none', () => {
+    const document = parseHtml(`
+      <ul>
+        <li class="sc-mddoqs-1">
+          <a data-testid="search-listing-title" href="/car-details/202409170078901">Skoda Fabia</a>
+        </li>
+      </ul>`);
+
+    const [listing] = parseSearchResults(document);
+    assert.equal(listing.id, '202409170078901');
+  });
+});
+
+describe('parseCarDetails', () => {
+  it('parses a dealer advert', () => {
+    const details = parseCarDetails(loadFixture('detail-dealer.html'));
+
+    assert.deepEqual(details, {
+      price: '£3,250',
+      title: 'Skoda Fabia',
+      subtitle: '1.2 TSI SE Euro 5 5dr',
+      mileage: '68,400 miles',
+      registration: '2012 (62 reg)',
+      fuelType: 'Petrol',
+      bodyType: 'Hatchback',
+      engine: '1.2L',
+      gearbox: 'Manual',
+      doors: '5',
+      seats: '5',
+      owners: '3',
+      emissionClass: 'Euro 5',
+      bodyColour: 'Silver',
+      description: 'Full service history, cambelt changed at 60k. Two keys, long MOT.',
+      images: [
+        {
+          thumbnail: 'https://m.atcdn.co.uk/a/media/w480/5b1c3f0a9e.jpg',
+          full: 'https://m.atcdn.co.uk/a/media/w800/5b1c3f0a9e.jpg'
+        },
+        {
+          thumbnail: 'https://m.atcdn.co.uk/a/media/w480/6c2d4e1b0f.jpg',
+          full: 'https://m.atcdn.co.uk/a/media/w800/6c2d4e1b0f.jpg'
+        },
+        {
+          thumbnail: 'https://m.atcdn.co.uk/a/media/w480/7d3e5f2c1a.jpg',
+          full: 'https://m.atcdn.co.uk/a/media/w1024/7d3e5f2c1a.jpg'
+        }
+      ],
+      sellerName: 'Northern Car Centre',
+      sellerLocation: 'Leeds, West Yorkshire',
+      phoneNumber: '01132 496000',
+      contactLocation: 'Leeds (12 miles)',
+      year: '2012',
+      fieldSources: {
+        price: 'data-testid',
+        title: 'css',
+        subtitle: 'css',
+        mileage: 'data-testid',
+        registration: 'data-testid',
+        fuelType: 'data-testid',
+        bodyType: 'data-testid',
+        engine: 'data-testid',
+        gearbox: 'data-testid',
+        doors: 'data-testid',
+        seats: 'data-testid',
+        owners: 'data-testid',
+        emissionClass: 'data-testid',
+        bodyColour: 'data-testid',
+        description: 'css',
+        images: 'data-testid',
+        sellerName: 'css',
+        sellerLocation: 'css',
+        phoneNumber: 'data-testid',
+        contactLocation: 'css',
+        year: 'data-testid'
+      }
+    });
+  });
+
+  it('falls back to class names for the overview', () => {
+    const details = parseCarDetails(parseHtml(`
+      <section data-testid="overview">
+        <div class="sc-1r1x5mr-1"><span class="sc-1r1x5mr-5">Mileage</span><span class="sc-1r1x5mr-6">68,400 miles</span></div>
+      </section>`));
+
+    assert.equal(details.mileage, '68,400 miles');
+    assert.equal(details.fieldSources.mileage, 'css');
+  });
+
+  it('parses a private seller advert', () => {
+    const details = parseCarDetails(loadFixture('detail-private-seller.html'));
+
+    assert.equal(details.price, '£1,800');
+    assert.equal(details.sellerName, undefined);
+    assert.equal(details.sellerLocation, undefined);
+    assert.equal(details.phoneNumber, undefined);
+    assert.equal(details.contactLocation, 'Wakefield (21 miles)');
+    assert.equal(details.year, '2010');
+  });
+
+  it('leaves the price empty when the advert has none', () => {
+    const details = parseCarDetails(loadFixture('detail-no-price.html'));
+
+    assert.equal(details.price, null);
+    assert.equal(details.mileage, '112,750 miles');
+  });
+
+  it('parses an advert without an overview section', () => {
+    const details = parseCarDetails(loadFixture('detail-no-overview.html'));
+
+    assert.equal(details.price, '£1,295');
+    assert.equal(details.mileage, undefined);
+    assert.equal(details.registration, undefined);
+    assert.equal(details.year, undefined);
+    assert.equal(details.description, 'Spares or repair.');
+    assert.equal(details.sellerName, 'Selby Motors');
+  });
+
+  it('ignores placeholder images', () => {
+    const details = parseCarDetails(loadFixture('detail-no-images.html'));
+    assert.deepEqual(details.images, []);
+  });
+
+  it('returns empty images for a page without a gallery', () => {
+    const details = parseCarDetails(loadFixture('detail-unavailable.html'));
+    assert.deepEqual(details.images, []);
+  });
+});
+
+describe('readEmbeddedData', () => {
+  it('reads JSON state and JSON-LD blobs', () => {
+    const embedded = readEmbeddedData(loadFixture('search-results-state.html'));
+
+    assert.equal(embedded.pageUrl, 'https://www.autotrader.co.uk/car-search?make=Skoda&model=Fabia');
+    assert.equal(embedded.states.length, 1);
+    assert.ok(embedded.states[0].props.pageProps.searchResults);
+    assert.equal(embedded.jsonLd.length, 1);
+    assert.equal(embedded.jsonLd[0]['@type'], 'ItemList');
+  });
+
+  it('reads state assigned to a window global', () => {
+    const embedded = readEmbeddedData(parseHtml(`
+      <script>window.__PRELOADED_STATE__ = {"advert": {"advertId": "1"}};</script>
+      <script>console.log('not state');</script>`));
+
+    assert.deepEqual(embedded.states, [{ advert: { advertId: '1' } }]);
+  });
+
+  it('skips blobs that are not valid JSON', () => {
+    const embedded = readEmbeddedData(parseHtml(`
+      <script type="application/ld+json">{ "@type": "Car", </script>`));
+
+    assert.deepEqual(embedded.jsonLd, []);
+  });
+
+  it('falls back to the document URL without a canonical link', () => {
+    assert.equal(readEmbeddedData(loadFixture('search-results.html')).pageUrl, 'https://www.autotrader.co.uk/');
+  });
+});
+
+describe('isAdvertUnavailable', () => {
+  it('spots a removed advert', () => {
+    assert.equal(isAdvertUnavailable(loadFixture('detail-unavailable.html')), true);
+  });
+
+  it('does not flag a live advert', () => {
+    assert.equal(isAdvertUnavailable(loadFixture('detail-dealer.html')), false);
+  });
+
+  it('does not flag a live advert without a price', () => {
+    assert.equal(isAdvertUnavailable(loadFixture('detail-no-price.html')), false);
+  });
+});
+
+describe('isDetailPageReady', () => {
+  it('is ready once the price has rendered', () => {
+    assert.equal(isDetailPageReady(loadFixture('detail-dealer.html')), true);
+  });
+
+  it('is ready for a removed advert', () => {
+    assert.equal(isDetailPageReady(loadFixture('detail-unavailable.html')), true);
+  });
+
+  it('waits while the price is missing', () => {
+    assert.equal(isDetailPageReady(parseHtml('<h1>Skoda Fabia</h1>')), false);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir } from './temp-dir.js';
+
+const tempDir = enterTempDir({
+  discordWebhookUrl: 'https://discord.com/api/webhooks/123/token',
+  searchConfigs: [{ name: 'Paused search', make: 'Skoda', paused: true }]
+});
+
+const { runPoll, isPollRunning, getPollStatus, detectSoldCars, holdBackFailedDetails } = await import('../src/poller.js');
+const { saveListing, queueDelivery, getListing, closeListingStore } = await import('../src/listing-store.js');
+
+after(() => {
+  closeListingStore();
+  tempDir.leave();
+});
+
+describe('runPoll', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('skips a poll started while another is running', async () => {
+    const log = mock.method(console, 'log', () => {});
+
+    const first = runPoll('scheduled');
+    assert.equal(isPollRunning(), true);
+    assert.equal(await runPoll('/poll', true), null);
+    assert.deepEqual(await first, []);
+
+    assert.equal(isPollRunning(), false);
+    assert.equal(getPollStatus().skippedPolls, 1);
+    assert.ok(getPollStatus().lastSkippedAt);
+    const lines = log.mock.calls.map(call => call.arguments[0]);
+    assert.ok(lines.some(line => /Skipping \/poll poll - the poll started at .* is still running/.test(line)));
+  });
+
+  it('runs again once the previous poll has finished', async () => {
+    mock.method(console, 'log', () => {});
+
+    assert.deepEqual(await runPoll('scheduled'), []);
+    assert.deepEqual(await runPoll('scheduled'), []);
+    assert.equal(getPollStatus().skippedPolls, 1);
+  });
+
+  it('posts cars queued before every search was paused', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ id: '900', channel_id: '800' }), { status: 200 }));
+    const webhookUrl = 'https://discord.com/api/webhooks/123/token';
+    saveListing({ id: '202401010000001', title: 'Skoda Fabia' }, { searchName: 'Paused search', filterResult: 'queued', webhookUrl });
+    queueDelivery('202401010000001', webhookUrl);
+
+    assert.deepEqual(await runPoll('scheduled'), []);
+    assert.equal(getListing('202401010000001').filterResult, 'posted');
+  });
+});
+
+describe('detectSoldCars', () => {
+  const destination = { name: 'cars', webhookUrl: 'https://discord.com/api/webhooks/123/token' };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('marks a car missing from a partial scan as sold once its advert has gone', async () => {
+    mock.method(console, 'log', () => {});
+    for (const id of ['202402010000001', '202402010000002', '202402010000003']) {
+      saveListing({ id, title: 'Skoda Fabia', link: `https://www.autotrader.co.uk/car-details/${id}` }, { searchName: 'Fabias', filterResult: 'posted' });
+    }
+    const checked = [];
+    // Only the first results page was loaded; one missing advert has gone and the other's page failed to load
+    const checkAvailability = async cars => {
+      checked.push(...cars.map(car => car.id));
+      return { checkedIds: new Set(['202402010000002']), unavailableIds: new Set(['202402010000002']) };
+    };
+
+    const soldCount = await detectSoldCars([{ id: '202402010000001' }], 'Fabias', destination, false, checkAvailability);
+
+    assert.equal(soldCount, 1);
+    assert.deepEqual(checked, ['202402010000002', '202402010000003']);
+    assert.equal(getListing('202402010000001').status, 'active');
+    assert.equal(getListing('202402010000002').status, 'sold');
+    assert.equal(getListing('202402010000003').status, 'active');
+    assert.equal(getListing('202402010000003').availabilityCheckedAt, null);
+  });
+
+  it('leaves a missing car whose advert is still live until the recheck is due', async () => {
+    mock.method(console, 'log', () => {});
+    saveListing({ id: '202402010000004', title: 'Skoda Fabia', link: 'https://www.autotrader.co.uk/car-details/202402010000004' }, { searchName: 'Octavias', filterResult: 'posted' });
+    const checkAvailability = mock.fn(async () => ({ checkedIds: new Set(['202402010000004']), unavailableIds: new Set() }));
+
+    assert.equal(await detectSoldCars([], 'Octavias', destination, false, checkAvailability), 0);
+    assert.equal(await detectSoldCars([], 'Octavias', destination, false, checkAvailability), 0);
+
+    assert.equal(checkAvailability.mock.calls.length, 1);
+    assert.equal(getListing('202402010000004').status, 'active');
+  });
+});
+
+describe('holdBackFailedDetails', () => {
+  const destination = { name: 'cars', webhookUrl: 'https://discord.com/api/webhooks/123/token' };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('skips new cars whose advert has already gone', () => {
+    const log = mock.method(console, 'log', () => {});
+    const loaded = { id: '202403010000001', title: 'Skoda Fabia', specs: { price: 3500 } };
+    const removed = { carId: '202403010000002', url: 'https://www.autotrader.co.uk/car-details/202403010000002', unavailable: true };
+
+    const { completeCars, requeuedCars } = holdBackFailedDetails([loaded, removed], 'Fabias', destination);
+
+    assert.deepEqual(completeCars, [loaded]);
+    assert.deepEqual(requeuedCars, []);
+    assert.equal(getListing('202403010000002'), null);
+    assert.match(log.mock.calls[0].arguments[0], /Car 202403010000002 is no longer available - not posting it/);
+  });
+});
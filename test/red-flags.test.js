@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { detectRedFlags, formatRedFlagWarnings } from '../src/red-flags.js';
+
+const RED_FLAGS = {
+  'needs clutch': { severity: 'medium', patterns: ['/needs (a )?(new )?clutch/i'] },
+  'spares or repair': { severity: 'high', patterns: ['/spares ?(or|and|\\/) ?repairs?/i'] },
+  'no MOT': { severity: 'high', patterns: ['/no (current )?MOT/i'] },
+  'scuffs': { severity: 'low', patterns: ['scuff'] }
+};
+
+describe('detectRedFlags', () => {
+  it('finds red flags in the description, most severe first', () => {
+    const car = { title: 'Skoda Fabia', description: 'Needs a clutch, otherwise drives fine. Sold as spares or repair.' };
+    assert.deepEqual(detectRedFlags(car, RED_FLAGS), [
+      { name: 'spares or repair', severity: 'high' },
+      { name: 'needs clutch', severity: 'medium' }
+    ]);
+  });
+
+  it('checks the title and subtitle too', () => {
+    assert.deepEqual(detectRedFlags({ title: 'Skoda Fabia - NO MOT' }, RED_FLAGS), [{ name: 'no MOT', severity: 'high' }]);
+    assert.deepEqual(detectRedFlags({ title: 'Skoda Fabia', subtitle: 'Spares/repair' }, RED_FLAGS), [
+      { name: 'spares or repair', severity: 'high' }
+    ]);
+  });
+
+  it('finds nothing in a clean advert', () => {
+    assert.deepEqual(detectRedFlags({ title: 'Skoda Fabia', description: 'Long MOT, full service history.' }, RED_FLAGS), []);
+    assert.deepEqual(detectRedFlags({}, RED_FLAGS), []);
+    assert.deepEqual(detectRedFlags({ title: 'Spares or repair' }), []);
+  });
+
+  it("doesn't count negated mentions", () => {
+    assert.deepEqual(detectRedFlags({ title: 'Skoda Fabia', description: 'Drives well, no clutch slipping. Not spares or repair.' }, RED_FLAGS), []);
+  });
+
+  it('finds a /g pattern in every advert', () => {
+    const redFlags = { scuffs: { severity: 'low', patterns: ['/scuff/gi'] } };
+    assert.equal(detectRedFlags({ description: 'Small scuff on the bumper' }, redFlags).length, 1);
+    assert.equal(detectRedFlags({ description: 'Scuff on the rear bumper' }, redFlags).length, 1);
+  });
+});
+
+describe('config.example.json red flags', () => {
+  const { redFlags } = JSON.parse(fs.readFileSync(new URL('../config.example.json', import.meta.url), 'utf-8'));
+
+  /**
+   * Lists the example red flags found in a description
+   * @param {string} description - Advert description
+   * @returns {Array<string>} Red flag names
+   */
+  function flagsIn(description) {
+    return detectRedFlags({ description }, redFlags).map(redFlag => redFlag.name);
+  }
+
+  it('finds the phrases they describe', () => {
+    assert.deepEqual(flagsIn('Cat S repaired, sold with no MOT'), ['Cat S', 'no MOT']);
+    assert.deepEqual(flagsIn('Category N, MOT has expired'), ['Cat S', 'no MOT']);
+  });
+
+  it("doesn't match inside other words and phrases", () => {
+    assert.deepEqual(flagsIn('Owned by a family with two cats'), []);
+    assert.deepEqual(flagsIn('Fresh MOT with no MOT advisories'), []);
+    assert.deepEqual(flagsIn('Not a Cat S or N, never been in an accident'), []);
+  });
+});
+
+describe('formatRedFlagWarnings', () => {
+  it('lists each red flag with its severity', () => {
+    assert.equal(
+      formatRedFlagWarnings([{ name: 'needs clutch', severity: 'medium' }, { name: 'scuffs', severity: 'low' }]),
+      '🟠 needs clutch (medium)\n🟡 scuffs (low)'
+    );
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRetryDelay, withRetry } from '../src/retry.js';
+
+const POLICY = { attempts: 3, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+describe('getRetryDelay', () => {
+  it('doubles the cap with each attempt, up to the maximum', () => {
+    const caps = [1, 2, 3, 4, 10].map(attempt => getRetryDelay(attempt, POLICY, () => 1));
+    assert.deepEqual(caps, [1000, 2000, 4000, 5000, 5000]);
+  });
+
+  it('picks a random delay below the cap', () => {
+    assert.equal(getRetryDelay(3, POLICY, () => 0.25), 1000);
+    assert.equal(getRetryDelay(3, POLICY, () => 0), 0);
+  });
+});
+
+describe('withRetry', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('retries until an attempt succeeds', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const attempts = [];
+
+    const result = await withRetry(async attempt => {
+      attempts.push(attempt);
+      if (attempt < 3) {
+        throw new Error('timed out');
+      }
+      return 'loaded';
+    }, { attempts: 3, baseDelayMs: 1, maxDelayMs: 1, label: 'Page load' });
+
+    assert.equal(result, 'loaded');
+    assert.deepEqual(attempts, [1, 2, 3]);
+    assert.match(log.mock.calls[0].arguments[0], /Page load failed \(attempt 1\/3\): timed out - retrying in/);
+  });
+
+  it('throws the last error once every attempt has failed', async () => {
+    mock.method(console, 'log', () => {});
+    let calls = 0;
+
+    await assert.rejects(withRetry(async attempt => {
+      calls++;
+      throw new Error(`failure ${attempt}`);
+    }, { attempts: 2, baseDelayMs: 1, maxDelayMs: 1 }), /failure 2/);
+    assert.equal(calls, 2);
+  });
+});
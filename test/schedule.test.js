@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCron,
+  getNextCronTime,
+  parseActiveHours,
+  isWithinActiveHours,
+  getNextActiveStart,
+  describeSchedule,
+  getNextRunTime,
+  isSearchDue
+} from '../src/schedule.js';
+
+describe('parseCron', () => {
+  it('reads lists, ranges and steps', () => {
+    const cron = parseCron('*/15 8-10 * * 1,3,5');
+    assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hour], [8, 9, 10]);
+    assert.deepEqual([...cron.dayOfWeek], [1, 3, 5]);
+    assert.equal(cron.dayOfMonth.size, 31);
+  });
+
+  it('treats 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('0 9 * * 7').dayOfWeek], [0]);
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => parseCron('0 9 * *'), /expected 5 fields, got 4/);
+    assert.throws(() => parseCron('0 24 * * *'), /hour "24" is outside 0-23/);
+    assert.throws(() => parseCron('0 9 * * MON'), /invalid dayOfWeek "MON"/);
+    assert.throws(() => parseCron('*/0 * * * *'), /minute step must be at least 1/);
+  });
+});
+
+describe('getNextCronTime', () => {
+  it('finds the next matching minute in UK time', () => {
+    // 10:30 BST
+    const after = new Date('2024-06-10T09:30:00Z');
+    assert.equal(getNextCronTime('0 8,20 * * *', after).toISOString(), '2024-06-10T19:00:00.000Z');
+    assert.equal(getNextCronTime('*/5 * * * *', after).toISOString(), '2024-06-10T09:35:00.000Z');
+  });
+
+  it('follows the clocks going back', () => {
+    // 08:00 GMT is 08:00Z once British Summer Time ends on 27 October 2024
+    assert.equal(getNextCronTime('0 8 * * *', new Date('2024-10-26T12:00:00Z')).toISOString(), '2024-10-27T08:00:00.000Z');
+  });
+
+  it('matches either day field when both are set', () => {
+    // Saturday 1 June 2024; the 15th or a Monday, whichever comes first
+    assert.equal(getNextCronTime('0 12 15 * 1', new Date('2024-06-01T00:00:00Z')).toISOString(), '2024-06-03T11:00:00.000Z');
+  });
+
+  it('returns null for a date that never comes', () => {
+    assert.equal(getNextCronTime('0 0 30 2 *', new Date('2024-01-01T00:00:00Z')), null);
+  });
+});
+
+describe('parseActiveHours', () => {
+  it('reads the start and end in minutes', () => {
+    assert.deepEqual(parseActiveHours('07:30-22:00'), { start: 450, end: 1320 });
+    assert.deepEqual(parseActiveHours('22:00 - 24:00'), { start: 1320, end: 1440 });
+  });
+
+  it('rejects invalid ranges', () => {
+    assert.throws(() => parseActiveHours('7-22'), /expected a time range/);
+    assert.throws(() => parseActiveHours('07:00-25:00'), /not a valid time range/);
+  });
+});
+
+describe('isWithinActiveHours', () => {
+  it('is always active without active hours', () => {
+    assert.equal(isWithinActiveHours(undefined, new Date('2024-06-10T02:00:00Z')), true);
+  });
+
+  it('checks daytime windows in UK time', () => {
+    // 07:30 BST
+    assert.equal(isWithinActiveHours('07:00-22:00', new Date('2024-06-10T06:30:00Z')), true);
+    // 06:30 BST
+    assert.equal(isWithinActiveHours('07:00-22:00', new Date('2024-06-10T05:30:00Z')), false);
+    // 22:00 BST - the end is not included
+    assert.equal(isWithinActiveHours('07:00-22:00', new Date('2024-06-10T21:00:00Z')), false);
+  });
+
+  it('handles windows running overnight', () => {
+    assert.equal(isWithinActiveHours('22:00-06:00', new Date('2024-01-10T23:00:00Z')), true);
+    assert.equal(isWithinActiveHours('22:00-06:00', new Date('2024-01-10T05:59:00Z')), true);
+    assert.equal(isWithinActiveHours('22:00-06:00', new Date('2024-01-10T12:00:00Z')), false);
+  });
+});
+
+describe('getNextActiveStart', () => {
+  it('finds when the window next opens', () => {
+    // 23:00 GMT, opening at 07:00 the next morning
+    assert.equal(getNextActiveStart('07:00-22:00', new Date('2024-01-10T23:00:00Z')).toISOString(), '2024-01-11T07:00:00.000Z');
+  });
+
+  it('returns null while the window is open', () => {
+    assert.equal(getNextActiveStart('07:00-22:00', new Date('2024-01-10T12:00:00Z')), null);
+    assert.equal(getNextActiveStart(undefined, new Date('2024-01-10T23:00:00Z')), null);
+  });
+});
+
+describe('describeSchedule', () => {
+  it('describes intervals and cron expressions', () => {
+    assert.equal(describeSchedule({}, 15), 'every 15 minutes');
+    assert.equal(describeSchedule({ intervalMinutes: 5 }, 15), 'every 5 minutes');
+    assert.equal(describeSchedule({ cron: '0 8,20 * * *' }, 15), 'cron 0 8,20 * * *');
+  });
+});
+
+describe('getNextRunTime', () => {
+  const lastRunAt = new Date('2024-06-10T09:30:00Z');
+
+  it('runs a search that has never run straight away', () => {
+    assert.equal(getNextRunTime({ intervalMinutes: 5 }, null, 15), null);
+  });
+
+  it('uses the search interval, then the default', () => {
+    assert.equal(getNextRunTime({ intervalMinutes: 5 }, lastRunAt, 15).toISOString(), '2024-06-10T09:35:00.000Z');
+    assert.equal(getNextRunTime({}, lastRunAt, 15).toISOString(), '2024-06-10T09:45:00.000Z');
+  });
+
+  it('uses the cron expression', () => {
+    assert.equal(getNextRunTime({ cron: '0 8,20 * * *' }, lastRunAt, 15).toISOString(), '2024-06-10T19:00:00.000Z');
+  });
+});
+
+describe('isSearchDue', () => {
+  const lastRunAt = new Date('2024-06-10T09:30:00Z');
+
+  it('is due once the interval has passed', () => {
+    assert.equal(isSearchDue({ intervalMinutes: 5 }, lastRunAt, 15, new Date('2024-06-10T09:34:00Z')), false);
+    assert.equal(isSearchDue({ intervalMinutes: 5 }, lastRunAt, 15, new Date('2024-06-10T09:35:00Z')), true);
+  });
+
+  it('allows a timer firing slightly early', () => {
+    assert.equal(isSearchDue({ intervalMinutes: 5 }, lastRunAt, 15, new Date('2024-06-10T09:34:58Z')), true);
+  });
+
+  it('is always due before the first run', () => {
+    assert.equal(isSearchDue({ cron: '0 8 * * *' }, null, 15, lastRunAt), true);
+  });
+
+  it('is never due while paused', () => {
+    assert.equal(isSearchDue({ paused: true }, null, 15, lastRunAt), false);
+  });
+
+  it('is not due again for a cron date that never comes', () => {
+    assert.equal(isSearchDue({ cron: '0 0 30 2 *' }, lastRunAt, 15, new Date('2025-06-10T09:30:00Z')), false);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { enterTempDir } from './temp-dir.js';
+
+/**
+ * Builds a config with one search
+ * @param {number} pollingIntervalMinutes - Polling interval
+ * @returns {Object} Configuration object
+ */
+function makeConfig(pollingIntervalMinutes) {
+  return {
+    discordWebhookUrl: 'https://discord.com/api/webhooks/123/token',
+    pollingIntervalMinutes,
+    searchConfigs: [{ name: 'Fabias', make: 'Skoda' }]
+  };
+}
+
+const tempDir = enterTempDir(makeConfig(15));
+
+const { loadBotConfig, watchConfig, holdConfig, releaseConfig, addSearchConfig, getAllSearchConfigs } = await import('../src/search-config.js');
+
+/**
+ * Saves config.json and waits for the watcher to reload it
+ * @param {Object} config - Configuration object
+ */
+async function saveConfig(config) {
+  fs.writeFileSync('config.json', JSON.stringify(config));
+  await new Promise(resolve => setTimeout(resolve, 1000));
+}
+
+describe('watchConfig', () => {
+  let watcher = null;
+
+  afterEach(() => {
+    watcher.close();
+    mock.restoreAll();
+  });
+
+  after(() => {
+    tempDir.leave();
+  });
+
+  it('reloads config.json when it changes', async () => {
+    mock.method(console, 'log', () => {});
+    const onChange = mock.fn();
+    assert.equal(loadBotConfig().pollingIntervalMinutes, 15);
+    watcher = watchConfig(onChange);
+
+    await saveConfig(makeConfig(10));
+
+    assert.equal(loadBotConfig().pollingIntervalMinutes, 10);
+    assert.equal(onChange.mock.calls.length, 1);
+  });
+
+  it('keeps the config a poll started with until it finishes', async () => {
+    const log = mock.method(console, 'log', () => {});
+    const onChange = mock.fn();
+    watcher = watchConfig(onChange);
+
+    holdConfig();
+    await saveConfig(makeConfig(20));
+    assert.equal(loadBotConfig().pollingIntervalMinutes, 10);
+    assert.equal(onChange.mock.calls.length, 0);
+    assert.ok(log.mock.calls.some(call => /applying it once the current poll finishes/.test(call.arguments[0])));
+
+    releaseConfig();
+    assert.equal(loadBotConfig().pollingIntervalMinutes, 20);
+    assert.equal(onChange.mock.calls.length, 1);
+  });
+
+  it('drops a held edit that is undone before the poll finishes', async () => {
+    mock.method(console, 'log', () => {});
+    const onChange = mock.fn();
+    watcher = watchConfig(onChange);
+
+    holdConfig();
+    await saveConfig(makeConfig(30));
+    await saveConfig(makeConfig(20));
+    releaseConfig();
+
+    assert.equal(loadBotConfig().pollingIntervalMinutes, 20);
+    assert.equal(onChange.mock.calls.length, 0);
+  });
+
+  it('applies searches added during a poll once it finishes', async () => {
+    mock.method(console, 'log', () => {});
+    const onChange = mock.fn();
+    watcher = watchConfig(onChange);
+
+    holdConfig();
+    addSearchConfig({ name: 'Golfs', make: 'Volkswagen' });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.deepEqual(getAllSearchConfigs().map(search => search.name), ['Fabias']);
+
+    releaseConfig();
+    assert.deepEqual(getAllSearchConfigs().map(search => search.name), ['Fabias', 'Golfs']);
+    assert.equal(onChange.mock.calls.length, 1);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { isShuttingDown, getSignalExitCode, onShutdown, shutDown } from '../src/shutdown.js';
+
+describe('getSignalExitCode', () => {
+  it('adds the signal number to 128', () => {
+    assert.equal(getSignalExitCode('SIGINT'), 130);
+    assert.equal(getSignalExitCode('SIGTERM'), 143);
+  });
+});
+
+describe('shutDown', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('runs the handlers newest first and exits cleanly', async () => {
+    mock.method(console, 'log', () => {});
+    const calls = [];
+    onShutdown('bot', async () => {
+      calls.push('bot');
+    });
+    onShutdown('poller', async () => {
+      // Work started before the signal can still check it
+      calls.push(`poller (shutting down: ${isShuttingDown()})`);
+    });
+
+    assert.equal(isShuttingDown(), false);
+    assert.equal(await shutDown('SIGTERM'), 0);
+    assert.deepEqual(calls, ['poller (shutting down: true)', 'bot']);
+    assert.equal(isShuttingDown(), true);
+  });
+
+  it('keeps going after a handler fails, exiting with an error', async () => {
+    mock.method(console, 'log', () => {});
+    const error = mock.method(console, 'error', () => {});
+    let closed = false;
+    onShutdown('store', async () => {
+      closed = true;
+    });
+    onShutdown('browser', async () => {
+      throw new Error('browser hung');
+    });
+
+    assert.equal(await shutDown('SIGINT'), 1);
+    assert.equal(closed, true);
+    assert.match(error.mock.calls[0].arguments[0], /Error shutting down browser/);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchResults, parseCarDetails, readEmbeddedData } from '../src/parsers.js';
+import {
+  getAdvertIdFromUrl,
+  mergeEmbeddedListings,
+  mergeEmbeddedDetails,
+  summariseFieldSources,
+  logFieldSources
+} from '../src/structured-data.js';
+import { loadFixture, parseHtml } from './load-fixture.js';
+
+/**
+ * Parses a results page the way the extractor does
+ * @param {Document} document - Results page
+ * @returns {Array<Object>} Merged listings
+ */
+function parseResultsPage(document) {
+  return mergeEmbeddedListings(parseSearchResults(document), readEmbeddedData(document));
+}
+
+describe('getAdvertIdFromUrl', () => {
+  it('reads the ID from a car-details URL', () => {
+    assert.equal(getAdvertIdFromUrl('https://www.autotrader.co.uk/car-details/202409150012345?sort=relevance'), '202409150012345');
+    assert.equal(getAdvertIdFromUrl('/car-details/202409150012345'), '202409150012345');
+  });
+
+  it('returns null for other URLs', () => {
+    assert.equal(getAdvertIdFromUrl('https://www.autotrader.co.uk/car-search?make=Skoda'), null);
+    assert.equal(getAdvertIdFromUrl(null), null);
+  });
+});
+
+describe('mergeEmbeddedListings', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prefers JSON state, then JSON-LD, then the markup', () => {
+    const [first, second] = parseResultsPage(loadFixture('search-results-state.html'));
+
+    assert.equal(first.price, '£3,250');
+    assert.equal(first.mileage, '68,400 miles');
+    assert.equal(first.year, '2012');
+    assert.equal(first.location, 'Leeds (12 miles)');
+    assert.equal(first.imageUrl, 'https://m.atcdn.co.uk/a/media/w480/5b1c3f0a9e.jpg');
+    assert.deepEqual(first.fieldSources, {
+      title: 'json-state',
+      price: 'json-state',
+      mileage: 'json-state',
+      year: 'json-state',
+      location: 'json-state',
+      link: 'data-testid',
+      imageUrl: 'json-state'
+    });
+
+    assert.equal(second.price, '£1,800');
+    assert.equal(second.year, '2010');
+    assert.equal(second.mileage, 'Unknown');
+    assert.deepEqual(second.fieldSources, {
+      title: 'json-ld',
+      price: 'json-ld',
+      year: 'json-ld',
+      link: 'data-testid',
+      imageUrl: 'json-ld'
+    });
+  });
+
+  it('keeps a location without a distance from the markup', () => {
+    const document = parseHtml(`
+      <ul><li data-advertid="1"><span data-testid="search-listing-location">Leeds (12 miles)</span></li></ul>
+      <script type="application/json">{"advert": {"advertId": "1", "location": "Leeds"}}</script>`);
+
+    const [listing] = parseResultsPage(document);
+    assert.equal(listing.location, 'Leeds (12 miles)');
+    assert.equal(listing.fieldSources.location, 'data-testid');
+  });
+
+  it('ignores adverts in the state that are not results', () => {
+    const listings = parseResultsPage(loadFixture('search-results-state.html'));
+    assert.deepEqual(listings.map(listing => listing.id), ['202409150012345', '202409150023456']);
+  });
+
+  it('uses the structured data when the markup has no listings', () => {
+    const document = parseHtml(`
+      <div class="sc-new-layout"></div>
+      <script id="__NEXT_DATA__" type="application/json">
+        {"listings": [{"advertId": 202409170078901, "title": "Skoda Fabia", "price": "2495", "mileage": "91002"}]}
+      </script>`);
+
+    const [listing] = parseResultsPage(document);
+    assert.equal(listing.id, '202409170078901');
+    assert.equal(listing.title, 'Skoda Fabia');
+    assert.equal(listing.price, '£2,495');
+    assert.equal(listing.mileage, '91,002 miles');
+    assert.equal(listing.link, 'https://www.autotrader.co.uk/car-details/202409170078901');
+  });
+
+  it('leaves markup-only pages as they are', () => {
+    const document = loadFixture('search-results.html');
+    const listings = parseResultsPage(document);
+
+    assert.deepEqual(listings, parseSearchResults(document).map((listing, index) => ({
+      ...listing,
+      extractedAt: listings[index].extractedAt
+    })));
+  });
+});
+
+describe('mergeEmbeddedDetails', () => {
+  it('reads the JSON-LD car when the class names have changed', () => {
+    const document = loadFixture('detail-json-ld.html');
+    const details = mergeEmbeddedDetails(parseCarDetails(document), readEmbeddedData(document), '202409150012345');
+
+    assert.equal(details.title, 'Skoda Fabia 1.2 TSI SE Euro 5 5dr');
+    assert.equal(details.price, '£3,250');
+    assert.equal(details.mileage, '68,400 miles');
+    assert.equal(details.year, '2012');
+    assert.equal(details.engine, '1.2L');
+    assert.equal(details.doors, '5');
+    assert.equal(details.owners, '3');
+    assert.equal(details.sellerName, 'Northern Car Centre');
+    assert.equal(details.sellerLocation, 'Leeds');
+    assert.deepEqual(details.images, [
+      { thumbnail: 'https://m.atcdn.co.uk/a/media/w800/5b1c3f0a9e.jpg', full: 'https://m.atcdn.co.uk/a/media/w800/5b1c3f0a9e.jpg' },
+      { thumbnail: 'https://m.atcdn.co.uk/a/media/w800/6c2d4e1b0f.jpg', full: 'https://m.atcdn.co.uk/a/media/w800/6c2d4e1b0f.jpg' }
+    ]);
+    assert.equal(details.fieldSources.price, 'json-ld');
+    assert.equal(details.fieldSources.phoneNumber, 'data-testid');
+    assert.equal(details.subtitle, null);
+  });
+
+  it('ignores structured data for other cars', () => {
+    const document = loadFixture('detail-json-ld.html');
+    const details = mergeEmbeddedDetails(parseCarDetails(document), readEmbeddedData(document), '202409150099999');
+
+    assert.equal(details.title, null);
+    assert.equal(details.fieldSources.price, 'data-testid');
+  });
+
+  it('reads the advert from JSON state', () => {
+    const document = parseHtml(`
+      <script>window.__PRELOADED_STATE__ = {"advert": {"advertId": "7", "price": {"amount": 4100},
+        "seller": {"name": "A Private Seller", "town": "York", "distance": 8}, "engineSize": 1.4}};</script>`);
+    const details = mergeEmbeddedDetails(parseCarDetails(document), readEmbeddedData(document), '7');
+
+    assert.equal(details.price, '£4,100');
+    assert.equal(details.sellerName, 'A Private Seller');
+    assert.equal(details.contactLocation, 'York (8 miles)');
+    assert.equal(details.engine, '1.4L');
+    assert.equal(details.fieldSources.contactLocation, 'json-state');
+  });
+});
+
+describe('summariseFieldSources', () => {
+  it('counts the sources of each field', () => {
+    const summary = summariseFieldSources([
+      { fieldSources: { price: 'json-ld', title: 'data-testid' } },
+      { fieldSources: { price: 'css' } },
+      {}
+    ]);
+
+    assert.deepEqual(summary, {
+      price: { 'json-ld': 1, css: 1 },
+      title: { 'data-testid': 1 }
+    });
+  });
+});
+
+describe('logFieldSources', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('warns about fields only found via class names', () => {
+    const log = mock.method(console, 'log', () => {});
+    logFieldSources('Page 1', [
+      { fieldSources: { price: 'css' } },
+      { fieldSources: { price: 'json-ld' } }
+    ]);
+
+    const lines = log.mock.calls.map(call => call.arguments[0]);
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /price \(json-ld 1, css 1\)/);
+    assert.match(lines[1], /price 1\/2 only found via CSS class fallback/);
+  });
+
+  it('does not warn when no field used class names', () => {
+    const log = mock.method(console, 'log', () => {});
+    logFieldSources('Page 1', [{ fieldSources: { price: 'json-ld' } }]);
+    assert.equal(log.mock.calls.length, 1);
+  });
+});
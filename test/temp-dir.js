@@ -0,0 +1,31 @@
+/**
+ * Temporary working directories for tests
+ * config.json, listings.db and debug archives are read and written relative to the working directory,
+ * so tests that touch them run in a fresh directory (entered before importing the modules under test)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Creates a temporary directory and makes it the working directory
+ * @param {Object|null} config - Written to config.json in the directory, if given
+ * @returns {Object} { dir, leave } - leave() returns to the previous directory and deletes the temporary one
+ */
+export function enterTempDir(config = null) {
+  const originalCwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoautotrader-test-'));
+  process.chdir(dir);
+  if (config) {
+    fs.writeFileSync('config.json', JSON.stringify(config));
+  }
+
+  return {
+    dir,
+    leave() {
+      process.chdir(originalCwd);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}